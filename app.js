@@ -10,6 +10,7 @@ const {
   K8S,
   NODE_ENV,
   checkEnvs,
+  JAMBONES_DEAD_LETTER_RETRY,
 } = require('./lib/config');
 
 checkEnvs();
@@ -223,4 +224,13 @@ if (JAMBONZ_CLEANUP_INTERVAL_MINS) {
   }, getCleanupIntervalMins());
 }
 
+/* retry any status notifications that could not be delivered */
+if (JAMBONES_DEAD_LETTER_RETRY) require('./lib/utils/dead-letter-queue').start();
+
+/* load client certificates for mutual TLS to app servers, and pick up rotated ones */
+require('./lib/utils/webhook-tls').watchWebhookTlsFiles(logger);
+
+/* give up the place in queue of callers whose callbacks have expired */
+require('./lib/utils/queue-callback-manager').start();
+
 module.exports = {srf, logger, disconnect};
@@ -53,6 +53,7 @@ const JAMBONES_SBCS = process.env.JAMBONES_SBCS;
 const JAMBONES_WS_HANDSHAKE_TIMEOUT_MS = parseInt(process.env.JAMBONES_WS_HANDSHAKE_TIMEOUT_MS, 10) || 1500;
 const JAMBONES_WS_MAX_PAYLOAD = parseInt(process.env.JAMBONES_WS_MAX_PAYLOAD, 10) || 24 * 1024;
 const JAMBONES_WS_PING_INTERVAL_MS = parseInt(process.env.JAMBONES_WS_PING_INTERVAL_MS, 10) || 0;
+const JAMBONES_WS_REPLAY_BUFFER_SIZE = parseInt(process.env.JAMBONES_WS_REPLAY_BUFFER_SIZE, 10) || 100;
 const MAX_RECONNECTS = 5;
 const RESPONSE_TIMEOUT_MS = parseInt(process.env.JAMBONES_WS_API_MSG_RESPONSE_TIMEOUT, 10) || 5000;
 
@@ -120,16 +121,43 @@ const HTTP_POOL = process.env.HTTP_POOL && parseInt(process.env.HTTP_POOL);
 const HTTP_POOLSIZE = parseInt(process.env.HTTP_POOLSIZE, 10) || 10;
 const HTTP_PIPELINING = parseInt(process.env.HTTP_PIPELINING, 10) || 1;
 const HTTP_TIMEOUT = parseInt(process.env.JAMBONES_HTTP_TIMEOUT, 10) || 10000;
+/* how long a request within a dialog waits for the sipRequestWithinDialogHook before the default response is sent */
+const JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS = parseInt(process.env.JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS, 10) || 2000;
 const HTTP_PROXY_IP = process.env.JAMBONES_HTTP_PROXY_IP;
 const HTTP_PROXY_PORT = process.env.JAMBONES_HTTP_PROXY_PORT;
 const HTTP_PROXY_PROTOCOL = process.env.JAMBONES_HTTP_PROXY_PROTOCOL || 'http';
 const HTTP_USER_AGENT_HEADER = process.env.JAMBONES_HTTP_USER_AGENT_HEADER || 'jambonz';
 
+/* webhook failover: consecutive failures before a url is skipped, and how long before it is tried again */
+const JAMBONES_WEBHOOK_CIRCUIT_BREAKER_THRESHOLD =
+  parseInt(process.env.JAMBONES_WEBHOOK_CIRCUIT_BREAKER_THRESHOLD, 10) || 3;
+const JAMBONES_WEBHOOK_CIRCUIT_BREAKER_RESET_MS =
+  parseInt(process.env.JAMBONES_WEBHOOK_CIRCUIT_BREAKER_RESET_MS, 10) || 30000;
+/* optional Ed25519 private key (PEM) used to add an asymmetric signature to webhooks */
+const JAMBONES_WEBHOOK_SIGNING_KEY = process.env.JAMBONES_WEBHOOK_SIGNING_KEY;
+/* directory of client certificates for mutual TLS to app servers, in a subdirectory per account or application */
+const JAMBONES_WEBHOOK_TLS_DIR = process.env.JAMBONES_WEBHOOK_TLS_DIR;
+/* how often the certificate files are checked for changes */
+const JAMBONES_WEBHOOK_TLS_CHECK_SECS = parseInt(process.env.JAMBONES_WEBHOOK_TLS_CHECK_SECS, 10) || 60;
+/* how long a cached session:new response may be served when the app server is unavailable */
+const JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS =
+  isNaN(parseInt(process.env.JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS, 10)) ?
+    300 : parseInt(process.env.JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS, 10);
+
+/* retrying of call:status and verb:status notifications that could not be delivered, on unless disabled */
+const JAMBONES_DEAD_LETTER_RETRY = !process.env.JAMBONES_DISABLE_DEAD_LETTER_RETRY;
+const JAMBONES_DEAD_LETTER_MAX_ATTEMPTS = parseInt(process.env.JAMBONES_DEAD_LETTER_MAX_ATTEMPTS, 10) || 10;
+const JAMBONES_DEAD_LETTER_RETRY_BASE_MS = parseInt(process.env.JAMBONES_DEAD_LETTER_RETRY_BASE_MS, 10) || 10000;
+const JAMBONES_DEAD_LETTER_RETRY_MAX_MS = parseInt(process.env.JAMBONES_DEAD_LETTER_RETRY_MAX_MS, 10) || 3600000;
+const JAMBONES_DEAD_LETTER_TTL_SECS = parseInt(process.env.JAMBONES_DEAD_LETTER_TTL_SECS, 10) || 7 * 86400;
+
 const OPTIONS_PING_INTERVAL = parseInt(process.env.OPTIONS_PING_INTERVAL, 10) || 30000;
 
 const JAMBONZ_RECORD_WS_BASE_URL = process.env.JAMBONZ_RECORD_WS_BASE_URL || process.env.JAMBONES_RECORD_WS_BASE_URL;
 const JAMBONZ_RECORD_WS_USERNAME = process.env.JAMBONZ_RECORD_WS_USERNAME || process.env.JAMBONES_RECORD_WS_USERNAME;
 const JAMBONZ_RECORD_WS_PASSWORD = process.env.JAMBONZ_RECORD_WS_PASSWORD || process.env.JAMBONES_RECORD_WS_PASSWORD;
+/* 'sbc' to have the SBC fork calls to a SIPREC recording server, 'feature-server' to do it ourselves */
+const JAMBONES_SIPREC_CLIENT = process.env.JAMBONES_SIPREC_CLIENT || 'sbc';
 const JAMBONZ_DIAL_PAI_HEADER = process.env.JAMBONZ_DIAL_PAI_HEADER || false;
 const JAMBONES_DISABLE_DIRECT_P2P_CALL = process.env.JAMBONES_DISABLE_DIRECT_P2P_CALL || false;
 
@@ -212,15 +240,28 @@ module.exports = {
   HTTP_POOLSIZE,
   HTTP_PIPELINING,
   HTTP_TIMEOUT,
+  JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS,
   HTTP_PROXY_IP,
   HTTP_PROXY_PORT,
   HTTP_PROXY_PROTOCOL,
   HTTP_USER_AGENT_HEADER,
+  JAMBONES_WEBHOOK_CIRCUIT_BREAKER_THRESHOLD,
+  JAMBONES_WEBHOOK_CIRCUIT_BREAKER_RESET_MS,
+  JAMBONES_WEBHOOK_SIGNING_KEY,
+  JAMBONES_WEBHOOK_TLS_DIR,
+  JAMBONES_WEBHOOK_TLS_CHECK_SECS,
+  JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS,
+  JAMBONES_DEAD_LETTER_RETRY,
+  JAMBONES_DEAD_LETTER_MAX_ATTEMPTS,
+  JAMBONES_DEAD_LETTER_RETRY_BASE_MS,
+  JAMBONES_DEAD_LETTER_RETRY_MAX_MS,
+  JAMBONES_DEAD_LETTER_TTL_SECS,
   OPTIONS_PING_INTERVAL,
   RESPONSE_TIMEOUT_MS,
   JAMBONES_WS_HANDSHAKE_TIMEOUT_MS,
   JAMBONES_WS_MAX_PAYLOAD,
   JAMBONES_WS_PING_INTERVAL_MS,
+  JAMBONES_WS_REPLAY_BUFFER_SIZE,
   MAX_RECONNECTS,
   GCP_JSON_KEY,
   MICROSOFT_REGION,
@@ -228,6 +269,7 @@ module.exports = {
   SONIOX_API_KEY,
   DEEPGRAM_API_KEY,
   JAMBONZ_RECORD_WS_BASE_URL,
+  JAMBONES_SIPREC_CLIENT,
   JAMBONZ_RECORD_WS_USERNAME,
   JAMBONZ_RECORD_WS_PASSWORD,
   JAMBONZ_DIAL_PAI_HEADER,
@@ -0,0 +1,39 @@
+const router = require('express').Router();
+const sysError = require('./error');
+const sessionTracker = require('../../session/session-tracker');
+
+/**
+ * list the calls currently being handled by this feature server
+ */
+router.get('/', async(req, res) => {
+  const logger = req.app.locals.logger;
+  try {
+    const calls = [];
+    for (const cs of sessionTracker.sessions.values()) {
+      calls.push(cs.getSessionDetails());
+    }
+    res.status(200).json(calls);
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * retrieve the details of a single call
+ */
+router.get('/:callSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const callSid = req.params.callSid;
+  try {
+    const cs = sessionTracker.get(callSid);
+    if (!cs) {
+      logger.info(`calls: callSid not found ${callSid}`);
+      return res.sendStatus(404);
+    }
+    res.status(200).json(cs.getSessionDetails());
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+module.exports = router;
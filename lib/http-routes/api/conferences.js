@@ -0,0 +1,111 @@
+const router = require('express').Router();
+const sysError = require('./error');
+const sessionTracker = require('../../session/session-tracker');
+const {TaskName} = require('../../utils/constants.json');
+const {DbErrorBadRequest} = require('../utils/errors');
+
+/* the Conference task method that performs each participant action */
+const PARTICIPANT_ACTIONS = {
+  mute: (task, cs) => task.doConferenceMute(cs, {conf_mute_status: 'mute'}),
+  unmute: (task, cs) => task.doConferenceMute(cs, {conf_mute_status: 'unmute'}),
+  kick: (task, cs) => task.kickMember(cs),
+  hold: (task, cs, {wait_hook}) => task.doConferenceHold(cs, {conf_hold_status: 'hold', ...(wait_hook && {wait_hook})}),
+  unhold: (task, cs) => task.doConferenceHold(cs, {conf_hold_status: 'unhold'}),
+  tag: (task, cs, {tag}) => task.setMemberTag(tag),
+  untag: (task) => task.clearMemberTag(),
+  coach: (task, cs, {tag}) => task.setCoachMode(tag),
+  uncoach: (task) => task.clearCoachMode(),
+  startRecording: (task, cs, {track}) => task.doConferenceRecordingAction(cs, 'startRecording', track),
+  stopRecording: (task, cs, {track}) => task.doConferenceRecordingAction(cs, 'stopRecording', track),
+  pauseRecording: (task, cs, {track}) => task.doConferenceRecordingAction(cs, 'pauseRecording', track),
+  resumeRecording: (task, cs, {track}) => task.doConferenceRecordingAction(cs, 'resumeRecording', track),
+  breakout: (task, cs, {conference}) => task.moveToConference(cs, conference),
+  recall: (task, cs) => task.recallBreakoutRooms(cs)
+};
+
+/**
+ * retrieve the participants, on this server, of the conferences for an account
+ * @returns {Map} participants keyed by conference name
+ */
+function retrieveConferences(accountSid) {
+  const conferences = new Map();
+  for (const cs of sessionTracker.sessions.values()) {
+    const task = cs.currentTask;
+    if (cs.accountSid !== accountSid || !task || task.name !== TaskName.Conference || !cs.isInConference) continue;
+    const name = task.friendlyName;
+    if (!conferences.has(name)) conferences.set(name, []);
+    conferences.get(name).push({cs, task});
+  }
+  return conferences;
+}
+
+/**
+ * list the conferences for an account
+ */
+router.get('/:accountSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  try {
+    const conferences = [...retrieveConferences(req.params.accountSid)].map(([name, participants]) => ({
+      name,
+      participantCount: participants.length,
+      ...(participants[0].task.conferenceStartTime &&
+        {startTime: participants[0].task.conferenceStartTime.toISOString()})
+    }));
+    res.status(200).json(conferences);
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * retrieve the roster of a conference
+ */
+router.get('/:accountSid/:name', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, name} = req.params;
+  try {
+    const participants = retrieveConferences(accountSid).get(name);
+    if (!participants) {
+      logger.info(`conferences: conference not found ${name}`);
+      return res.sendStatus(404);
+    }
+    res.status(200).json({
+      name,
+      participants: participants.map(({cs, task}) => task.getParticipantDetails(cs))
+    });
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * perform an action (mute, unmute, kick, hold, unhold, tag, coach, recording control, etc) on a participant
+ */
+router.post('/:accountSid/:name/:callSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, name, callSid} = req.params;
+  const {action, tag} = req.body || {};
+  try {
+    if (!Object.hasOwn(PARTICIPANT_ACTIONS, action)) {
+      const actions = Object.keys(PARTICIPANT_ACTIONS).join(', ');
+      throw new DbErrorBadRequest(`invalid action ${action}, must be one of ${actions}`);
+    }
+    if (['tag', 'coach'].includes(action) && !tag) {
+      throw new DbErrorBadRequest(`tag is required for action ${action}`);
+    }
+    const participant = (retrieveConferences(accountSid).get(name) || []).find(({cs}) => cs.callSid === callSid);
+    if (!participant) {
+      logger.info(`conferences: callSid ${callSid} not found in conference ${name}`);
+      return res.sendStatus(404);
+    }
+    res.status(202).end();
+    const {cs, task} = participant;
+    Promise.resolve()
+      .then(() => PARTICIPANT_ACTIONS[action](task, cs, req.body))
+      .catch((err) => logger.info({err}, `conferences: error performing ${action} on ${callSid}`));
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+module.exports = router;
@@ -6,10 +6,13 @@ const {CallDirection, CallStatus} = require('../../utils/constants');
 const crypto = require('crypto');
 const SipError = require('drachtio-srf').SipError;
 const { validationResult, body } = require('express-validator');
-const { validate } = require('@jambonz/verb-specifications');
+const { validate } = require('../../utils/verb-specs');
 const sysError = require('./error');
 const HttpRequestor = require('../../utils/http-requestor');
 const WsRequestor = require('../../utils/ws-requestor');
+const GrpcRequestor = require('../../utils/grpc-requestor');
+const {getWebhookTls, withWebhookTls} = require('../../utils/webhook-tls');
+const {isGrpcUrl} = GrpcRequestor;
 const RootSpan = require('../../utils/call-tracer');
 const dbUtils = require('../../utils/db-utils');
 const { decrypt } = require('../../utils/encrypt-decrypt');
@@ -57,12 +60,17 @@ router.post('/',
       logger.debug({ err }, `invalid app_json: ${err.message}`);
     }
 
+    // queue_callback is sent by another feature server, to call back a caller that left a queue
+    const queue_callback = req.body['queue_callback'];
+    delete req.body.queue_callback;
+
     logger.debug({body: req.body}, 'got createCall request');
     try {
       let uri, cs, to;
 
       const restDial = makeTask(logger, { 'rest:dial': req.body });
       restDial.appJson = app_json;
+      restDial.queueCallback = queue_callback;
 
       const {lookupAccountDetails, lookupCarrierByPhoneNumber, lookupCarrier} = dbUtils(logger, srf);
       const {
@@ -230,6 +238,18 @@ router.post('/',
         ...req.body
       };
 
+      /* the application may specify a fallback url to use when its call_hook is unavailable */
+      if (application?.fallback_url && app.call_hook && !app.call_hook.fallback_urls) {
+        app.call_hook = {...app.call_hook, fallback_urls: [application.fallback_url]};
+      }
+
+      /* the account or application may require a client certificate for mutual TLS to the app server */
+      const tls = getWebhookTls({account, application});
+      if (tls) {
+        app.call_hook = withWebhookTls(app.call_hook, tls);
+        app.call_status_hook = withWebhookTls(app.call_status_hook, tls);
+      }
+
       /**
      * attach our requestor and notifier objects
      * these will be used for all http requests we make during this call
@@ -243,6 +263,14 @@ router.post('/',
           app.call_status_hook = app.call_hook;
         }
       }
+      else if (isGrpcUrl(app.call_hook?.url)) {
+        logger.debug({call_hook: app.call_hook}, 'creating grpc stream for call hook');
+        app.requestor = new GrpcRequestor(logger, account.account_sid, app.call_hook, account.webhook_secret);
+        if (app.call_hook.url === app.call_status_hook?.url || !app.call_status_hook?.url) {
+          app.notifier = app.requestor;
+          app.call_status_hook = app.call_hook;
+        }
+      }
       else {
         logger.debug({call_hook: app.call_hook}, 'creating http client for call hook');
         app.requestor = new HttpRequestor(logger, account.account_sid, app.call_hook, account.webhook_secret);
@@ -0,0 +1,84 @@
+const router = require('express').Router();
+const sysError = require('./error');
+const deadLetterQueue = require('../../utils/dead-letter-queue');
+const {redact} = deadLetterQueue;
+const {DbErrorBadRequest} = require('../utils/errors');
+
+/**
+ * list the status notifications for an account that could not be delivered,
+ * optionally filtered by call_sid, type (call:status or verb:status) and status (pending or failed)
+ */
+router.get('/:accountSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {call_sid: callSid, type, status} = req.query;
+  try {
+    const entries = await deadLetterQueue.list(req.params.accountSid, {callSid, type, status});
+    res.status(200).json(entries);
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * retrieve an undeliverable notification
+ */
+router.get('/:accountSid/:id', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, id} = req.params;
+  try {
+    const entry = await deadLetterQueue.retrieve(accountSid, id);
+    if (!entry) return res.sendStatus(404);
+    res.status(200).json(redact(entry));
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * deliver an undeliverable notification now, either to its original target or to the
+ * url provided; on success the notification is removed from the log
+ */
+router.post('/:accountSid/:id/replay', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, id} = req.params;
+  const {url, method, username, password} = req.body || {};
+  try {
+    if (url && !/^https?:\/\//.test(url)) throw new DbErrorBadRequest('url must be an absolute http(s) url');
+    if (method && !['GET', 'POST'].includes(method.toUpperCase())) {
+      throw new DbErrorBadRequest('method must be GET or POST');
+    }
+    const entry = await deadLetterQueue.retrieve(accountSid, id);
+    if (!entry) return res.sendStatus(404);
+    if (!url && !/^https?:\/\//.test(entry.hook.url)) {
+      throw new DbErrorBadRequest(`a url is required to replay a notification originally sent to ${entry.hook.url}`);
+    }
+    try {
+      const hook = url && {url, ...(method && {method}), ...(username && {username, password})};
+      const replayed = await deadLetterQueue.replay(accountSid, id, hook);
+      if (!replayed) return res.sendStatus(404);
+      res.status(200).json(replayed);
+    } catch (err) {
+      logger.info({err}, `dead-letters: error replaying notification ${id}`);
+      res.status(502).json({msg: err.message});
+    }
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * remove a notification from the log
+ */
+router.delete('/:accountSid/:id', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, id} = req.params;
+  try {
+    const removed = await deadLetterQueue.remove(accountSid, id);
+    if (!removed) return res.sendStatus(404);
+    res.sendStatus(204);
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const router = require('express').Router();
 const sysError = require('./error');
 const sessionTracker = require('../../session/session-tracker');
+const queueCallbackManager = require('../../utils/queue-callback-manager');
 const {TaskName} = require('../../utils/constants.json');
 const {DbErrorUnprocessableRequest} = require('../utils/errors');
 
@@ -29,6 +30,10 @@ router.post('/:callSid', async(req, res) => {
   logger.debug({callSid, body: req.body}, 'got enqueue event');
   try {
     const cs = retrieveCallSession(logger, callSid, req.body);
+    if (!cs && await queueCallbackManager.has(callSid)) {
+      res.status(202).end();
+      return queueCallbackManager.notifyQueueEvent(callSid, req.body);
+    }
     if (!cs) {
       logger.info(`enqueue: callSid not found ${callSid}`);
       return res.sendStatus(404);
@@ -0,0 +1,37 @@
+const router = require('express').Router();
+const callEventPublisher = require('../../utils/call-event-publisher');
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+/**
+ * stream call:status, verb:status and jambonz:error events for calls on this feature server
+ * as server-sent events, optionally filtered by account_sid and/or call_sid
+ */
+router.get('/', (req, res) => {
+  const logger = req.app.locals.logger;
+  const {account_sid, call_sid} = req.query;
+  logger.info({account_sid, call_sid}, 'events: client subscribed to event stream');
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  const onEvent = (evt) => {
+    if (account_sid && evt.account_sid !== account_sid) return;
+    if (call_sid && evt.call_sid !== call_sid) return;
+    res.write(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  };
+  const timer = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+  callEventPublisher.on('event', onEvent);
+
+  req.on('close', () => {
+    logger.info({account_sid, call_sid}, 'events: client unsubscribed from event stream');
+    clearInterval(timer);
+    callEventPublisher.removeListener('event', onEvent);
+  });
+});
+
+module.exports = router;
@@ -3,8 +3,13 @@ const api = require('express').Router();
 api.use('/createCall', require('./create-call'));
 api.use('/updateCall', require('./update-call'));
 api.use('/conference', require('./conference'));
+api.use('/conferences', require('./conferences'));
 api.use('/dequeue', require('./dequeue'));
 api.use('/enqueue', require('./enqueue'));
+api.use('/calls', require('./calls'));
+api.use('/queues', require('./queues'));
+api.use('/events', require('./events'));
+api.use('/dead-letters', require('./dead-letters'));
 
 api.use('/messaging', require('./messaging'));            // inbound SMS
 api.use('/createMessage', require('./create-message'));   // outbound SMS (REST)
@@ -1,6 +1,7 @@
 const router = require('express').Router();
 const HttpRequestor = require('../../utils/http-requestor');
 const WsRequestor = require('../../utils/ws-requestor');
+const {getWebhookTls, withWebhookTls} = require('../../utils/webhook-tls');
 const CallInfo = require('../../session/call-info');
 const {CallDirection} = require('../../utils/constants');
 const SmsSession = require('../../session/sms-call-session');
@@ -18,7 +19,7 @@ router.post('/:partner', async(req, res) => {
   const {lookupAccountBySid} = srf.locals.dbHelpers;
   const app = req.body.app;
   const account = await lookupAccountBySid(app.accountSid);
-  const hook = app.messaging_hook;
+  const hook = withWebhookTls(app.messaging_hook, getWebhookTls({account}));
   let requestor;
 
   if ('WS' === hook?.method) {
@@ -0,0 +1,160 @@
+const router = require('express').Router();
+const bent = require('bent');
+const sysError = require('./error');
+const {DbErrorBadRequest} = require('../utils/errors');
+const {
+  makeQueueName,
+  memberUrl,
+  listQueueNames,
+  retrieveMemberInfo,
+  saveMemberInfo,
+  removeMemberInfo
+} = require('../../utils/queue-utils');
+
+const getElapsedTime = (from) => Math.floor((Date.now() - from) / 1000);
+
+/* the member url and sorted set value are internal to the feature servers */
+const withoutUrl = ({url, value, ...details}) => details;
+
+/**
+ * retrieve the members of a queue in the order they will be dequeued
+ */
+async function retrieveMembers(dbHelpers, queueName) {
+  const {client} = dbHelpers;
+  const values = await client.zrange(queueName, 0, -1);
+  const info = values.length ? await retrieveMemberInfo(client, queueName) : {};
+  return values.map((value, position) => {
+    const url = memberUrl(value);
+    const {callSid, priority, joinTime, attributes, callback} = info[url] || {};
+    return {
+      callSid: callSid || url.split('/').pop(),
+      position,
+      priority,
+      ...(joinTime && {joinTime, waitTime: getElapsedTime(joinTime)}),
+      ...(attributes && {attributes}),
+      ...(callback && {callback}),
+      url,
+      value
+    };
+  });
+}
+
+async function findMember(dbHelpers, queueName, callSid) {
+  const members = await retrieveMembers(dbHelpers, queueName);
+  return members.find((m) => m.callSid === callSid);
+}
+
+/**
+ * list the queues for an account
+ */
+router.get('/:accountSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid} = req.params;
+  try {
+    const {srf} = require('../../..');
+    const {dbHelpers} = srf.locals;
+    const queues = [];
+    for (const name of await listQueueNames(dbHelpers.client, accountSid)) {
+      const members = await retrieveMembers(dbHelpers, makeQueueName(accountSid, name));
+      if (0 === members.length) continue;
+      const waitTimes = members.filter((m) => typeof m.waitTime === 'number').map((m) => m.waitTime);
+      queues.push({
+        name,
+        length: members.length,
+        ...(waitTimes.length && {oldestWaitTime: Math.max(...waitTimes)})
+      });
+    }
+    res.status(200).json(queues);
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * list the members of a queue
+ */
+router.get('/:accountSid/:name', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, name} = req.params;
+  try {
+    const {srf} = require('../../..');
+    const members = await retrieveMembers(srf.locals.dbHelpers, makeQueueName(accountSid, name));
+    if (0 === members.length) {
+      logger.info(`queues: queue not found ${name}`);
+      return res.sendStatus(404);
+    }
+    res.status(200).json({name, length: members.length, members: members.map(withoutUrl)});
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * remove a member from a queue; the waiting call leaves the queue and continues with its application
+ */
+router.delete('/:accountSid/:name/:callSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, name, callSid} = req.params;
+  try {
+    const {srf} = require('../../..');
+    const {dbHelpers} = srf.locals;
+    const queueName = makeQueueName(accountSid, name);
+    const member = await findMember(dbHelpers, queueName, callSid);
+    if (!member) {
+      logger.info(`queues: callSid ${callSid} not found in queue ${name}`);
+      return res.sendStatus(404);
+    }
+    const removed = await dbHelpers.client.zrem(queueName, member.value);
+    await removeMemberInfo(dbHelpers.client, queueName, member.url);
+    if (1 !== removed) {
+      logger.info(`queues: callSid ${callSid} was dequeued before it could be removed from ${name}`);
+      return res.sendStatus(404);
+    }
+    res.sendStatus(204);
+
+    bent('POST', 202)(member.url, {event: 'remove'}).catch((err) => {
+      logger.info({err, url: member.url}, 'queues: error notifying removed member');
+    });
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+/**
+ * change the priority of a member of a queue
+ */
+router.patch('/:accountSid/:name/:callSid', async(req, res) => {
+  const logger = req.app.locals.logger;
+  const {accountSid, name, callSid} = req.params;
+  const {priority} = req.body || {};
+  try {
+    if (!Number.isInteger(priority) || priority < 0) {
+      throw new DbErrorBadRequest('priority must be a non-negative integer');
+    }
+    const {srf} = require('../../..');
+    const {dbHelpers} = srf.locals;
+    const queueName = makeQueueName(accountSid, name);
+    const member = await findMember(dbHelpers, queueName, callSid);
+    if (!member) {
+      logger.info(`queues: callSid ${callSid} not found in queue ${name}`);
+      return res.sendStatus(404);
+    }
+
+    /* only change the score of a member that is still in the queue, it may have left or been dequeued */
+    const {client} = dbHelpers;
+    const changed = await client.zadd(queueName, 'XX', 'CH', priority, member.value);
+    if (1 !== changed && null === await client.zscore(queueName, member.value)) {
+      logger.info(`queues: callSid ${callSid} left ${name} before its priority could be changed`);
+      return res.sendStatus(404);
+    }
+    const info = (await retrieveMemberInfo(dbHelpers.client, queueName))[member.url] || {callSid};
+    await saveMemberInfo(dbHelpers.client, queueName, member.url, {...info, priority});
+
+    const updated = await findMember(dbHelpers, queueName, callSid);
+    res.status(200).json(withoutUrl(updated || {...member, priority}));
+  } catch (err) {
+    sysError(logger, res, err);
+  }
+});
+
+module.exports = router;
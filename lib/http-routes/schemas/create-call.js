@@ -51,6 +51,11 @@ const createCallSchema = checkSchema({
     optional: true,
     errorMessage: 'Invalid app_json',
   },
+  queue_callback: {
+    isObject: true,
+    optional: true,
+    errorMessage: 'Invalid queue_callback',
+  },
   account_sid: {
     isString: true,
     optional: true,
@@ -4,6 +4,8 @@ const {parseSiprecPayload} = require('./utils/siprec-utils');
 const CallInfo = require('./session/call-info');
 const HttpRequestor = require('./utils/http-requestor');
 const WsRequestor = require('./utils/ws-requestor');
+const GrpcRequestor = require('./utils/grpc-requestor');
+const {isGrpcUrl} = GrpcRequestor;
 const makeTask = require('./tasks/make_task');
 const parseUri = require('drachtio-srf').parseUri;
 const { normalizeJambones }  = require('@jambonz/verb-specifications');
@@ -17,6 +19,8 @@ const {
 } = require('./config');
 const { createJambonzApp } = require('./dynamic-apps');
 const { decrypt } = require('./utils/encrypt-decrypt');
+const {parseHookFallback, withHookTimeout, isHookFailure, reportHookFallback} = require('./utils/hook-fallback');
+const {getWebhookTls, withWebhookTls} = require('./utils/webhook-tls');
 
 module.exports = function(srf, logger) {
   const {
@@ -326,16 +330,34 @@ module.exports = function(srf, logger) {
 
       /* allow for caching data - when caching treat retrieved data as immutable */
       const app2 = JAMBONES_MYSQL_REFRESH_TTL ? JSON.parse(JSON.stringify(app)) : app;
+
+      /* the application may specify a fallback url to use when its call_hook is unavailable */
+      if (app.fallback_url && app2.call_hook && !app2.call_hook.fallback_urls) {
+        app2.call_hook = {...app2.call_hook, fallback_urls: [app.fallback_url]};
+      }
+
+      /* the account or application may require a client certificate for mutual TLS to the app server */
+      const tls = getWebhookTls({account: accountInfo.account, application: app});
+      if (tls) {
+        app2.call_hook = withWebhookTls(app2.call_hook, tls);
+        app2.call_status_hook = withWebhookTls(app2.call_status_hook, tls);
+      }
+
       if ('WS' === app.call_hook?.method ||
         app.call_hook?.url.startsWith('ws://') || app.call_hook?.url.startsWith('wss://')) {
-        const requestor = new WsRequestor(logger, account_sid, app.call_hook, accountInfo.account.webhook_secret) ;
+        const requestor = new WsRequestor(logger, account_sid, app2.call_hook, accountInfo.account.webhook_secret) ;
         app2.requestor = requestor;
         app2.notifier = requestor;
         app2.call_hook.method = 'WS';
       }
+      else if (isGrpcUrl(app.call_hook?.url)) {
+        const requestor = new GrpcRequestor(logger, account_sid, app2.call_hook, accountInfo.account.webhook_secret);
+        app2.requestor = requestor;
+        app2.notifier = requestor;
+      }
       else {
-        app2.requestor = new HttpRequestor(logger, account_sid, app.call_hook, accountInfo.account.webhook_secret);
-        if (app.call_status_hook) app2.notifier = new HttpRequestor(logger, account_sid, app.call_status_hook,
+        app2.requestor = new HttpRequestor(logger, account_sid, app2.call_hook, accountInfo.account.webhook_secret);
+        if (app2.call_status_hook) app2.notifier = new HttpRequestor(logger, account_sid, app2.call_status_hook,
           accountInfo.account.webhook_secret);
         else app2.notifier = {request: () => {}, close: () => {}};
       }
@@ -448,7 +470,8 @@ module.exports = function(srf, logger) {
         span = obj.span;
         const b3 = rootSpan.getTracingPropagation();
         const httpHeaders = b3 && { b3 };
-        json = await app.requestor.request('session:new', app.call_hook, params, httpHeaders, span);
+        json = await withHookTimeout(app.requestor.request('session:new', app.call_hook, params, httpHeaders, span),
+          parseHookFallback(app.hook_fallback)?.timeout);
       }
 
       app.tasks = normalizeJambones(logger, json).map((tdata) => makeTask(logger, tdata));
@@ -481,6 +504,32 @@ module.exports = function(srf, logger) {
         message: `${err?.message}`.trim()
       }).catch((err) => this.logger.info({err}, 'Error generating alert for parsing application'));
       logger.info({err}, `Error retrieving or parsing application: ${err?.message}`);
+
+      /* the application may provide verbs to execute rather than rejecting the call */
+      const fallback = !siprec && isHookFailure(err) && parseHookFallback(app.hook_fallback);
+      if (fallback) {
+        let tasks;
+        try {
+          tasks = normalizeJambones(logger, fallback.verbs).map((tdata) => makeTask(logger, tdata));
+        } catch (error) {
+          logger.info({error}, 'invalid hookFallback verbs');
+        }
+        if (tasks?.length) {
+          app.tasks = tasks;
+          app.hookFallbackUsed = true;
+          reportHookFallback({
+            logger,
+            writeAlerts,
+            AlertType,
+            requestor: app.requestor,
+            accountSid: req.locals.account_sid,
+            callSid: req.locals.callSid,
+            type: 'session:new',
+            err
+          });
+          return next();
+        }
+      }
       res.send(JAMBONES_WEBHOOK_ERROR_RETURN, {headers: {'X-Reason': err?.message || 'unknown'}});
       app.requestor.close(WS_CLOSE_CODES.GoingAway);
     }
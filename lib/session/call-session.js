@@ -10,25 +10,37 @@ const {
   RecordState,
   AllowedSipRecVerbs,
   AllowedConfirmSessionVerbs,
+  SipRequestWithinDialogMethods,
+  SipRequestWithinDialogDefaultStatus,
   TtsStreamingEvents,
   ListenStatus
 } = require('../utils/constants.json');
 const moment = require('moment');
 const assert = require('assert');
 const sessionTracker = require('./session-tracker');
+const callEventPublisher = require('../utils/call-event-publisher');
+const deadLetterQueue = require('../utils/dead-letter-queue');
+const statusBatcher = require('../utils/status-batcher');
+const {parseBatchOptions} = statusBatcher;
+const {parseHookFallback, isHookFailure, reportHookFallback} = require('../utils/hook-fallback');
+const {getWebhookTls, withWebhookTls} = require('../utils/webhook-tls');
 const makeTask = require('../tasks/make_task');
 const parseDecibels = require('../utils/parse-decibels');
 const { normalizeJambones } = require('@jambonz/verb-specifications');
 const listTaskNames = require('../utils/summarize-tasks');
 const HttpRequestor = require('../utils/http-requestor');
 const WsRequestor = require('../utils/ws-requestor');
+const GrpcRequestor = require('../utils/grpc-requestor');
 const ActionHookDelayProcessor = require('../utils/action-hook-delay');
 const TtsStreamingBuffer = require('../utils/tts-streaming-buffer');
 const StickyEventEmitter = require('../utils/sticky-event-emitter');
+const SipRecClient = require('../utils/siprec-client');
 const {parseUri} = require('drachtio-srf');
 const {
   JAMBONES_INJECT_CONTENT,
   JAMBONES_EAGERLY_PRE_CACHE_AUDIO,
+  JAMBONES_SIPREC_CLIENT,
+  JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS,
   AWS_REGION,
 } = require('../config');
 const bent = require('bent');
@@ -522,6 +534,14 @@ class CallSession extends Emitter {
 
   get recordState() { return this._recordState; }
 
+  /**
+   * verbs provided by the application to execute when a session:new or verb:hook request fails
+   */
+  get hookFallback() {
+    if (undefined === this._hookFallback) this._hookFallback = parseHookFallback(this.application?.hook_fallback);
+    return this._hookFallback;
+  }
+
   get notifyEvents() { return this._notifyEvents; }
   set notifyEvents(notify) { this._notifyEvents = !!notify; }
 
@@ -685,8 +705,9 @@ class CallSession extends Emitter {
     return v;
   }
 
+  /* true if the app is controlling the call over a persistent connection (websocket or gRPC stream) */
   get appIsUsingWebsockets() {
-    return this.requestor instanceof WsRequestor;
+    return this.requestor instanceof WsRequestor || this.requestor instanceof GrpcRequestor;
   }
 
   /* end of getters and setters */
@@ -854,9 +875,17 @@ class CallSession extends Emitter {
     }
   }
 
+  /**
+   * whether we fork the call to the recording server ourselves, rather than asking the SBC to do it
+   */
+  get isSipRecClient() {
+    return 'feature-server' === (this.recordOptions?.siprecClient || JAMBONES_SIPREC_CLIENT);
+  }
+
   async startRecording() {
     const {recordingID, siprecServerURL} = this.recordOptions;
     assert(this.dlg);
+    if (this.isSipRecClient) return this._startSipRecClient();
     this.logger.debug(`CallSession:startRecording - sending to ${siprecServerURL}`);
     try {
       const res = await this.dlg.request({
@@ -888,6 +917,12 @@ class CallSession extends Emitter {
   async stopRecording() {
     assert(this.dlg);
     this.logger.debug('CallSession:stopRecording');
+    if (this.sipRecClient) {
+      const client = this.sipRecClient;
+      this.sipRecClient = null;
+      this._recordState = RecordState.RecordingOff;
+      return client.stop();
+    }
     try {
       const res = await this.dlg.request({
         method: 'INFO',
@@ -910,6 +945,11 @@ class CallSession extends Emitter {
   async pauseRecording() {
     assert(this.dlg);
     this.logger.debug('CallSession:pauseRecording');
+    if (this.sipRecClient) {
+      if (!await this.sipRecClient.pause()) return false;
+      this._recordState = RecordState.RecordingPaused;
+      return true;
+    }
     try {
       const res = await this.dlg.request({
         method: 'INFO',
@@ -934,6 +974,11 @@ class CallSession extends Emitter {
   async resumeRecording() {
     assert(this.dlg);
     this.logger.debug('CallSession:resumeRecording');
+    if (this.sipRecClient) {
+      if (!await this.sipRecClient.resume()) return false;
+      this._recordState = RecordState.RecordingOn;
+      return true;
+    }
     try {
       const res = await this.dlg.request({
         method: 'INFO',
@@ -955,6 +1000,20 @@ class CallSession extends Emitter {
     }
   }
 
+  async _startSipRecClient() {
+    const client = new SipRecClient(this, this.recordOptions);
+    this.logger.debug(`CallSession:startRecording - forking call to ${this.recordOptions.siprecServerURL}`);
+    if (!await client.start()) return false;
+    client.once('end', () => {
+      if (this.sipRecClient !== client) return;
+      this.sipRecClient = null;
+      this._recordState = RecordState.RecordingOff;
+    });
+    this.sipRecClient = client;
+    this._recordState = RecordState.RecordingOn;
+    return true;
+  }
+
   async enableBackgroundTtsStream(say) {
     try {
       if (this.isTtsStreamEnabled) {
@@ -1700,7 +1759,8 @@ class CallSession extends Emitter {
     if (!task || TaskName.Conference !== task.name || !this.isInConference) {
       return this.logger.info('CallSession:_lccConferenceParticipantAction - invalid cmd, call is not in conference');
     }
-    task.doConferenceParticipantAction(this, opts);
+    task.doConferenceParticipantAction(this, opts)
+      .catch((err) => this.logger.error({err, opts}, 'CallSession:_lccConferenceParticipantAction - error'));
   }
 
   async _lccMuteStatus(mute, callSid) {
@@ -1721,6 +1781,15 @@ class CallSession extends Emitter {
     task.doConferenceHold(this, opts);
   }
 
+  async _lccTransfer(opts) {
+    const task = this.currentTask;
+    if (!task || task.name !== TaskName.Dial) {
+      return this.logger.info('CallSession:_lccTransfer - invalid command since we are not in a dial verb');
+    }
+    task.doAttendedTransfer(this, opts)
+      .catch((err) => this.logger.error(err, 'CallSession:_lccTransfer'));
+  }
+
   async _lccConfMuteStatus(opts) {
     const task = this.currentTask;
     if (!task || TaskName.Conference !== task.name || !this.isInConference) {
@@ -2033,6 +2102,9 @@ Duration=${duration} `
       else if (opts.media_path) {
         return this._lccMediaPath(opts.media_path, callSid);
       }
+      else if (opts.transfer) {
+        return this._lccTransfer(opts.transfer);
+      }
       else if (opts.llm_tool_output) {
         return this._lccToolOutput(opts.tool_call_id, opts.llm_tool_output, callSid);
       }
@@ -2367,6 +2439,10 @@ Duration=${duration} `
           });
         break;
 
+      case 'transfer':
+        this._lccTransfer(data);
+        break;
+
       case 'llm:tool-output':
         this._lccToolOutput(tool_call_id, data, call_sid);
         break;
@@ -2608,6 +2684,10 @@ Duration=${duration} `
     this.stickyEventEmitter.destroy();
     this.stickyEventEmitter = null;
     this.taskInProgress = null;
+    if (this.sipRecClient) {
+      await this.sipRecClient.stop();
+      this.sipRecClient = null;
+    }
     for (const resource of [this.dlg, this.ep, this.ep2]) {
       try {
         if (resource && resource.connected) await resource.destroy();
@@ -2701,8 +2781,8 @@ Duration=${duration} `
         this.dlg.on('modify', this._onReinvite.bind(this));
         this.dlg.on('refer', this._onRefer.bind(this));
         if (this.sipRequestWithinDialogHook) {
-          this.dlg.on('info', this._onRequestWithinDialog.bind(this));
-          this.dlg.on('message', this._onRequestWithinDialog.bind(this));
+          const handler = (req, res) => this._onRequestWithinDialog(req, res, this.dlg);
+          SipRequestWithinDialogMethods.forEach((method) => this.dlg.on(method, handler));
         }
         this.logger.debug(`CallSession:propagateAnswer - answered callSid ${this.callSid}`);
       };
@@ -2732,24 +2812,65 @@ Duration=${duration} `
     }
   }
 
-  async _onRequestWithinDialog(req, res) {
+  /**
+   * Forward a request received within the dialog to the sipRequestWithinDialogHook.
+   * The hook may respond with new verbs, or with {status, reason, headers, body} to dictate
+   * the SIP response; otherwise, or if the hook does not respond within JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS,
+   * a default response for the method is sent.
+   * @param {Dialog} [dlg] - the dialog the request was received on
+   */
+  async _onRequestWithinDialog(req, res, dlg = this.dlg) {
     if (!this.sipRequestWithinDialogHook) {
       return;
     }
     const sip_method = req.method;
-    if (sip_method === 'INFO') {
-      res.send(200);
-    } else if (sip_method === 'MESSAGE') {
-      res.send(202);
-    } else {
+    if (!(sip_method in SipRequestWithinDialogDefaultStatus)) {
       this.logger.warn(`CallSession:_onRequestWithinDialog unsupported method: ${req.method}`);
       res.send(501);
       return;
     }
+    /* NOTIFYs reporting the progress of a REFER we sent are handled by the task that sent it */
+    const isReferNotify = sip_method === 'NOTIFY' && /^refer\b/i.test(req.get('Event') || '');
+    if (isReferNotify && dlg?.listenerCount('notify') > 1) return;
+    /* an sdp offer is not something the application can answer, so we answer it with our current sdp */
+    const hasSdp = sip_method === 'UPDATE' && req.body && req.get('Content-Type')?.includes('application/sdp');
+    if (hasSdp) res.send(200, {body: dlg?.local.sdp});
+
+    let responded = hasSdp;
+    const respond = ({status = SipRequestWithinDialogDefaultStatus[sip_method], reason, headers, body} = {}) => {
+      if (responded) return;
+      responded = true;
+      res.send(status, reason, {
+        ...(headers && {headers}),
+        ...(body && {body})
+      });
+    };
+    const timer = setTimeout(() => {
+      if (responded) return;
+      this.logger.info(`CallSession:_onRequestWithinDialog - no response from hook, sending default for ${sip_method}`);
+      respond();
+    }, JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS);
+
     const params = {sip_method, sip_body: req.body, sip_headers: req.headers};
-    this.currentTask.performHook(this, this.sipRequestWithinDialogHook, params).catch((err) => {
+    let response;
+    try {
+      const json = this.currentTask ?
+        await this.currentTask.requestHook(this, this.sipRequestWithinDialogHook, params) :
+        await this.requestor.request('verb:hook', this.sipRequestWithinDialogHook,
+          {...this.callInfo.toJSON(), ...params});
+      if (Array.isArray(json)) {
+        const tasks = normalizeJambones(this.logger, json).map((tdata) => makeTask(this.logger, tdata));
+        if (tasks.length) {
+          if (this.currentTask) this.currentTask.redirect(this, tasks);
+          else this.replaceApplication(tasks);
+        }
+      }
+      else if (json && typeof json === 'object') response = json;
+    } catch (err) {
       this.logger.error({err}, 'CallSession:_onRequestWithinDialog - error calling sipRequestWithinDialogHook');
-    });
+    }
+    clearTimeout(timer);
+    respond(response);
   }
 
   async _onReinvite(req, res) {
@@ -2877,8 +2998,9 @@ Duration=${duration} `
         }
         else {
           this.logger.debug({accountSid: this.accountSid, webhook: r[0]}, 'performQueueWebhook: webhook found');
+          const tls = getWebhookTls({account: this.accountInfo?.account});
           this.queueEventHookRequestor = new HttpRequestor(this.logger, this.accountSid,
-            r[0], this.webhook_secret);
+            withWebhookTls(r[0], tls), this.webhook_secret);
           this.queueEventHook = r[0];
         }
       } catch (err) {
@@ -2954,7 +3076,7 @@ Duration=${duration} `
 
   getRemainingTaskData() {
     const tasks = [...this.tasks];
-    tasks.unshift(this.currentTask);
+    if (this.currentTask) tasks.unshift(this.currentTask);
     const remainingTasks = [];
     for (const task of tasks) {
       const o = {};
@@ -2964,6 +3086,31 @@ Duration=${duration} `
     return remainingTasks;
   }
 
+  /**
+   * Returns a snapshot of the current state of the session,
+   * used by the read-only calls api to inspect live calls
+   */
+  getSessionDetails() {
+    return {
+      ...this.callInfo.toJSON(),
+      currentTask: this.currentTask?.name || null,
+      remainingTasks: this.getRemainingTaskData(),
+      recordState: this.recordState,
+      backgroundTasks: this.backgroundTaskManager.listTasks(),
+      synthesizer: {
+        vendor: this.speechSynthesisVendor,
+        language: this.speechSynthesisLanguage,
+        voice: this.speechSynthesisVoice,
+        label: this.speechSynthesisLabel
+      },
+      recognizer: {
+        vendor: this.speechRecognizerVendor,
+        language: this.speechRecognizerLanguage,
+        label: this.speechRecognizerLabel
+      }
+    };
+  }
+
   /**
    * Call this whenever we answer the A leg, creating a dialog
    * It wraps the 'destroy' method such that if we hang up the A leg
@@ -3072,14 +3219,32 @@ Duration=${duration} `
   async executeStatusCallback(callStatus, sipStatus) {
     const {span} = this.rootSpan.startChildSpan(`call-status:${this.callInfo.callStatus}`);
     span.setAttributes(this.callInfo.toJSON());
+    const payload = this.callInfo.toJSON();
+    callEventPublisher.publish('call:status', this.callSid, this.accountSid, payload);
+    if (this.batchStatusNotification('call:status', payload)) {
+      /* final flush when the call ends */
+      if (callStatus === CallStatus.Completed) statusBatcher.flush(this._statusBatchKey);
+      span.end();
+      return;
+    }
     try {
       const b3 = this.b3;
       const httpHeaders = b3 && {b3};
-      await this.notifier.request('call:status', this.call_status_hook, this.callInfo.toJSON(), httpHeaders);
+      await this.notifier.request('call:status', this.call_status_hook, payload, httpHeaders);
       span.end();
     } catch (err) {
       span.end();
       this.logger.info(err, `CallSession:_notifyCallStatusChange error sending ${callStatus} ${sipStatus}`);
+      deadLetterQueue.add({
+        accountSid: this.accountSid,
+        applicationSid: this.applicationSid,
+        callSid: this.callSid,
+        type: 'call:status',
+        requestor: this.notifier,
+        hook: this.call_status_hook,
+        payload,
+        err
+      }).catch((err) => this.logger.info({err}, 'CallSession: error saving undeliverable call:status'));
     }
   }
 
@@ -3090,11 +3255,46 @@ Duration=${duration} `
     }
   }
 
+  /**
+   * Replace the application with its hookFallback verbs after a session:new or verb:hook request
+   * has failed or timed out.  The fallback verbs are used at most once per call, and not if the
+   * request succeeded but the application's response could not be used.
+   * @param {string} type - the type of the request that failed
+   * @param {Error} err - the error encountered
+   * @returns {boolean} true if the application was replaced with the fallback verbs
+   */
+  useHookFallback(type, err) {
+    const fallback = this.hookFallback;
+    if (!fallback || !isHookFailure(err) || this.application.hookFallbackUsed || this.callGone) return false;
+    this.application.hookFallbackUsed = true;
+    let tasks;
+    try {
+      tasks = normalizeJambones(this.logger, fallback.verbs).map((tdata) => makeTask(this.logger, tdata));
+    } catch (error) {
+      this.logger.info({error}, 'CallSession:useHookFallback - invalid hookFallback verbs');
+      return false;
+    }
+    const {writeAlerts, AlertType} = this.srf.locals;
+    reportHookFallback({
+      logger: this.logger,
+      writeAlerts,
+      AlertType,
+      requestor: this.requestor,
+      accountSid: this.accountSid,
+      callSid: this.callSid,
+      type,
+      err
+    });
+    this.replaceApplication(tasks);
+    return true;
+  }
+
   /**
    * notifyTaskError - only used when websocket connection is used instead of webhooks
    */
 
   _notifyTaskError(obj) {
+    callEventPublisher.publish('jambonz:error', this.callSid, this.accountSid, obj);
     if (this.appIsUsingWebsockets) {
       this.requestor.request('jambonz:error', '/error', obj)
         .catch((err) => this.logger.debug({err}, 'CallSession:_notifyTaskError - Error sending'));
@@ -3102,11 +3302,36 @@ Duration=${duration} `
   }
 
   _notifyTaskStatus(task, evt) {
+    const obj = {...evt, id: task.id, name: task.name};
+    callEventPublisher.publish('verb:status', this.callSid, this.accountSid, obj);
     if (this.notifyEvents && this.appIsUsingWebsockets) {
-      const obj = {...evt, id: task.id, name: task.name};
       this.requestor.request('verb:status', '/status', obj)
         .catch((err) => this.logger.debug({err}, 'CallSession:_notifyTaskStatus - Error sending'));
     }
+    else if (this.notifyEvents) this.batchStatusNotification('verb:status', obj);
+  }
+
+  /**
+   * If the call_status_hook asks for notifications to be batched, add a notification to the batch
+   * @param {string} type - call:status or verb:status
+   * @param {object} data - the notification
+   * @returns {boolean} true if the notification was batched
+   */
+  batchStatusNotification(type, data) {
+    if (this.appIsUsingWebsockets) return false;
+    const opts = parseBatchOptions(this.call_status_hook);
+    if (!opts) return false;
+    this._statusBatchKey = statusBatcher.add({
+      ...opts,
+      accountSid: this.accountSid,
+      applicationSid: this.applicationSid,
+      callSid: this.callSid,
+      hook: this.call_status_hook,
+      secret: this.webhook_secret,
+      type,
+      data
+    });
+    return true;
   }
 
   _awaitCommandsOrHangup() {
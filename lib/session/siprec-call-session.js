@@ -1,7 +1,8 @@
 const InboundCallSession = require('./inbound-call-session');
 const {createSipRecPayload} = require('../utils/siprec-utils');
 const {CallStatus} = require('../utils/constants');
-const {parseSiprecPayload} = require('../utils/siprec-utils');
+const {parseSiprecPayload, participantsChanged} = require('../utils/siprec-utils');
+const callEventPublisher = require('../utils/call-event-publisher');
 /**
  * @classdesc Subclass of InboundCallSession.  This represents a CallSession that is
  * established for an inbound SIPREC call.
@@ -17,13 +18,35 @@ class SipRecCallSession extends InboundCallSession {
     this.metadata = metadata;
   }
 
+  /**
+   * The SIPREC details to report with a transcript: the participant whose stream is carried
+   * on the channel, the label of that stream, and the call data of the recorded call
+   * @param {number} channel - 1 or 2
+   */
+  getSipRecChannelDetails(channel) {
+    const {participants = [], callData} = this.metadata || {};
+    const participant = participants.find((p) => p.channel === channel);
+    return {
+      channel,
+      ...(participant && {
+        label: participant.label,
+        participant: {participantId: participant.participantId, aor: participant.aor, name: participant.name}
+      }),
+      ...(callData && {callData})
+    };
+  }
+
   async _onReinvite(req, res) {
     try {
       this.logger.info(req.payload, 'SipRec Re-INVITE payload');
       const {sdp1: reSdp1, sdp2: reSdp2, metadata: reMetadata} = await parseSiprecPayload(req, this.logger);
       this.sdp1 = reSdp1;
       this.sdp2 = reSdp2;
+      const previousParticipants = this.metadata?.participants;
       this.metadata = reMetadata;
+      if (participantsChanged(previousParticipants, reMetadata.participants)) {
+        this._notifyMetadataUpdate(previousParticipants);
+      }
 
       if (this.ep && this.ep2) {
         let remoteSdp = this.sdp1.replace(/sendonly/, 'sendrecv');
@@ -43,6 +66,20 @@ class SipRecCallSession extends InboundCallSession {
     }
   }
 
+  /* e.g. a transfer on the recorded call changes who the participants are */
+  _notifyMetadataUpdate(previousParticipants = []) {
+    const {participants = [], callData} = this.metadata;
+    const payload = {
+      participants,
+      previousParticipants,
+      ...(callData && {callData})
+    };
+    this.logger.info({payload}, 'SipRecCallSession: participants changed on re-INVITE');
+    callEventPublisher.publish('siprec:metadata-update', this.callSid, this.accountSid, payload);
+    this.requestor?.request('siprec:metadata-update', '/siprec-metadata', payload)
+      .catch((err) => this.logger.info({err}, 'SipRecCallSession: error sending siprec:metadata-update'));
+  }
+
   async answerSipRecCall() {
     try {
       let remoteSdp = this.sdp1.replace(/sendonly/, 'sendrecv');
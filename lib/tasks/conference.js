@@ -1,12 +1,13 @@
 const Task = require('./task');
 const Emitter = require('events');
 const ConfirmCallSession = require('../session/confirm-call-session');
-const {TaskName, TaskPreconditions, BONG_TONE} = require('../utils/constants');
+const {TaskName, TaskPreconditions, BONG_TONE, SipRequestWithinDialogMethods} = require('../utils/constants');
 const { normalizeJambones } = require('@jambonz/verb-specifications');
 const makeTask = require('./make_task');
 const bent = require('bent');
 const assert = require('assert');
 const HttpRequestor = require('../utils/http-requestor');
+const sessionTracker = require('../session/session-tracker');
 const WAIT = 'wait';
 const JOIN = 'join';
 const START = 'start';
@@ -18,6 +19,15 @@ function confNoMatch(str) {
 function getWaitListName(confName) {
   return `${confName}:waitlist`;
 }
+function getRecordingListName(confName) {
+  return `${confName}:recordings`;
+}
+/* how many participant recordings are in progress, and whether the conference has ended */
+function getRecordingStateName(confName) {
+  return `${confName}:recording-state`;
+}
+const RECORDING_LIST_TTL_SECS = 86400;
+const RECORDING_ACTIONS = ['startRecording', 'stopRecording', 'pauseRecording', 'resumeRecording'];
 
 function camelize(str) {
   return str.replace(/(?:^\w|[A-Z]|\b\w)/g, function(word, index) {
@@ -53,6 +63,7 @@ class Conference extends Task {
       'endConferenceDuration', 'distributeDtmf'
     ].forEach((attr) => this[attr] = this.data[attr]);
     this.record = this.data.record || {};
+    this.recordingStatusHook = this.data.recordingStatusHook;
     this.statusEvents = [];
     if (this.statusHook) {
       ['start', 'end', 'join', 'leave', 'start-talking', 'stop-talking'].forEach((e) => {
@@ -64,6 +75,8 @@ class Conference extends Task {
     this.results = {};
     this.coaching = [];
     this.speakOnlyTo = this.data.speakOnlyTo;
+    this.muted = !!(this.joinMuted || this.speakOnlyTo);
+    this.talking = false;
 
     // transferred from another server in order to bridge to a local caller?
     if (this.data._ && this.data._.connectTime) {
@@ -74,6 +87,9 @@ class Conference extends Task {
   get name() { return TaskName.Conference; }
 
   get shouldRecord() { return this.record.path; }
+  get shouldRecordParticipant() {
+    return this.record.perParticipant === true && !!(this.record.participantPath || this.record.path);
+  }
   get isRecording() { return this.recordingInProgress; }
 
   async exec(cs, {ep}) {
@@ -155,6 +171,7 @@ class Conference extends Task {
       this.conferenceStartTime = new Date(parseInt(obj.startTime));
       this.statusEvents = obj.statusEvents ? JSON.parse(obj.statusEvents) : [];
       this.statusHook = obj.statusHook ? JSON.parse(obj.statusHook) : null;
+      this._adoptRecordingSettings(obj);
       this.action = JOIN;
     }
     else {
@@ -174,6 +191,10 @@ class Conference extends Task {
             statusHook: JSON.stringify(this._normalizeHook(cs, this.statusHook))
           });
         }
+        if (this.recordingStatusHook) {
+          obj.recordingStatusHook = JSON.stringify(this._normalizeHook(cs, this.recordingStatusHook));
+        }
+        if (this.record.perParticipant) obj.record = JSON.stringify(this.record);
         const added = await createHash(this.confName, obj);
         if (added) {
           this.logger.info(`Conference:_init conference ${this.confName} successfully provisioned`);
@@ -191,6 +212,7 @@ class Conference extends Task {
           this.conferenceStartTime = new Date(obj.startTime);
           this.statusEvents = obj.statusEvents ? JSON.parse(obj.statusEvents) : [];
           this.statusHook = obj.statusHook ? JSON.parse(obj.statusHook) : null;
+          this._adoptRecordingSettings(obj);
           this.action = JOIN;
         }
       }
@@ -372,6 +394,8 @@ class Conference extends Task {
       this.logger.debug({memberId, confUuid}, `Conference:_joinConference: successfully joined ${this.confName}`);
       this.memberId = parseInt(memberId, 10);
       this.confUuid = confUuid;
+      this.mainConfName = this.confName;
+      this.mainFriendlyName = this.friendlyName;
 
       // set a tag for this member, if provided
       if (this.data.memberTag) {
@@ -385,12 +409,10 @@ class Conference extends Task {
 
       // start recording if requested and we just started the conference
       if (startConf && this.shouldRecord) {
-        this.logger.info(`recording conference to ${this.record.path}`);
-        try {
-          await this.ep.api(`conference ${this.confName} record ${this.record.path}`);
-        } catch (err) {
-          this.logger.info({err}, 'Conference:_joinConference - failed to start recording');
-        }
+        await this._startConferenceRecording(cs);
+      }
+      if (this.shouldRecordParticipant) {
+        await this._startParticipantRecording(cs);
       }
 
       // listen for conference events
@@ -424,17 +446,15 @@ class Conference extends Task {
   }
 
   _initSipIndialogRequestListener(cs, dlg) {
-    dlg.on('info', this._onRequestWithinDialog.bind(this, cs));
-    dlg.on('message', this._onRequestWithinDialog.bind(this, cs));
+    SipRequestWithinDialogMethods.forEach((method) => dlg.on(method, this._onRequestWithinDialog.bind(this, cs, dlg)));
   }
 
   _removeSipIndialogRequestListener(dlg) {
-    dlg && dlg.removeAllListeners('message');
-    dlg && dlg.removeAllListeners('info');
+    SipRequestWithinDialogMethods.forEach((method) => dlg && dlg.removeAllListeners(method));
   }
 
-  _onRequestWithinDialog(cs, req, res) {
-    cs._onRequestWithinDialog(req, res);
+  _onRequestWithinDialog(cs, dlg, req, res) {
+    cs._onRequestWithinDialog(req, res, dlg);
   }
 
   /**
@@ -469,10 +489,29 @@ class Conference extends Task {
     assert (cs.isInConference);
 
     const mute = opts.conf_mute_status === 'mute';
+    this.muted = mute;
     this.ep.api(`conference ${this.confName} ${mute ? 'mute' : 'unmute'} ${this.memberId}`)
       .catch((err) => this.logger.info({err}, 'Error muting or unmuting participant'));
   }
 
+  /**
+   * Return the current state of this participant in the conference
+   * @param {CallSession} cs
+   */
+  getParticipantDetails(cs) {
+    return {
+      callSid: cs.callSid,
+      memberId: this.memberId,
+      muted: this.muted,
+      hold: this.conf_hold_status === 'hold',
+      talking: this.talking,
+      moderator: !!this.startConferenceOnEnter,
+      ...(this.isInBreakout && {breakoutFrom: this.mainFriendlyName}),
+      ...(this.memberTag && {tag: this.memberTag}),
+      ...(this.speakOnlyTo && {speakOnlyTo: this.speakOnlyTo})
+    };
+  }
+
   doConferenceHold(cs, opts) {
     assert (cs.isInConference);
 
@@ -544,12 +583,419 @@ class Conference extends Task {
       case 'kick':
         this.kickMember(cs);
         break;
+      case 'breakout':
+        await this.moveToConference(cs, opts.conference);
+        break;
+      case 'recall':
+        await this.recallBreakoutRooms(cs);
+        break;
+      case 'startRecording':
+      case 'stopRecording':
+      case 'pauseRecording':
+      case 'resumeRecording':
+        await this.doConferenceRecordingAction(cs, action, opts.track);
+        break;
       default:
         this.logger.info(`Conference:doConferenceParticipantAction - unhandled action ${action}`);
         break;
     }
   }
 
+  /**
+   * Start, stop, pause or resume recording
+   * @param {CallSession} cs
+   * @param {string} action - startRecording, stopRecording, pauseRecording or resumeRecording
+   * @param {string} track - 'participant' (default), 'conference' (the mixed recording) or 'both'
+   */
+  async doConferenceRecordingAction(cs, action, track = 'participant') {
+    assert(RECORDING_ACTIONS.includes(action));
+    if (['participant', 'both'].includes(track)) {
+      switch (action) {
+        case 'startRecording':
+          await this._startParticipantRecording(cs);
+          break;
+        case 'stopRecording':
+          await this._stopParticipantRecording(cs);
+          break;
+        case 'pauseRecording':
+          await this._pauseParticipantRecording(true);
+          break;
+        case 'resumeRecording':
+          await this._pauseParticipantRecording(false);
+          break;
+      }
+    }
+    if (['conference', 'both'].includes(track)) {
+      switch (action) {
+        case 'startRecording':
+          await this._startConferenceRecording(cs);
+          break;
+        case 'stopRecording':
+          await this._stopConferenceRecording(cs);
+          break;
+        case 'pauseRecording':
+          await this._pauseConferenceRecording(cs, true);
+          break;
+        case 'resumeRecording':
+          await this._pauseConferenceRecording(cs, false);
+          break;
+      }
+    }
+  }
+
+  get isInBreakout() {
+    return this.mainConfName && this.confName !== this.mainConfName;
+  }
+
+  /**
+   * Move this participant to another conference on this feature server (e.g. a breakout room),
+   * or back to the main conference if no name (or the main conference name) is provided.
+   * The participant's mute, hold, tag and coaching state are carried over.
+   * @param {CallSession} cs
+   * @param {string} name - name of the conference to move to
+   */
+  async moveToConference(cs, name) {
+    assert(cs.isInConference);
+    const friendlyName = name || this.mainFriendlyName;
+    const confName = friendlyName === this.mainFriendlyName ?
+      this.mainConfName :
+      `conf:${cs.accountSid}:${friendlyName}`;
+    if (confName === this.confName) {
+      return this.logger.info(`Conference:moveToConference - already in ${confName}`);
+    }
+
+    this.logger.info(`Conference:moveToConference - moving ${this.memberId} from ${this.confName} to ${confName}`);
+    const previousConfName = this.confName;
+    const previousConfUuid = this.confUuid;
+    try {
+      if (confName !== this.mainConfName) await this._provisionBreakoutRoom(cs, confName);
+
+      /* ignore the events of the conference we are leaving (including our own del-member) while we move */
+      this.confUuid = null;
+      await this.ep.api('conference', [previousConfName, 'transfer', confName, this.memberId]);
+      const memberId = await this._findMemberId(confName);
+      if (!memberId) throw new Error(`failed to find member after transfer to ${confName}`);
+      const confUuid = await this._getConferenceUuid(confName);
+      if (!confUuid) {
+        /* without the uuid we would ignore the events of the new conference, so go back where we were */
+        await this.ep.api('conference', [confName, 'transfer', previousConfName, memberId]);
+        const previousMemberId = await this._findMemberId(previousConfName);
+        /* if we were its only member, the conference ended when we left and has been started anew */
+        const uuid = await this._getConferenceUuid(previousConfName) || previousConfUuid;
+        if (previousMemberId && previousMemberId !== this.memberId) {
+          cs.clearConferenceDetails();
+          this.memberId = previousMemberId;
+          cs.setConferenceDetails(previousMemberId, previousConfName, uuid);
+        }
+        this._followConferenceEvents(previousConfUuid, uuid);
+        await this._restoreMemberState();
+        await this._deprovisionBreakoutRoom(cs, confName);
+        throw new Error(`failed to read uuid of ${confName}`);
+      }
+
+      /* coaching relationships are specific to the conference we left */
+      this.coaching = [];
+      cs.clearConferenceDetails();
+      this.memberId = memberId;
+      this.confName = confName;
+      this.friendlyName = friendlyName;
+      cs.setConferenceDetails(memberId, confName, confUuid);
+      this._followConferenceEvents(previousConfUuid, confUuid);
+      await this._restoreMemberState();
+      if (previousConfName !== this.mainConfName) await this._deprovisionBreakoutRoom(cs, previousConfName);
+    } catch (err) {
+      if (!this.confUuid) this.confUuid = previousConfUuid;
+      this.logger.error({err}, `Conference:moveToConference - error moving to ${confName}`);
+    }
+  }
+
+  /**
+   * Bring all participants in breakout rooms of our main conference back to the main conference
+   * @param {CallSession} cs
+   */
+  async recallBreakoutRooms(cs) {
+    const moves = [];
+    for (const session of sessionTracker.sessions.values()) {
+      const task = session.currentTask;
+      if (!task || task.name !== TaskName.Conference || !session.isInConference) continue;
+      if (task.mainConfName === this.mainConfName && task.isInBreakout) {
+        moves.push(task.moveToConference(session));
+      }
+    }
+    this.logger.info(`Conference:recallBreakoutRooms - recalling ${moves.length} members to ${this.mainConfName}`);
+    await Promise.all(moves);
+  }
+
+  /* listen for the events of the conference we are now in, rather than the one we were in */
+  _followConferenceEvents(previousConfUuid, confUuid) {
+    this.confUuid = confUuid;
+    if (confUuid === previousConfUuid) return;
+    this.ep.conn.filterDelete('Conference-Unique-ID', previousConfUuid);
+    this.ep.filter('Conference-Unique-ID', confUuid);
+  }
+
+  /**
+   * Provision a breakout room in redis, as _init does for a conference we start, so that it is
+   * known to be hosted here.  Breakout rooms must be hosted on the same server as the main conference.
+   */
+  async _provisionBreakoutRoom(cs, confName) {
+    const {createHash, retrieveHash} = cs.srf.locals.dbHelpers;
+    const {localSipAddress} = cs.srf.locals;
+    if (await createHash(confName, {sipAddress: localSipAddress, startTime: Date.now()})) {
+      this.logger.info(`Conference:_provisionBreakoutRoom ${confName} successfully provisioned`);
+      return;
+    }
+    const obj = await retrieveHash(confName);
+    if (obj?.sipAddress !== localSipAddress) {
+      throw new Error(`breakout room ${confName} is hosted on ${obj?.sipAddress}, not here`);
+    }
+  }
+
+  /* deprovision a breakout room once the last participant has left it */
+  async _deprovisionBreakoutRoom(cs, confName) {
+    const {deleteKey} = cs.srf.locals.dbHelpers;
+    try {
+      const res = await this.ep.api('conference', [confName, 'get', 'count']);
+      if (res?.body && !confNoMatch(res.body)) return;
+      const removed = await deleteKey(confName);
+      this.logger.info(`breakout room ${confName} deprovisioned: ${removed ? 'success' : 'failure'}`);
+    } catch (err) {
+      this.logger.info({err}, `Conference:_deprovisionBreakoutRoom - error deprovisioning ${confName}`);
+    }
+  }
+
+  /* re-apply our mute, hold, tag and coaching state after being transferred between conferences */
+  async _restoreMemberState() {
+    const hold = this.conf_hold_status === 'hold';
+    if (this.muted || hold) await this.ep.api('conference', [this.confName, 'mute', this.memberId]);
+    if (hold) await this.ep.api('conference', [this.confName, 'deaf', this.memberId]);
+    if (this.memberTag) await this.setMemberTag(this.memberTag);
+    if (this.speakOnlyTo) await this.setCoachMode(this.speakOnlyTo);
+  }
+
+  async _getConferenceUuid(confName) {
+    try {
+      const res = await this.ep.api('conference', [confName, 'get', 'uuid']);
+      const uuid = (res?.body || '').trim();
+      return /^[0-9a-f-]{36}$/i.test(uuid) ? uuid : null;
+    } catch (err) {
+      this.logger.info({err}, `Conference:_getConferenceUuid - error reading uuid of ${confName}`);
+      return null;
+    }
+  }
+
+  async _findMemberId(confName) {
+    const res = await this.ep.api('conference', [confName, 'list']);
+    const line = (res?.body || '').split('\n').find((l) => l.split(';')[2] === this.ep.uuid);
+    return line ? parseInt(line.split(';')[0], 10) : null;
+  }
+
+  _adoptRecordingSettings(obj) {
+    if (obj.recordingStatusHook) this.recordingStatusHook = JSON.parse(obj.recordingStatusHook);
+    if (obj.record && !this.record.perParticipant) this.record = JSON.parse(obj.record);
+  }
+
+  _getParticipantRecordingPath(cs) {
+    const {participantPath, path} = this.record;
+    if (participantPath) {
+      return participantPath
+        .replace(/{callSid}/g, cs.callSid)
+        .replace(/{memberId}/g, this.memberId);
+    }
+    const idx = path.lastIndexOf('.');
+    return idx > path.lastIndexOf('/') ?
+      `${path.slice(0, idx)}-${cs.callSid}${path.slice(idx)}` :
+      `${path}-${cs.callSid}`;
+  }
+
+  async _startParticipantRecording(cs) {
+    if (this.participantRecording || !this.memberId) return;
+    if (!this.record.participantPath && !this.record.path) {
+      return this.logger.info('Conference:_startParticipantRecording - no recording path provided');
+    }
+    const path = this._getParticipantRecordingPath(cs);
+    try {
+      await this.ep.api('uuid_record', [this.ep.uuid, 'start', path]);
+      this.participantRecording = {path, uuid: this.ep.uuid, startTime: Date.now(), pausedMs: 0};
+      const key = getRecordingStateName(this.confName);
+      await cs.srf.locals.dbHelpers.client.multi()
+        .hincrby(key, 'active', 1)
+        .expire(key, RECORDING_LIST_TTL_SECS)
+        .exec();
+      this.logger.info(`Conference:_startParticipantRecording recording member ${this.memberId} to ${path}`);
+    } catch (err) {
+      this.logger.info({err}, 'Conference:_startParticipantRecording - failed to start recording');
+    }
+  }
+
+  async _stopParticipantRecording(cs) {
+    const rec = this.participantRecording;
+    if (!rec) return;
+    this.participantRecording = null;
+    const now = Date.now();
+    if (rec.pausedAt) rec.pausedMs += now - rec.pausedAt;
+    try {
+      await this.ep.api('uuid_record', [rec.uuid, 'stop', rec.path]);
+    } catch (err) {
+      this.logger.debug({err}, 'Conference:_stopParticipantRecording - error stopping (channel may be gone)');
+    }
+    await this._saveRecording(cs, {
+      type: 'participant',
+      callSid: cs.callSid,
+      memberId: this.memberId,
+      path: rec.path,
+      startTime: new Date(rec.startTime).toISOString(),
+      duration: (now - rec.startTime - rec.pausedMs) / 1000
+    });
+
+    /* if the conference has already ended, we may have been the last recording it was waiting for */
+    try {
+      const key = getRecordingStateName(this.confName);
+      const [[, active], [, ended]] = await cs.srf.locals.dbHelpers.client.multi()
+        .hincrby(key, 'active', -1)
+        .hget(key, 'ended')
+        .exec();
+      if (ended && active <= 0) await this._notifyRecordingStatus(cs);
+    } catch (err) {
+      this.logger.info({err}, 'Conference:_stopParticipantRecording - error updating recording state');
+    }
+  }
+
+  async _pauseParticipantRecording(pause) {
+    const rec = this.participantRecording;
+    if (!rec || pause === !!rec.pausedAt) return;
+    try {
+      await this.ep.api('uuid_record', [rec.uuid, pause ? 'mask' : 'unmask', rec.path]);
+      if (pause) rec.pausedAt = Date.now();
+      else {
+        rec.pausedMs += Date.now() - rec.pausedAt;
+        delete rec.pausedAt;
+      }
+    } catch (err) {
+      this.logger.info({err}, `Conference:_pauseParticipantRecording - failed to ${pause ? 'pause' : 'resume'}`);
+    }
+  }
+
+  /**
+   * The mixed conference recording may be controlled by any participant,
+   * so we keep its state in the conference hash
+   */
+  async _startConferenceRecording(cs) {
+    const {client} = cs.srf.locals.dbHelpers;
+    if (!this.record.path) {
+      return this.logger.info('Conference:_startConferenceRecording - no recording path provided');
+    }
+    if (await client.hget(this.confName, 'recordingPath')) {
+      return this.logger.info(`Conference:_startConferenceRecording - ${this.confName} is already recording`);
+    }
+    this.logger.info(`recording conference to ${this.record.path}`);
+    try {
+      await this.ep.api(`conference ${this.confName} record ${this.record.path}`);
+      await client.hset(this.confName, 'recordingPath', this.record.path, 'recordingStartTime', Date.now());
+    } catch (err) {
+      this.logger.info({err}, 'Conference:_startConferenceRecording - failed to start recording');
+    }
+  }
+
+  async _stopConferenceRecording(cs, stopRecording = true) {
+    const {client} = cs.srf.locals.dbHelpers;
+    const obj = await client.hgetall(this.confName) || {};
+    if (!obj.recordingPath) return;
+    await client.hdel(this.confName, 'recordingPath', 'recordingStartTime', 'recordingPausedAt', 'recordingPausedMs');
+    if (stopRecording) {
+      await this.ep.api(`conference ${this.confName} norecord ${obj.recordingPath}`)
+        .catch((err) => this.logger.info({err}, 'Conference:_stopConferenceRecording - failed to stop recording'));
+    }
+    const now = Date.now();
+    const startTime = parseInt(obj.recordingStartTime);
+    let pausedMs = parseInt(obj.recordingPausedMs || 0);
+    if (obj.recordingPausedAt) pausedMs += now - parseInt(obj.recordingPausedAt);
+    await this._saveRecording(cs, {
+      type: 'conference',
+      path: obj.recordingPath,
+      startTime: new Date(startTime).toISOString(),
+      duration: (now - startTime - pausedMs) / 1000
+    });
+  }
+
+  async _pauseConferenceRecording(cs, pause) {
+    const {client} = cs.srf.locals.dbHelpers;
+    const obj = await client.hgetall(this.confName) || {};
+    if (!obj.recordingPath || pause === !!obj.recordingPausedAt) return;
+    try {
+      await this.ep.api(`conference ${this.confName} recording ${pause ? 'pause' : 'resume'} ${obj.recordingPath}`);
+      if (pause) await client.hset(this.confName, 'recordingPausedAt', Date.now());
+      else {
+        await client.multi()
+          .hincrby(this.confName, 'recordingPausedMs', Date.now() - parseInt(obj.recordingPausedAt))
+          .hdel(this.confName, 'recordingPausedAt')
+          .exec();
+      }
+    } catch (err) {
+      this.logger.info({err}, `Conference:_pauseConferenceRecording - failed to ${pause ? 'pause' : 'resume'}`);
+    }
+  }
+
+  async _saveRecording(cs, recording) {
+    const {client} = cs.srf.locals.dbHelpers;
+    const key = getRecordingListName(this.confName);
+    try {
+      await client.multi()
+        .rpush(key, JSON.stringify(recording))
+        .expire(key, RECORDING_LIST_TTL_SECS)
+        .exec();
+    } catch (err) {
+      this.logger.info({err}, `Conference:_saveRecording - error saving recording details for ${this.confName}`);
+    }
+  }
+
+  /**
+   * The conference has ended: report its recordings now if no participant recordings are still
+   * in progress, otherwise the last member to stop recording will report them.
+   */
+  async _onConferenceEndedRecordingStatus(cs) {
+    const key = getRecordingStateName(this.confName);
+    try {
+      const [, [, active]] = await cs.srf.locals.dbHelpers.client.multi()
+        .hset(key, 'ended', 1)
+        .hget(key, 'active')
+        .expire(key, RECORDING_LIST_TTL_SECS)
+        .exec();
+      if (!(parseInt(active) > 0)) await this._notifyRecordingStatus(cs);
+    } catch (err) {
+      this.logger.info({err}, 'Conference:_onConferenceEndedRecordingStatus - error');
+    }
+  }
+
+  /**
+   * Report all of the recordings that were made in the conference.  The list is claimed atomically
+   * so that they are reported only once, whichever member of the conference finds they are complete.
+   */
+  async _notifyRecordingStatus(cs) {
+    if (!this.recordingStatusHook) return;
+    const {client} = cs.srf.locals.dbHelpers;
+    const key = getRecordingListName(this.confName);
+    try {
+      const [[, entries]] = await client.multi()
+        .lrange(key, 0, -1)
+        .del(key, getRecordingStateName(this.confName))
+        .exec();
+      const recordings = (entries || []).map((e) => JSON.parse(e));
+      if (0 === recordings.length) return;
+      const b3 = this.getTracingPropagation();
+      const httpHeaders = b3 && {b3};
+      await cs.application.requestor.request('verb:hook', this.recordingStatusHook, {
+        ...cs.callInfo.toJSON(),
+        event: 'recording-complete',
+        conferenceSid: this.confName,
+        friendlyName: this.friendlyName,
+        recordings
+      }, httpHeaders);
+    } catch (err) {
+      this.logger.info({err}, 'Conference:_notifyRecordingStatus - error');
+    }
+  }
+
   async _doWaitHookWhileOnHold(cs, dlg, wait_hook) {
     do {
       try {
@@ -626,6 +1072,7 @@ class Conference extends Task {
     } catch (err) {
       this.logger.info({err}, 'Conference:_doFinalMemberCheck error retrieving count (we were probably kicked');
     }
+    await this._stopParticipantRecording(cs);
     await this._notifyConferenceEvent(cs, 'leave');
 
     /**
@@ -636,6 +1083,7 @@ class Conference extends Task {
       const {deleteKey} = cs.srf.locals.dbHelpers;
       try {
         this._notifyConferenceEvent(cs, 'end');
+        await this._stopConferenceRecording(cs, false);
         const removed = await deleteKey(this.confName);
         this.logger.info(`conf ${this.confName} deprovisioned: ${removed ? 'success' : 'failure'}`);
       }
@@ -643,6 +1091,7 @@ class Conference extends Task {
         this.logger.error(err, `Error deprovisioning conference ${this.confName},
           might be the conference already cleaned by another moderator`);
       }
+      await this._onConferenceEndedRecordingStatus(cs);
     }
   }
 
@@ -744,6 +1193,9 @@ class Conference extends Task {
   __onConferenceEvent(cs, evt) {
     const eventName = evt.getHeader('Event-Subclass') ;
     if (eventName === 'conference::maintenance') {
+      /* after moving to a breakout room we may still receive events from the conference we left */
+      if (evt.getHeader('Conference-Unique-ID') && evt.getHeader('Conference-Unique-ID') !== this.confUuid) return;
+
       const action = evt.getHeader('Action') ;
 
       //invoke a handler for this action, if we have defined one
@@ -764,7 +1216,7 @@ class Conference extends Task {
   _onDelMember(logger, cs, evt) {
     const memberId = parseInt(evt.getHeader('Member-ID')) ;
     this.participantCount = parseInt(evt.getHeader('Conference-Size'));
-    if (memberId === this.memberId) {
+    if (memberId === this.memberId && evt.getHeader('Conference-Unique-ID') === this.confUuid) {
       logger.info(`Conference:_onDelMember - I was dropped from conference ${this.confName}, task is complete`);
       this.replaceEndpointAndEnd(cs);
     }
@@ -774,6 +1226,7 @@ class Conference extends Task {
     const memberId = parseInt(evt.getHeader('Member-ID')) ;
     const size = this.participantCount = parseInt(evt.getHeader('Conference-Size'));
     if (memberId === this.memberId) {
+      this.talking = true;
       const time = new Date(evt.getHeader('Event-Date-Timestamp') / 1000).toISOString();
       this._notifyConferenceEvent(cs, 'start-talking', {
         time,
@@ -786,6 +1239,7 @@ class Conference extends Task {
     const memberId = parseInt(evt.getHeader('Member-ID')) ;
     const size = this.participantCount = parseInt(evt.getHeader('Conference-Size'));
     if (memberId === this.memberId) {
+      this.talking = false;
       const time = new Date(evt.getHeader('Event-Date-Timestamp') / 1000).toISOString();
       this._notifyConferenceEvent(cs, 'stop-talking', {
         time,
@@ -794,6 +1248,16 @@ class Conference extends Task {
     }
   }
 
+  _onMuteMember(logger, cs, evt) {
+    const memberId = parseInt(evt.getHeader('Member-ID')) ;
+    if (memberId === this.memberId) this.muted = true;
+  }
+
+  _onUnmuteMember(logger, cs, evt) {
+    const memberId = parseInt(evt.getHeader('Member-ID')) ;
+    if (memberId === this.memberId) this.muted = false;
+  }
+
   _onTag(logger, cs, evt) {
     const memberId = parseInt(evt.getHeader('Member-ID')) ;
     const tag = evt.getHeader('Tag') || '';
@@ -4,6 +4,8 @@ const Emitter = require('events');
 const bent = require('bent');
 const assert = require('assert');
 const { sleepFor } = require('../utils/helpers');
+const {memberUrl, retrieveMemberInfo, matchesSkills, orderQueuesByWeight} = require('../utils/queue-utils');
+const queueCallbackManager = require('../utils/queue-callback-manager');
 
 const getUrl = (cs) => `${cs.srf.locals.serviceUrl}/v1/dequeue/${cs.callSid}`;
 
@@ -16,6 +18,17 @@ class TaskDequeue extends Task {
     this.timeout = this.data.timeout || 0;
     this.beep = this.data.beep === true;
     this.callSid = this.data.callSid;
+    this.skills = this.data.skills;
+
+    /* optionally, dequeue from a list of weighted queues rather than a single named queue */
+    if (Array.isArray(this.data.queues) && this.data.queues.length) {
+      this.queues = this.data.queues.map((q) => (typeof q === 'string' ? {name: q, weight: 1} : q));
+    }
+    else if (this.queueName) {
+      this.queues = [{name: this.queueName, weight: 1}];
+    }
+    else throw new Error('dequeue: missing value for name or queues');
+    this.queueName = this.queueName || this.queues[0].name;
 
     this.emitter = new Emitter();
     this.state = DequeueResults.Timeout;
@@ -27,13 +40,17 @@ class TaskDequeue extends Task {
     await super.exec(cs);
     this.ep = ep;
     this.queueName = `queue:${cs.accountSid}:${this.queueName}`;
+    this.queues = (this.queues || []).map((q) => ({...q, fullName: `queue:${cs.accountSid}:${q.name}`}));
 
     const url = await this._getMemberFromQueue(cs);
     if (!url) this.performAction({dequeueResult: 'timeout'}).catch((err) => {});
     else {
       try {
         await this._dequeueUrl(cs, ep, url);
-        this.performAction({dequeueResult: 'complete'}).catch((err) => {});
+        this.performAction({
+          dequeueResult: 'complete',
+          ...(this.dequeuedFrom && {queue: this.dequeuedFrom})
+        }).catch((err) => {});
       } catch (err) {
         this.emitter.removeAllListeners();
         this.performAction({dequeueResult: 'hangup'}).catch((err) => {});
@@ -71,7 +88,10 @@ class TaskDequeue extends Task {
       do {
         try {
           let url;
-          if (this.callSid) {
+          if (this.skills || this.queues.length > 1) {
+            url = await this._getMemberBySkills(cs);
+          }
+          else if (this.callSid) {
             const r = await retrieveByPatternSortedSet(this.queueName, `*${this.callSid}`);
             url = r[0];
           } else {
@@ -91,12 +111,48 @@ class TaskDequeue extends Task {
     });
   }
 
+  /**
+   * Search the list of queues (in weighted order) for the highest priority member whose
+   * attributes are satisfied by our skills, and claim it by removing it from its queue.
+   * @returns {string} the url of the claimed member, or undefined if none found
+   */
+  async _getMemberBySkills(cs) {
+    const {client} = cs.srf.locals.dbHelpers;
+    for (const q of orderQueuesByWeight(this.queues)) {
+      const members = (await client.zrange(q.fullName, 0, -1))
+        .filter((m) => !this.callSid || m.endsWith(this.callSid));
+      if (0 === members.length) continue;
+
+      const info = await retrieveMemberInfo(client, q.fullName);
+      for (const member of members) {
+        const url = memberUrl(member);
+        if (!matchesSkills(info[url]?.attributes, this.skills)) continue;
+
+        /* another agent may have claimed this member while we were looking */
+        if (1 === await client.zrem(q.fullName, member)) {
+          this.queueName = q.fullName;
+          this.dequeuedFrom = q.name;
+          return url;
+        }
+      }
+    }
+  }
+
   _dequeueUrl(cs, ep, url) {
     this.partnerUrl = url;
 
     return new Promise(async(resolve, reject) => {
       let bridgeTimer;
+      let bridgeTimeout = 20000;
       this.emitter
+        .on('callback', (timeout) => {
+          /* the member is being called back, so allow for the time to ring them */
+          bridgeTimeout = (timeout + 20) * 1000;
+          if (bridgeTimer) {
+            clearTimeout(bridgeTimer);
+            bridgeTimer = setTimeout(() => reject(new Error('bridge timeout')), bridgeTimeout);
+          }
+        })
         .on('bridged', () => {
           clearTimeout(bridgeTimer);
           this.state = DequeueResults.Bridged;
@@ -110,21 +166,30 @@ class TaskDequeue extends Task {
         });
 
       // now notify partner to bridge to me
+      const payload = {
+        event: 'dequeue',
+        dequeueSipAddress: cs.srf.locals.localSipAddress,
+        serviceUrl: cs.srf.locals.serviceUrl,
+        epUuid: ep.uuid,
+        notifyUrl: getUrl(cs),
+        dequeuer: cs.callInfo.toJSON()
+      };
       try {
         // TODO: if we have a confirmHook, retrieve the app and pass it on
-        await bent('POST', 202)(url, {
-          event: 'dequeue',
-          dequeueSipAddress: cs.srf.locals.localSipAddress,
-          epUuid: ep.uuid,
-          notifyUrl: getUrl(cs),
-          dequeuer: cs.callInfo.toJSON()
-        });
+        await bent('POST', 202)(url, payload);
         this.logger.info(`TaskDequeue:_dequeueUrl successfully sent POST to ${url}`);
-        bridgeTimer = setTimeout(() => reject(new Error('bridge timeout')), 20000);
       } catch (err) {
-        this.logger.info({err, url}, `TaskDequeue:_dequeueUrl error dequeueing from ${this.queueName}, try again`);
-        reject(new Error('bridge failure'));
+        /* the member may be waiting for a callback that was requested on a server that is no longer there */
+        const callSid = url.split('/').pop();
+        const calledBack = await queueCallbackManager.notifyQueueEvent(callSid, payload).catch((err) => {
+          this.logger.info({err}, `TaskDequeue:_dequeueUrl error placing callback for ${callSid}`);
+        });
+        if (!calledBack) {
+          this.logger.info({err, url}, `TaskDequeue:_dequeueUrl error dequeueing from ${this.queueName}, try again`);
+          return reject(new Error('bridge failure'));
+        }
       }
+      bridgeTimer = setTimeout(() => reject(new Error('bridge timeout')), bridgeTimeout);
     });
   }
 
@@ -147,6 +212,10 @@ class TaskDequeue extends Task {
     else if (opts.event === 'hangup') {
       this.emitter.emit('hangup');
     }
+    else if (opts.event === 'callback') {
+      this.logger.info(`TaskDequeue:notifyDequeueEvent: member of ${this.queueName} is being called back`);
+      this.emitter.emit('callback', opts.timeout || 60);
+    }
     else {
       this.logger.error({opts}, 'TaskDequeue:notifyDequeueEvent - unsupported event/payload');
     }
@@ -7,7 +7,8 @@ const {
   TaskPreconditions,
   MAX_SIMRINGS,
   MediaPath,
-  KillReason
+  KillReason,
+  SipRequestWithinDialogMethods
 } = require('../utils/constants');
 const assert = require('assert');
 const placeCall = require('../utils/place-outdial');
@@ -26,6 +27,9 @@ const { normalizeJambones } = require('@jambonz/verb-specifications');
 const { selectHostPort } = require('../utils/network');
 const { sleepFor } = require('../utils/helpers');
 
+/* played to a party held during an attended transfer when the call has no music on hold */
+const TRANSFER_HOLD_TONE = 'tone_stream://%(200,4800,440);loops=-1';
+
 function parseDtmfOptions(logger, dtmfCapture) {
   let parentDtmfCollector, childDtmfCollector;
   const parentKeys = [], childKeys = [];
@@ -279,6 +283,12 @@ class TaskDial extends Task {
     catch (err) {
       this.logger.info({err}, 'Dial:kill - error killing outdials');
     }
+    if (this.transfer) {
+      const {sd} = this.transfer;
+      this.transfer = null;
+      sd.removeAllListeners();
+      sd.kill();
+    }
     if (this.sd) {
       const byeReasonHeader = this.killReason === KillReason.MediaTimeout ? 'Media Timeout' : undefined;
       this.sd.kill(byeReasonHeader);
@@ -365,6 +375,197 @@ class TaskDial extends Task {
     }
   }
 
+  /**
+   * Attended (consultative) transfer of the caller by the called party, e.g. an agent:
+   * - consult: put the caller on hold and connect the called party to a transfer target
+   * - swap: switch the called party between the caller and the transfer target
+   * - cancel: hang up the transfer target and return the called party to the caller
+   * - complete: connect the caller to the transfer target by bridging the legs here, and release
+   *   the called party
+   * Progress is reported to the transferHook, if provided.
+   * @param {CallSession} cs
+   * @param {object} opts
+   * @param {string} opts.action - consult, swap, cancel or complete
+   * @param {object} [opts.target] - the dial target to consult with
+   */
+  async doAttendedTransfer(cs, opts) {
+    const {action} = opts;
+    if (action !== 'consult' && !this.transfer) {
+      return this.logger.info(`Dial:doAttendedTransfer - ${action} ignored, no transfer in progress`);
+    }
+    switch (action) {
+      case 'consult':
+        return this._consult(cs, opts);
+      case 'swap':
+        return this._swapTransferParty(cs);
+      case 'cancel':
+        return this._cancelTransfer(cs);
+      case 'complete':
+        return this._completeTransfer(cs);
+      default:
+        this.logger.info(`Dial:doAttendedTransfer - invalid action ${action}`);
+    }
+  }
+
+  async _consult(cs, {target, headers = {}, callerId, timeout = this.timeout}) {
+    if (!this.sd || this.transfer) {
+      return this.logger.info('Dial:_consult - requires an answered call and no transfer in progress');
+    }
+    if (!target?.type) return this.logger.info('Dial:_consult - a transfer target is required');
+
+    const {srf} = cs;
+    const sbcAddress = this.proxy || srf.locals.getSBC();
+    if (!sbcAddress) throw new Error('no SBC found for consult call');
+    if (!this.epOther || !this.ep) await this.reAnchorMedia(cs, this.sd);
+
+    const ms = await cs.getMS();
+    await this._holdTransferParty(this.epOther);
+    const sd = placeCall({
+      logger: this.logger,
+      application: cs.application,
+      srf,
+      ms,
+      sbcAddress,
+      target,
+      opts: {
+        headers: {...this.headers, ...headers},
+        proxy: `sip:${sbcAddress}`,
+        callingNumber: callerId || this.callerId || cs.callInfo.from,
+        opusFirst: isOpusFirst(this.epOther.local.sdp)
+      },
+      callInfo: cs.callInfo,
+      accountInfo: cs.accountInfo,
+      rootSpan: cs.rootSpan,
+      startSpan: this.startSpan.bind(this),
+      dialTask: this,
+      onHoldMusic: cs.onHoldMusic,
+      tmpFiles: cs.tmpFiles,
+    });
+    this.transfer = {sd, answered: false, talkingTo: 'caller'};
+    this._reportTransferStatus(cs, 'consult-dialing');
+
+    const timer = setTimeout(() => {
+      this.logger.info(`Dial:_consult: ring no answer timer ${timeout}s exceeded`);
+      sd.kill();
+    }, timeout * 1000);
+    const onFailure = (status) => {
+      clearTimeout(timer);
+      if (this.transfer?.sd !== sd) return;
+      this.transfer = null;
+      sd.removeAllListeners();
+      this._returnToCaller(cs)
+        .catch((err) => this.logger.error({err}, 'Dial:_consult - error returning to caller'));
+      this._reportTransferStatus(cs, status, {consult_call_sid: sd.callSid});
+    };
+    sd
+      .on('accept', async() => {
+        clearTimeout(timer);
+        if (this.transfer?.sd !== sd) return;
+        this.logger.info(`Dial:_consult - transfer target answered: ${sd.callSid}`);
+        Object.assign(this.transfer, {answered: true, talkingTo: 'target'});
+        try {
+          await this.ep.unbridge().catch(() => {});
+          await this.ep.bridge(sd.ep);
+          this._reportTransferStatus(cs, 'consult-answered', {consult_call_sid: sd.callSid});
+        } catch (err) {
+          this.logger.info({err}, 'Dial:_consult - error connecting to transfer target');
+          sd.kill();
+          onFailure('consult-failed');
+        }
+      })
+      .on('decline', () => onFailure('consult-failed'))
+      .on('callCreateFail', () => onFailure('consult-failed'))
+      .on('callStatusChange', ({callStatus}) => {
+        if ([CallStatus.Failed, CallStatus.Busy, CallStatus.NoAnswer].includes(callStatus)) {
+          onFailure('consult-failed');
+        }
+        else if (callStatus === CallStatus.Completed) onFailure('consult-ended');
+      });
+  }
+
+  async _swapTransferParty(cs) {
+    const {sd, answered, talkingTo} = this.transfer;
+    if (!answered) return this.logger.info('Dial:_swapTransferParty - transfer target has not answered');
+
+    const [holding, resuming] = talkingTo === 'target' ? [sd.ep, this.epOther] : [this.epOther, sd.ep];
+    await this._holdTransferParty(holding);
+    await this._resumeTransferParty(resuming);
+    await this.ep.bridge(resuming);
+    this.transfer.talkingTo = talkingTo === 'target' ? 'caller' : 'target';
+    this._reportTransferStatus(cs, 'swapped', {consult_call_sid: sd.callSid});
+  }
+
+  async _cancelTransfer(cs) {
+    const {sd} = this.transfer;
+    this.transfer = null;
+    sd.removeAllListeners();
+    sd.kill();
+    await this._returnToCaller(cs);
+    this._reportTransferStatus(cs, 'cancelled', {consult_call_sid: sd.callSid});
+  }
+
+  async _completeTransfer(cs) {
+    const {sd, answered} = this.transfer;
+    if (!answered) return this.logger.info('Dial:_completeTransfer - transfer target has not answered');
+
+    /* the transfer target replaces the called party in this dial */
+    const agent = this.sd;
+    this.transfer = null;
+    this._removeDtmfDetection(agent.dlg);
+    sessionTracker.remove(agent.callSid);
+    this.sd = sd;
+    this.callSid = sd.callSid;
+    sessionTracker.add(sd.callSid, cs);
+    sd.removeAllListeners('accept');
+    sd.removeAllListeners('decline');
+    sd.removeAllListeners('callCreateFail');
+    sd.on('refer', (callInfo, req, res) => this.handleRefer(cs, req, res, callInfo));
+    this.dlg.on('destroy', this._onCalledPartyHangup.bind(this, cs, sd));
+    if (this.childDtmfCollector) this._installDtmfDetection(cs, this.dlg);
+    Object.assign(this.results, {dialCallSid: sd.callSid});
+
+    agent.kill();
+    await this._resumeTransferParty(this.epOther);
+    await this._resumeTransferParty(sd.ep);
+    await this.epOther.bridge(sd.ep);
+    this.logger.info(`Dial:_completeTransfer - caller is now connected to ${sd.callSid}`);
+    this._reportTransferStatus(cs, 'completed', {consult_call_sid: sd.callSid});
+  }
+
+  /* the caller is connected back to the called party once the consult leg is gone */
+  async _returnToCaller(cs) {
+    if (!this.epOther || !this.ep || cs.callGone) return;
+    await this._resumeTransferParty(this.epOther);
+    await this.ep.unbridge().catch(() => {});
+    if (this.canReleaseMedia) this._releaseMedia(cs, this.sd, this.shouldExitMediaPathEntirely);
+    else await this.epOther.bridge(this.ep);
+  }
+
+  async _holdTransferParty(ep) {
+    await ep.unbridge().catch(() => {});
+    ep.play(this.cs.onHoldMusic || TRANSFER_HOLD_TONE)
+      .catch((err) => this.logger.info({err}, 'Dial:_holdTransferParty - error playing hold audio'));
+  }
+
+  async _resumeTransferParty(ep) {
+    await ep.api('uuid_break', ep.uuid)
+      .catch((err) => this.logger.info({err}, 'Dial:_resumeTransferParty - error stopping hold audio'));
+  }
+
+  _reportTransferStatus(cs, status, details = {}) {
+    this.logger.info({details}, `Dial: attended transfer ${status}`);
+    if (!this.data.transferHook) return;
+    const b3 = this.getTracingPropagation();
+    const httpHeaders = b3 && {b3};
+    cs.requestor.request('verb:hook', this.data.transferHook, {
+      ...cs.callInfo.toJSON(),
+      event: 'attended-transfer',
+      transfer_status: status,
+      ...details
+    }, httpHeaders)
+      .catch((err) => this.logger.info({err}, 'Dial:_reportTransferStatus - error'));
+  }
+
   async handleRefer(cs, req, res, callInfo = cs.callInfo) {
     if (this.referHook) {
       try {
@@ -514,17 +715,15 @@ class TaskDial extends Task {
   }
 
   _initSipIndialogRequestListener(cs, dlg) {
-    dlg.on('info', this._onRequestWithinDialog.bind(this, cs));
-    dlg.on('message', this._onRequestWithinDialog.bind(this, cs));
+    SipRequestWithinDialogMethods.forEach((method) => dlg.on(method, this._onRequestWithinDialog.bind(this, cs, dlg)));
   }
 
   _removeSipIndialogRequestListener(dlg) {
-    dlg && dlg.removeAllListeners('message');
-    dlg && dlg.removeAllListeners('info');
+    SipRequestWithinDialogMethods.forEach((method) => dlg && dlg.removeAllListeners(method));
   }
 
-  _onRequestWithinDialog(cs, req, res) {
-    cs._onRequestWithinDialog(req, res);
+  _onRequestWithinDialog(cs, dlg, req, res) {
+    cs._onRequestWithinDialog(req, res, dlg);
   }
 
   async _initializeInbound(cs) {
@@ -879,19 +1078,7 @@ class TaskDial extends Task {
       this.timerMaxCallDuration = setTimeout(this._onMaxCallDuration.bind(this, cs), this.timeLimit * 1000);
     }
     sessionTracker.add(this.callSid, cs);
-    this.dlg.on('destroy', () => {
-      /* if our child is adulting, he's own his own now.. */
-      if (this.dlg) {
-        this.logger.debug('Dial:_selectSingleDial called party hungup, ending dial operation');
-        sessionTracker.remove(this.callSid);
-        if (this.timerMaxCallDuration) {
-          clearTimeout(this.timerMaxCallDuration);
-          this.timerMaxCallDuration = null;
-        }
-        this.ep && this.ep.unbridge();
-        this.kill(cs);
-      }
-    });
+    this.dlg.on('destroy', this._onCalledPartyHangup.bind(this, cs, sd));
 
     Object.assign(this.results, {
       dialCallStatus: CallStatus.Completed,
@@ -947,6 +1134,27 @@ class TaskDial extends Task {
     this.sd.ep.once('destroy', this._handleMediaTimeout.bind(this));
   }
 
+  _onCalledPartyHangup(cs, sd) {
+    /* if our child is adulting, he's own his own now.. */
+    if (!this.dlg || sd !== this.sd) return;
+
+    /* hanging up while consulting with a transfer target completes the transfer */
+    if (this.transfer?.answered) {
+      this.logger.info('Dial:_onCalledPartyHangup called party hungup during consult, completing transfer');
+      this._completeTransfer(cs)
+        .catch((err) => this.logger.error({err}, 'Dial:_onCalledPartyHangup - error completing transfer'));
+      return;
+    }
+    this.logger.debug('Dial:_selectSingleDial called party hungup, ending dial operation');
+    sessionTracker.remove(this.callSid);
+    if (this.timerMaxCallDuration) {
+      clearTimeout(this.timerMaxCallDuration);
+      this.timerMaxCallDuration = null;
+    }
+    this.ep && this.ep.unbridge();
+    this.kill(cs);
+  }
+
   _handleMediaTimeout(evt) {
     if (evt?.reason === 'MEDIA_TIMEOUT' && this.sd && this.bridged) {
       this.kill(this.cs, KillReason.MediaTimeout);
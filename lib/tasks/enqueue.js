@@ -6,11 +6,24 @@ const makeTask = require('./make_task');
 const {TaskName, TaskPreconditions, QueueResults, KillReason} = require('../utils/constants');
 const bent = require('bent');
 const assert = require('assert');
+const {
+  recordDequeue,
+  retrieveDequeueHistory,
+  estimateWaitTime,
+  saveMemberInfo,
+  removeMemberInfo
+} = require('../utils/queue-utils');
+const queueCallbackManager = require('../utils/queue-callback-manager');
 
 const getUrl = (cs) => `${cs.srf.locals.serviceUrl}/v1/enqueue/${cs.callSid}`;
 
 const getElapsedTime = (from) => Math.floor((Date.now() - from) / 1000);
 
+const DEFAULT_ANNOUNCE_INTERVAL_SECS = 60;
+const DEFAULT_ANNOUNCE_TEXT = 'You are number {position} in the queue.';
+const DEFAULT_ANNOUNCE_WAIT_TEXT =
+  'You are number {position} in the queue. Your estimated wait time is {minutes} minutes.';
+
 class TaskEnqueue extends Task {
   constructor(logger, opts) {
     super(logger, opts);
@@ -18,8 +31,15 @@ class TaskEnqueue extends Task {
     this.preconditions = TaskPreconditions.Endpoint;
 
     this.queueName = this.data.name;
+    this.queueShortName = this.data.name;
     this.priority = this.data.priority;
     this.waitHook = this.data.waitHook;
+    this.announce = this.data.announce;
+    this.attributes = this.data.attributes;
+    this.maxWaitTime = this.data.maxWaitTime;
+    this.maxQueueSize = this.data.maxQueueSize;
+    this.overflow = this.data.overflow;
+    this.callback = this.data.callback;
 
     this.emitter = new Emitter();
     this.state = QueueResults.Wait;
@@ -45,12 +65,20 @@ class TaskEnqueue extends Task {
 
     try {
       if (!this.bridgeNow) {
-        await this._addToQueue(cs, dlg, ep);
+        if (!await this._addToQueue(cs, this.maxQueueSize) && !await this._overflowToQueue(cs)) {
+          this.state = QueueResults.Full;
+          this.waitStartTime = Date.now();
+          if (this.overflow?.actionHook) this.actionHook = this.overflow.actionHook;
+          this.logger.info(`TaskEnqueue:exec - queue ${this.queueName} is full, not enqueueing`);
+          await this.performAction();
+          return;
+        }
+        this._startMaxWaitTimer(cs);
         await this._doWait(cs, dlg, ep);
       }
       else {
         // update dialog's answer time to when it was answered on the previous server, not now
-        dlg.connectTime = this.connectTime;
+        if (this.connectTime) dlg.connectTime = this.connectTime;
         await this._doBridge(cs, dlg, ep);
       }
       if (!this.callMoved) await this.performAction();
@@ -66,12 +94,64 @@ class TaskEnqueue extends Task {
     super.kill(cs);
     this.killReason = reason || KillReason.Hangup;
     this.logger.info(`TaskEnqueue:kill ${this.queueName} with reason ${this.killReason}`);
+    if (this.killReason === KillReason.QueueTimeout) {
+      this.leaveReason = 'timeout';
+      this.state = QueueResults.Timeout;
+    }
     this.emitter.emit('kill', reason || KillReason.Hangup);
+    this._stopAnnouncements();
+    this._clearMaxWaitTimer();
     this.notifyTaskDone();
   }
 
-  async _addToQueue(cs, dlg) {
-    const {addToSortedSet, sortedSetLength} = cs.srf.locals.dbHelpers;
+  /**
+   * If the overflow policy names another queue, wait in that queue instead, unless it is also full.
+   * The overflow queue is limited to overflow.maxQueueSize members, or to maxQueueSize if that is not given.
+   * @returns {boolean} true if we have overflowed to another queue
+   */
+  async _overflowToQueue(cs) {
+    if (!this.overflow?.queue || this.overflow.queue === this.data.name) return false;
+    const fullQueueName = this.queueName;
+    this.logger.info(`TaskEnqueue: queue ${fullQueueName} is full, overflowing to ${this.overflow.queue}`);
+    this.queueName = `queue:${cs.accountSid}:${this.overflow.queue}`;
+    this.queueShortName = this.overflow.queue;
+    this.overflowedFrom = this.data.name;
+    if (await this._addToQueue(cs, this.overflow.maxQueueSize || this.maxQueueSize)) return true;
+
+    this.logger.info(`TaskEnqueue: queue ${fullQueueName} and overflow queue ${this.overflow.queue} are full`);
+    this.queueName = fullQueueName;
+    this.queueShortName = this.data.name;
+    this.overflowedFrom = null;
+    return false;
+  }
+
+  _startMaxWaitTimer(cs) {
+    if (!(this.maxWaitTime > 0)) return;
+    this._maxWaitTimer = setTimeout(() => {
+      this._maxWaitTimer = null;
+      if (this.bridgeDetails || this.killed) return;
+      this.logger.info(`TaskEnqueue: max wait time of ${this.maxWaitTime}s expired in ${this.queueName}`);
+      this.kill(cs, KillReason.QueueTimeout);
+    }, this.maxWaitTime * 1000);
+  }
+
+  _clearMaxWaitTimer() {
+    if (this._maxWaitTimer) {
+      clearTimeout(this._maxWaitTimer);
+      this._maxWaitTimer = null;
+    }
+  }
+
+  /**
+   * Join the queue, unless it is full.
+   * If the queue is limited in size, the count is taken in the same transaction as the add,
+   * and we back out again if that took the queue over its limit.
+   * @param {CallSession} cs
+   * @param {number} maxQueueSize - the maximum number of members allowed in the queue, if any
+   * @returns {boolean} false if the queue was full
+   */
+  async _addToQueue(cs, maxQueueSize) {
+    const {client, addToSortedSet, sortedSetLength} = cs.srf.locals.dbHelpers;
     const url = getUrl(cs);
     this.waitStartTime = Date.now();
     this.logger.debug({queue: this.queueName, url}, 'pushing url onto queue');
@@ -79,12 +159,32 @@ class TaskEnqueue extends Task {
       this.logger.warn(`priority ${this.priority} is invalid, need to be non-negative integer,
       999 will be used for priority`);
     }
-    let members = await addToSortedSet(this.queueName, url, this.priority);
+    let members;
+    if (maxQueueSize > 0) {
+      const member = `${this.waitStartTime}:${url}`;
+      const [[, added], [, count]] = await client.multi()
+        .zadd(this.queueName, this.priority >= 0 ? this.priority : 999, member)
+        .zcard(this.queueName)
+        .exec();
+      if (count > maxQueueSize) {
+        await client.zrem(this.queueName, member);
+        return false;
+      }
+      members = added;
+    }
+    else members = await addToSortedSet(this.queueName, url, this.priority);
     if (members === 1) {
       this.logger.info('TaskEnqueue:_addToQueue: added to queue');
     } else {
       this.logger.info('TaskEnqueue:_addToQueue: failed to add to queue');
     }
+    this.memberInfo = {
+      callSid: cs.callSid,
+      priority: this.priority,
+      joinTime: this.waitStartTime,
+      ...(this.attributes && Object.keys(this.attributes).length && {attributes: this.attributes})
+    };
+    await saveMemberInfo(cs.srf.locals.dbHelpers.client, this.queueName, url, this.memberInfo);
     members = await sortedSetLength(this.queueName);
 
     this.notifyUrl = url;
@@ -93,16 +193,19 @@ class TaskEnqueue extends Task {
     try {
       cs.performQueueWebhook({
         event: 'join',
-        queue: this.data.name,
+        queue: this.queueShortName,
+        ...(this.overflowedFrom && {overflowedFrom: this.overflowedFrom}),
         length: members,
         joinTime: this.waitStartTime
       });
     } catch (err) {}
+    return true;
   }
 
   async _removeFromQueue(cs) {
-    const {retrieveByPatternSortedSet, sortedSetLength} = cs.srf.locals.dbHelpers;
+    const {client, retrieveByPatternSortedSet, sortedSetLength} = cs.srf.locals.dbHelpers;
     await retrieveByPatternSortedSet(this.queueName, `*${getUrl(cs)}`);
+    await removeMemberInfo(client, this.queueName, getUrl(cs));
     return await sortedSetLength(this.queueName);
   }
 
@@ -110,7 +213,8 @@ class TaskEnqueue extends Task {
     const params = {
       queueSid: this.queueName,
       queueTime: getElapsedTime(this.waitStartTime),
-      queueResult: this.state
+      queueResult: this.state,
+      ...(this.overflowedFrom && {overflowedFrom: this.overflowedFrom})
     };
     await super.performAction(params, this.killReason !== KillReason.Replaced);
   }
@@ -126,6 +230,9 @@ class TaskEnqueue extends Task {
         .once('dequeue', (opts) => {
           this.bridgeDetails = opts;
           this.logger.info({bridgeDetails: this.bridgeDetails}, `time to dequeue from ${this.queueName}`);
+          this._stopAnnouncements();
+          this._clearMaxWaitTimer();
+          this._stopListeningForCallback(ep);
           if (this._playSession) {
             this._leave = false;
             this._playSession.kill();
@@ -134,16 +241,25 @@ class TaskEnqueue extends Task {
           resolve(this._doBridge(cs, dlg, ep));
         })
         .once('kill', async() => {
+          this._stopListeningForCallback(ep);
+
+          /* caller hung up but wants to keep their place in queue */
+          if (!this.dequeued && !this.callbackRequested && this.callback?.onHangup &&
+            this.state === QueueResults.Wait) {
+            await this._requestCallback(cs).catch((err) => {
+              this.logger.info({err}, `TaskEnqueue: error requesting callback from ${this.queueName}`);
+            });
+          }
 
           /* invoke account-level webhook for queue event notifications */
-          if (!this.dequeued) {
+          if (!this.dequeued && !this.callbackRequested) {
             try {
               const members = await this._removeFromQueue(cs);
               cs.performQueueWebhook({
                 event: 'leave',
-                queue: this.data.name,
+                queue: this.queueShortName,
                 length: members,
-                leaveReason: 'abandoned',
+                leaveReason: this.leaveReason || 'abandoned',
                 leaveTime: Date.now()
               });
             } catch (err) {}
@@ -157,23 +273,166 @@ class TaskEnqueue extends Task {
           resolve();
         });
 
-      if (this.waitHook && !this.killed) {
-        do {
-          try {
+      if (this.announce) this._startAnnouncements();
+      if (this.callback?.dtmf) this._listenForCallback(cs, ep);
+
+      let waitHookDone = !this.waitHook;
+      while (!this.killed && !this.bridgeDetails && (!waitHookDone || this.announce)) {
+        try {
+          if (this._announcementDue) {
+            await this._playAnnouncement(cs, dlg);
+          }
+          else if (!waitHookDone) {
             await ep.play('silence_stream://500');
             const tasks = await this._playHook(cs, dlg, this.waitHook);
-            if (0 === tasks.length) break;
-          } catch (err) {
-            if (!this.bridgeDetails && !this.killed) {
-              this.logger.info(err, `TaskEnqueue:_doWait: failed retrieving waitHook for ${this.queueName}`);
-            }
-            this._playSession = null;
-            break;
+            if (0 === tasks.length) waitHookDone = true;
+          }
+          else {
+            await new Promise((resolve) => this._announcementResolver = resolve);
           }
-        } while (!this.killed && !this.bridgeDetails);
+        } catch (err) {
+          if (!this.bridgeDetails && !this.killed) {
+            this.logger.info(err, `TaskEnqueue:_doWait: failed retrieving waitHook for ${this.queueName}`);
+          }
+          this._playSession = null;
+          if (!this.announce) break;
+          waitHookDone = true;
+        }
+      }
+    });
+
+  }
+
+  _listenForCallback(cs, ep) {
+    this._dtmfHandler = (evt) => {
+      if (evt.dtmf !== this.callback.dtmf || this.callbackRequested || this.bridgeDetails || this.killed) return;
+      this.logger.info(`TaskEnqueue: caller requested a callback from ${this.queueName}`);
+      this._stopListeningForCallback(ep);
+      this._requestCallback(cs)
+        .then(() => this.kill(cs))
+        .catch((err) => this.logger.info({err}, `TaskEnqueue: error requesting callback from ${this.queueName}`));
+    };
+    ep.on('dtmf', this._dtmfHandler);
+  }
+
+  _stopListeningForCallback(ep) {
+    if (this._dtmfHandler) {
+      ep.removeListener('dtmf', this._dtmfHandler);
+      this._dtmfHandler = null;
+    }
+  }
+
+  /**
+   * Keep our place in the queue after this call ends, and have the caller called back
+   * when they are dequeued
+   */
+  async _requestCallback(cs) {
+    const number = this.callback.number || cs.callInfo.from;
+    const application = cs.application;
+    if (!number) throw new Error('no callback number available');
+    await queueCallbackManager.add(cs.callSid, {
+      accountSid: cs.accountSid,
+      queueName: this.queueName,
+      queueShortName: this.queueShortName,
+      notifyUrl: this.notifyUrl,
+      number,
+      from: this.callback.from || cs.callInfo.to,
+      timeout: this.callback.timeout,
+      waitStartTime: this.waitStartTime,
+      application: {
+        application_sid: application.application_sid,
+        call_hook: application.call_hook,
+        call_status_hook: application.call_status_hook
       }
     });
+    this.callbackRequested = true;
+    this.state = QueueResults.Callback;
+    await saveMemberInfo(cs.srf.locals.dbHelpers.client, this.queueName, this.notifyUrl, {
+      ...this.memberInfo,
+      callback: {number}
+    });
+  }
 
+  /**
+   * Periodically announce the caller's position (and estimated wait time, if known)
+   * while they wait in queue.  When an announcement comes due we interrupt any
+   * waitHook content that is currently playing.
+   */
+  _startAnnouncements() {
+    const interval = this.announce.interval || DEFAULT_ANNOUNCE_INTERVAL_SECS;
+    this._announcementDue = true;
+    this._announcementTimer = setInterval(() => {
+      this._announcementDue = true;
+      if (this._announcementResolver) {
+        this._announcementResolver();
+        this._announcementResolver = null;
+      }
+      else if (this._playSession) {
+        this.logger.debug('TaskEnqueue: interrupting waitHook to make announcement');
+        this._playSession.kill();
+      }
+    }, interval * 1000);
+  }
+
+  _stopAnnouncements() {
+    if (this._announcementTimer) {
+      clearInterval(this._announcementTimer);
+      this._announcementTimer = null;
+    }
+    if (this._announcementResolver) {
+      this._announcementResolver();
+      this._announcementResolver = null;
+    }
+  }
+
+  async _playAnnouncement(cs, dlg) {
+    this._announcementDue = false;
+    const {queuePosition, estimatedWaitTime} = await this._getQueueInfo(cs);
+    const {text, waitText, synthesizer} = this.announce;
+    const template = typeof estimatedWaitTime === 'number' ?
+      (waitText || DEFAULT_ANNOUNCE_WAIT_TEXT) :
+      (text || DEFAULT_ANNOUNCE_TEXT);
+    const say = template
+      .replace(/{position}/g, queuePosition + 1)
+      .replace(/{minutes}/g, Math.max(1, Math.ceil((estimatedWaitTime || 0) / 60)));
+
+    if (this.killed || this.bridgeDetails) return;
+    const task = makeTask(this.logger, {say: {text: say, ...(synthesizer && {synthesizer})}});
+    this.logger.debug(`TaskEnqueue:_playAnnouncement: ${say}`);
+    this._playSession = new ConfirmCallSession({
+      logger: this.logger,
+      application: cs.application,
+      dlg,
+      ep: cs.ep,
+      callInfo: cs.callInfo,
+      accountInfo: cs.accountInfo,
+      tasks: [task],
+      rootSpan: cs.rootSpan,
+      req: cs.req,
+      tmpFiles: cs.tmpFiles,
+    });
+    await this._playSession.exec();
+    this._playSession = null;
+  }
+
+  /**
+   * Retrieve the current size of the queue, our (zero-based) position in it,
+   * and our estimated wait time if there is enough history to calculate one
+   * @param {CallSession} cs
+   */
+  async _getQueueInfo(cs) {
+    const {client, sortedSetLength, sortedSetPositionByPattern} = cs.srf.locals.dbHelpers;
+    const queueSize = await sortedSetLength(this.queueName);
+    const position = await sortedSetPositionByPattern(this.queueName, `*${this.notifyUrl}`);
+    const queuePosition = position?.length ? position[0] : 0;
+    let estimatedWaitTime;
+    try {
+      const history = await retrieveDequeueHistory(client, this.queueName);
+      estimatedWaitTime = estimateWaitTime(history, queuePosition);
+    } catch (err) {
+      this.logger.info({err}, `TaskEnqueue:_getQueueInfo error retrieving dequeue history for ${this.queueName}`);
+    }
+    return {queueSize, queuePosition, estimatedWaitTime};
   }
 
   /**
@@ -290,12 +549,16 @@ class TaskEnqueue extends Task {
       this.emitter.emit('dequeue', opts);
 
       try {
-        const {sortedSetLength} = cs.srf.locals.dbHelpers;
+        const {client, sortedSetLength} = cs.srf.locals.dbHelpers;
         const members = await sortedSetLength(this.queueName);
         this.dequeued = true;
+        recordDequeue(client, this.queueName, getElapsedTime(this.waitStartTime))
+          .catch((err) => this.logger.info({err}, `TaskEnqueue: error recording dequeue for ${this.queueName}`));
+        removeMemberInfo(client, this.queueName, this.notifyUrl)
+          .catch((err) => this.logger.info({err}, `TaskEnqueue: error removing member info for ${this.queueName}`));
         cs.performQueueWebhook({
           event: 'leave',
-          queue: this.data.name,
+          queue: this.queueShortName,
           length: Math.max(members, 0),
           leaveReason: 'dequeued',
           leaveTime: Date.now(),
@@ -306,6 +569,13 @@ class TaskEnqueue extends Task {
     else if (opts.event === 'hangup') {
       this.emitter.emit('hangup');
     }
+    else if (opts.event === 'remove') {
+      if (this.bridgeDetails || this.killed) return;
+      this.logger.info(`TaskEnqueue:notifyDequeueEvent: removed from ${this.queueName} via api`);
+      this.leaveReason = 'removed';
+      this.state = QueueResults.Leave;
+      this.kill(cs);
+    }
     else {
       this.logger.error({opts}, 'TaskEnqueue:notifyDequeueEvent - unsupported event/payload');
     }
@@ -313,7 +583,6 @@ class TaskEnqueue extends Task {
 
   async _playHook(cs, dlg, hook,
     allowed = [TaskName.Play, TaskName.Say, TaskName.Pause, TaskName.Leave, TaskName.Tag]) {
-    const {sortedSetLength, sortedSetPositionByPattern} = cs.srf.locals.dbHelpers;
     const b3 = this.getTracingPropagation();
     const httpHeaders = b3 && {b3};
 
@@ -325,11 +594,11 @@ class TaskEnqueue extends Task {
       queueTime: getElapsedTime(this.waitStartTime)
     };
     try {
-      const queueSize = await sortedSetLength(this.queueName);
-      const queuePosition = await sortedSetPositionByPattern(this.queueName, `*${this.notifyUrl}`);
+      const {queueSize, queuePosition, estimatedWaitTime} = await this._getQueueInfo(cs);
       Object.assign(params, {
         queueSize,
-        queuePosition: queuePosition.length ? queuePosition[0] : 0,
+        queuePosition,
+        ...(typeof estimatedWaitTime === 'number' && {estimatedWaitTime}),
         callSid: this.cs.callSid,
         callId: this.cs.callId,
         customerData: this.cs.callInfo.customerData
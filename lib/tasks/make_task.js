@@ -1,4 +1,4 @@
-const { validateVerb } = require('@jambonz/verb-specifications');
+const { validateVerb } = require('../utils/verb-specs');
 const {TaskName} = require('../utils/constants');
 const errBadInstruction = new Error('malformed jambonz application payload');
 
@@ -26,6 +26,12 @@ function makeTask(logger, obj, parent) {
     case TaskName.SipRefer:
       const TaskSipRefer = require('./sip_refer');
       return new TaskSipRefer(logger, data, parent);
+    case TaskName.SipRedirect:
+      const TaskSipRedirect = require('./sip_redirect');
+      return new TaskSipRedirect(logger, data, parent);
+    case TaskName.SipNotify:
+      const TaskSipNotify = require('./sip_notify');
+      return new TaskSipNotify(logger, data, parent);
     case TaskName.Config:
       const TaskConfig = require('./config');
       return new TaskConfig(logger, data, parent);
@@ -1,6 +1,8 @@
 const Task = require('./task');
 const {TaskName} = require('../utils/constants');
 const WsRequestor = require('../utils/ws-requestor');
+const GrpcRequestor = require('../utils/grpc-requestor');
+const {isGrpcUrl} = GrpcRequestor;
 const URL = require('url');
 const HttpRequestor = require('../utils/http-requestor');
 
@@ -22,9 +24,18 @@ class TaskRedirect extends Task {
     if (isAbsoluteUrl) {
       this.logger.info(`TaskRedirect redirecting to new absolute URL ${this.actionHook}, requires new requestor`);
 
-      if (cs.requestor instanceof WsRequestor) {
+      if (isGrpcUrl(this.actionHook)) {
         try {
-          const requestor = new WsRequestor(this.logger, cs.accountSid, {url: this.actionHook},
+          const requestor = new GrpcRequestor(this.logger, cs.accountSid, cs.requestor._derivedHook(this.actionHook),
+            cs.accountInfo.account.webhook_secret);
+          cs.requestor.emit('handover', requestor);
+        } catch (err) {
+          this.logger.info(err, `TaskRedirect error redirecting to ${this.actionHook}`);
+        }
+      }
+      else if (cs.requestor instanceof WsRequestor) {
+        try {
+          const requestor = new WsRequestor(this.logger, cs.accountSid, cs.requestor._derivedHook(this.actionHook),
             cs.accountInfo.account.webhook_secret) ;
           cs.requestor.emit('handover', requestor);
         } catch (err) {
@@ -38,8 +49,8 @@ class TaskRedirect extends Task {
         if (baseUrl != newBaseUrl) {
           try {
             this.logger.info(`Task:redirect updating base url to ${newBaseUrl}`);
-            const newRequestor = new HttpRequestor(this.logger, cs.accountSid, {url: this.actionHook},
-              cs.accountInfo.account.webhook_secret);
+            const newRequestor = new HttpRequestor(this.logger, cs.accountSid,
+              cs.requestor._derivedHook(this.actionHook), cs.accountInfo.account.webhook_secret);
             cs.requestor.emit('handover', newRequestor);
           } catch (err) {
             this.logger.info(err, `TaskRedirect error updating base url to ${this.actionHook}`);
@@ -1,7 +1,8 @@
 const Task = require('./task');
-const {TaskName} = require('../utils/constants');
+const {TaskName, SipRequestWithinDialogMethods} = require('../utils/constants');
 const makeTask = require('./make_task');
 const { normalizeJambones } = require('@jambonz/verb-specifications');
+const {withHookTimeout} = require('../utils/hook-fallback');
 
 /**
  * Manages an outdial made via REST API
@@ -31,6 +32,10 @@ class TaskRestDial extends Task {
     this.app_json = app_json;
   }
 
+  set queueCallback(queue_callback) {
+    this.queue_callback = queue_callback;
+  }
+
   /**
    * INVITE has just been sent at this point
   */
@@ -105,18 +110,25 @@ class TaskRestDial extends Task {
         }
       }
       let tasks;
-      if (this.app_json) {
+      if (this.queue_callback) {
+        /* a caller being called back from a queue: bridge them to the dequeuer */
+        const {queue, epUuid, notifyUrl, waitStartTime} = this.queue_callback;
+        this.logger.debug(`TaskRestDial: bridging queue callback from ${queue}`);
+        tasks = [{verb: 'enqueue', name: queue, _: {epUuid, notifyUrl, waitStartTime}}];
+      } else if (this.app_json) {
         this.logger.debug('TaskRestDial: using app_json from task data');
         tasks = JSON.parse(this.app_json);
       } else {
         this.logger.debug({call_hook: this.call_hook}, 'TaskRestDial: retrieving application');
-        tasks = await cs.requestor.request('session:new', this.call_hook, params, httpHeaders);
+        tasks = await withHookTimeout(cs.requestor.request('session:new', this.call_hook, params, httpHeaders),
+          cs.hookFallback?.timeout);
       }
       if (tasks && Array.isArray(tasks)) {
         this.logger.debug({tasks: tasks}, `TaskRestDial: replacing application with ${tasks.length} tasks`);
         cs.replaceApplication(normalizeJambones(this.logger, tasks).map((tdata) => makeTask(this.logger, tdata)));
       }
     } catch (err) {
+      if (cs.useHookFallback('session:new', err)) return;
       this.logger.error(err, 'TaskRestDial:_onConnect error retrieving or parsing application, ending call');
       this.notifyTaskDone();
     }
@@ -166,12 +178,11 @@ class TaskRestDial extends Task {
 
   _initSipRequestWithinDialogHandler(cs, dlg) {
     cs.sipRequestWithinDialogHook = this.sipRequestWithinDialogHook;
-    dlg.on('info', this._onRequestWithinDialog.bind(this, cs));
-    dlg.on('message', this._onRequestWithinDialog.bind(this, cs));
+    SipRequestWithinDialogMethods.forEach((method) => dlg.on(method, this._onRequestWithinDialog.bind(this, cs, dlg)));
   }
 
-  async _onRequestWithinDialog(cs, req, res) {
-    cs._onRequestWithinDialog(req, res);
+  async _onRequestWithinDialog(cs, dlg, req, res) {
+    cs._onRequestWithinDialog(req, res, dlg);
   }
 }
 
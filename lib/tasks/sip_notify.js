@@ -0,0 +1,85 @@
+const Task = require('./task');
+const {TaskName, TaskPreconditions} = require('../utils/constants');
+
+/* SIP transaction timeout (64*T1) for a non-INVITE request */
+const NOTIFY_TIMEOUT_SECS = 32;
+
+/**
+ * Send a NOTIFY, either within the dialog of the current call or, if a uri is provided,
+ * outside of any dialog via the SBC
+ */
+class TaskSipNotify extends Task {
+  constructor(logger, opts) {
+    super(logger, opts);
+    this.uri = this.data.uri;
+    this.preconditions = this.uri ? TaskPreconditions.None : TaskPreconditions.StableCall;
+
+    this.headers = {
+      ...(this.data.headers || {}),
+      'Event': this.data.event,
+      'Subscription-State': this.data.subscriptionState || 'active',
+      ...(this.data.body && this.data.contentType && {'Content-Type': this.data.contentType})
+    };
+    this.body = this.data.body;
+    if (this.body) this.body = `${this.body}\n`;
+  }
+
+  get name() { return TaskName.SipNotify; }
+
+  async exec(cs, {dlg} = {}) {
+    super.exec(cs);
+    let result;
+    try {
+      this.logger.info({uri: this.uri}, `TaskSipNotify: sending NOTIFY for event ${this.data.event}`);
+      const res = this.uri ?
+        await this._sendOutOfDialog(cs) :
+        await dlg.request({method: 'NOTIFY', headers: this.headers, body: this.body});
+      result = {result: 'success', sipStatus: res.status};
+      this.span.setAttributes({
+        ...this.headers,
+        ...(this.uri && {uri: this.uri}),
+        ...(this.body && {body: this.body}),
+        'response.status_code': res.status
+      });
+      this.logger.debug({result}, 'TaskSipNotify: received response to NOTIFY');
+    } catch (err) {
+      this.logger.error({err}, 'TaskSipNotify: error');
+      this.span.setAttributes({
+        ...this.headers,
+        ...(this.uri && {uri: this.uri}),
+        'response.error': err.message
+      });
+      result = {result: 'failed', err: err.message};
+    }
+    await this.performAction(result);
+  }
+
+  _sendOutOfDialog(cs) {
+    const {srf} = cs;
+    const sbcAddress = srf.locals.getSBC();
+    if (!sbcAddress) throw new Error('no SBC found for out-of-dialog NOTIFY');
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('timeout waiting for final response to NOTIFY')),
+        NOTIFY_TIMEOUT_SECS * 1000);
+      srf.request(this.uri, {
+        method: 'NOTIFY',
+        proxy: `sip:${sbcAddress}`,
+        headers: this.headers,
+        body: this.body
+      }, (err, req) => {
+        if (err) {
+          clearTimeout(timer);
+          return reject(err);
+        }
+        req.on('response', (res) => {
+          if (res.status >= 200) {
+            clearTimeout(timer);
+            resolve(res);
+          }
+        });
+      });
+    });
+  }
+}
+
+module.exports = TaskSipNotify;
@@ -0,0 +1,68 @@
+const Task = require('./task');
+const {TaskName, TaskPreconditions, CallStatus} = require('../utils/constants');
+
+/**
+ * Format a contact as it appears in the Contact header of a 3xx response
+ * @param {string|object} contact - a uri, or {uri, q} where q is the preference (0 to 1)
+ */
+const formatContact = (contact) => {
+  const {uri, q} = typeof contact === 'string' ? {uri: contact} : contact;
+  const addr = uri.startsWith('<') ? uri : `<${uri}>`;
+  if (undefined === q) return addr;
+  const qvalue = Math.min(Math.max(Number(q) || 0, 0), 1).toFixed(3).replace(/\.?0+$/, '');
+  return `${addr};q=${qvalue || '0'}`;
+};
+
+/**
+ * Redirects an incoming call by responding with a 3xx and a list of contacts
+ */
+class TaskSipRedirect extends Task {
+  constructor(logger, opts) {
+    super(logger, opts);
+    this.preconditions = TaskPreconditions.UnansweredCall;
+
+    this.status = this.data.status || 302;
+    if (this.status < 300 || this.status > 399) throw new Error('sip:redirect status must be a 3xx');
+    this.reason = this.data.reason;
+    this.contacts = [].concat(this.data.contact || []).filter((c) => c && (c.uri || typeof c === 'string'));
+    if (0 === this.contacts.length) throw new Error('sip:redirect requires at least one contact');
+    this.headers = this.data.headers || {};
+  }
+
+  get name() { return TaskName.SipRedirect; }
+
+  async exec(cs, {res}) {
+    super.exec(cs);
+    const contact = this.contacts.map(formatContact).join(', ');
+    this.logger.info({contact}, `TaskSipRedirect: redirecting call with ${this.status}`);
+    try {
+      await new Promise((resolve, reject) => {
+        res.send(this.status, this.reason, {
+          headers: {...this.headers, 'Contact': contact}
+        }, (err) => (err ? reject(err) : resolve()));
+      });
+    } catch (err) {
+      /* the call has not been redirected, so the application may continue with it */
+      this.logger.error({err}, 'TaskSipRedirect: error sending redirect');
+      this.span.setAttributes({contact, 'response.error': err.message});
+      await this.performAction({result: 'failed', err: err.message});
+      return;
+    }
+
+    try {
+      this.span.setAttributes({contact, 'response.status_code': this.status});
+      cs.emit('callStatusChange', {
+        callStatus: CallStatus.Failed,
+        sipStatus: this.status,
+        sipReason: this.reason
+      });
+      await this.performAction({result: 'success', sipStatus: this.status}, false);
+    } catch (err) {
+      this.logger.info({err}, 'TaskSipRedirect: error reporting redirect');
+    } finally {
+      cs._callReleased();
+    }
+  }
+}
+
+module.exports = TaskSipRedirect;
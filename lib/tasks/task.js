@@ -2,7 +2,9 @@ const Emitter = require('events');
 const crypto = require('crypto');
 const {TaskPreconditions} = require('../utils/constants');
 const { normalizeJambones } = require('@jambonz/verb-specifications');
-const WsRequestor = require('../utils/ws-requestor');
+const callEventPublisher = require('../utils/call-event-publisher');
+const deadLetterQueue = require('../utils/dead-letter-queue');
+const {withHookTimeout} = require('../utils/hook-fallback');
 const {TaskName} = require('../utils/constants');
 const {trace} = require('@opentelemetry/api');
 
@@ -141,19 +143,36 @@ class Task extends Emitter {
   }
 
   notifyError(obj) {
-    if (this.cs.requestor instanceof WsRequestor) {
-      const params = {...obj, verb: this.name, id: this.id};
+    const params = {...obj, verb: this.name, id: this.id};
+    callEventPublisher.publish('jambonz:error', this.cs.callSid, this.cs.accountSid, params);
+    if (this.cs.appIsUsingWebsockets) {
       this.cs.requestor.request('jambonz:error', '/error', params)
         .catch((err) => this.logger.info({err}, 'Task:notifyError error sending error'));
     }
   }
 
   notifyStatus(obj) {
-    if (this.cs.notifyEvents && this.cs.requestor instanceof WsRequestor) {
-      const params = {...obj, verb: this.name, id: this.id};
-      this.cs.requestor.request('verb:status', '/status', params)
-        .catch((err) => this.logger.info({err}, 'Task:notifyStatus error sending error'));
+    const params = {...obj, verb: this.name, id: this.id};
+    callEventPublisher.publish('verb:status', this.cs.callSid, this.cs.accountSid, params);
+    if (this.cs.notifyEvents && this.cs.appIsUsingWebsockets) {
+      const {requestor} = this.cs;
+      requestor.request('verb:status', '/status', params)
+        .catch((err) => {
+          this.logger.info({err}, 'Task:notifyStatus error sending error');
+          return deadLetterQueue.add({
+            accountSid: this.cs.accountSid,
+            applicationSid: this.cs.applicationSid,
+            callSid: this.cs.callSid,
+            type: 'verb:status',
+            requestor,
+            hook: '/status',
+            payload: params,
+            err
+          });
+        })
+        .catch((err) => this.logger.info({err}, 'Task:notifyStatus error saving undeliverable verb:status'));
     }
+    else if (this.cs.notifyEvents) this.cs.batchStatusNotification('verb:status', params);
   }
 
   async performAction(results, expectResponse = true) {
@@ -166,9 +185,11 @@ class Task extends Emitter {
       span.setAttributes({'http.body': JSON.stringify(params)});
       try {
         if (this.id) params.verb_id = this.id;
-        const json = await this.cs.requestor.request(type, this.actionHook, params, httpHeaders, span);
+        const json = await withHookTimeout(
+          this.cs.requestor.request(type, this.actionHook, params, httpHeaders, span),
+          this.cs.hookFallback?.timeout);
         span.setAttributes({'http.statusCode': 200});
-        const isWsConnection = this.cs.requestor instanceof WsRequestor;
+        const isWsConnection = this.cs.appIsUsingWebsockets;
         if (!isWsConnection || (expectResponse && json && Array.isArray(json) && json.length)) {
           span.end();
         } else {
@@ -197,22 +218,38 @@ class Task extends Emitter {
       } catch (err) {
         span.setAttributes({'http.statusCode': err.statusCode});
         span.end();
+        if (this.callSession.useHookFallback(type, err)) return true;
         throw err;
       }
       return false;
     }
   }
 
-  async performHook(cs, hook, results) {
+  /**
+   * Send a verb:hook request, traced in a span of this task, and return the response
+   */
+  async requestHook(cs, hook, results) {
     const params = results ? Object.assign(cs.callInfo.toJSON(), results) : cs.callInfo.toJSON();
     const span = this.startSpan('verb:hook', {'hook.url': hook});
     const b3 = this.getTracingPropagation('b3', span);
     const httpHeaders = b3 && {b3};
     span.setAttributes({'http.body': JSON.stringify(params)});
     try {
-      const json = await cs.requestor.request('verb:hook', hook, params, httpHeaders, span);
+      const json = await withHookTimeout(cs.requestor.request('verb:hook', hook, params, httpHeaders, span),
+        cs.hookFallback?.timeout);
       span.setAttributes({'http.statusCode': 200});
+      return json;
+    } catch (err) {
+      span.setAttributes({'http.statusCode': err.statusCode});
+      throw err;
+    } finally {
       span.end();
+    }
+  }
+
+  async performHook(cs, hook, results) {
+    try {
+      const json = await this.requestHook(cs, hook, results);
       if (json && Array.isArray(json)) {
         const makeTask = require('./make_task');
         const tasks = normalizeJambones(this.logger, json).map((tdata) => makeTask(this.logger, tdata));
@@ -223,8 +260,10 @@ class Task extends Emitter {
       }
       return false;
     } catch (err) {
-      span.setAttributes({'http.statusCode': err.statusCode});
-      span.end();
+      if (cs.useHookFallback('verb:hook', err)) {
+        this.isReplacingApplication = true;
+        return true;
+      }
       throw err;
     }
   }
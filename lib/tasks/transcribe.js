@@ -700,7 +700,8 @@ class TaskTranscribe extends SttTask {
         ...httpHeaders,
         ...latencies,
         ...(evt.alternatives && {speech: evt}),
-        ...(evt.type && {speechEvent: evt})
+        ...(evt.type && {speechEvent: evt}),
+        ...(this.cs.isSipRecCallSession && {siprec: this.cs.getSipRecChannelDetails(channel)})
       };
       try {
         this.logger.debug({payload}, 'sending transcriptionHook');
@@ -26,6 +26,10 @@ class BackgroundTaskManager extends Emitter {
     return this.tasks.size;
   }
 
+  listTasks() {
+    return [...this.tasks.keys()];
+  }
+
   async newTask(type, opts, sticky = false) {
     this.logger.info({opts}, `initiating Background task ${type}`);
     if (this.tasks.has(type)) {
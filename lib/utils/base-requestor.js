@@ -3,8 +3,10 @@ const Emitter = require('events');
 const crypto = require('crypto');
 const parseUrl = require('parse-url');
 const timeSeries = require('@jambonz/time-series');
-const {NODE_ENV, JAMBONES_TIME_SERIES_HOST} = require('../config');
+const circuitBreaker = require('./circuit-breaker');
+const {NODE_ENV, JAMBONES_TIME_SERIES_HOST, JAMBONES_WEBHOOK_SIGNING_KEY} = require('../config');
 let alerter ;
+let signingKey;
 
 class BaseRequestor extends Emitter {
   constructor(logger, account_sid, hook, secret) {
@@ -18,6 +20,7 @@ class BaseRequestor extends Emitter {
     this.password = hook.password;
     this.secret = secret;
     this.account_sid = account_sid;
+    this.tls = hook.tls;
 
     const {stats} = require('../../').srf.locals;
     this.stats = stats;
@@ -26,6 +29,8 @@ class BaseRequestor extends Emitter {
     if (u.port) this._baseUrl = `${u.protocol}://${u.resource}:${u.port}`;
     else this._baseUrl = `${u.protocol}://${u.resource}`;
 
+    this.fallbackUrls = this._getHookFallbackUrls(hook);
+
     if (!alerter) {
       alerter = timeSeries(logger, {
         host: JAMBONES_TIME_SERIES_HOST,
@@ -33,6 +38,18 @@ class BaseRequestor extends Emitter {
         commitInterval: 'test' === NODE_ENV ? 7 : 20
       });
     }
+
+    if (JAMBONES_WEBHOOK_SIGNING_KEY && undefined === signingKey) {
+      try {
+        /* allow the PEM to be provided on a single line with escaped newlines */
+        const key = crypto.createPrivateKey(JAMBONES_WEBHOOK_SIGNING_KEY.replace(/\\n/g, '\n'));
+        assert.equal(key.asymmetricKeyType, 'ed25519', 'JAMBONES_WEBHOOK_SIGNING_KEY must be an Ed25519 key');
+        signingKey = key;
+      } catch (err) {
+        logger.error({err}, 'BaseRequestor: invalid JAMBONES_WEBHOOK_SIGNING_KEY, ed25519 signatures disabled');
+        signingKey = null;
+      }
+    }
   }
 
   get baseUrl() {
@@ -47,28 +64,49 @@ class BaseRequestor extends Emitter {
     /* subclass responsibility */
   }
 
-  _computeSignature(payload, timestamp, secret) {
-    assert(secret);
-    const data = `${timestamp}.${JSON.stringify(payload)}`;
+  _computeHmac(data, secret) {
     return crypto
       .createHmac('sha256', secret)
       .update(data, 'utf8')
       .digest('hex');
   }
 
-  _generateSigHeader(payload, secret) {
+  /**
+   * An account may have more than one active secret while rotating them, provided either
+   * as an array or as a comma-separated list; we sign with each of them.
+   */
+  _getSecrets(secret) {
+    const secrets = Array.isArray(secret) ? secret : (secret || '').split(',');
+    return secrets.filter((s) => typeof s === 'string').map((s) => s.trim()).filter((s) => s.length);
+  }
+
+  /**
+   * Generate the Jambonz-Signature header: a timestamp, a v1 (HMAC-SHA256) signature for each
+   * secret and, if a signing key is configured, an ed25519 signature (base64) that can be verified
+   * with the public key.  The signed data is `${timestamp}.${data}`.
+   */
+  _generateSigHeaderForData(data, secret) {
     const timestamp = Math.floor(Date.now() / 1000);
-    const signature = this._computeSignature(payload, timestamp, secret);
-    const scheme = 'v1';
+    const signed = `${timestamp}.${data}`;
+    const signatures = this._getSecrets(secret).map((s) => `v1=${this._computeHmac(signed, s)}`);
+    if (signingKey) {
+      signatures.push(`ed25519=${crypto.sign(null, Buffer.from(signed, 'utf8'), signingKey).toString('base64')}`);
+    }
+    if (0 === signatures.length) return {};
     return {
-      'Jambonz-Signature': `t=${timestamp},${scheme}=${signature}`
+      'Jambonz-Signature': `t=${timestamp},${signatures.join(',')}`
     };
   }
 
+  _generateSigHeader(payload, secret) {
+    return this._generateSigHeaderForData(JSON.stringify(payload), secret);
+  }
+
   _isAbsoluteUrl(u) {
     return typeof u === 'string' &&
       u.startsWith('https://') || u.startsWith('http://') ||
-      u.startsWith('ws://') || u.startsWith('wss://');
+      u.startsWith('ws://') || u.startsWith('wss://') ||
+      u.startsWith('grpc://') || u.startsWith('grpcs://');
   }
   _isRelativeUrl(u) {
     return typeof u === 'string' && u.startsWith('/');
@@ -79,6 +117,61 @@ class BaseRequestor extends Emitter {
     return time.toFixed(0);
   }
 
+  _originOf(u) {
+    const {protocol, resource, port} = parseUrl(u);
+    return port ? `${protocol}://${resource}:${port}` : `${protocol}://${resource}`;
+  }
+
+  /**
+   * the hook for a requestor created to take over from, or make a request on behalf of, this one;
+   * it uses the same client certificate
+   */
+  _derivedHook(hook) {
+    const h = typeof hook === 'object' ? hook : {url: hook};
+    return this.tls && !h.tls ? {...h, tls: this.tls} : h;
+  }
+
+  /**
+   * fallback urls may be provided as hook.fallback_urls (an array) or hook.fallback_url
+   */
+  _getHookFallbackUrls(hook) {
+    if (typeof hook !== 'object' || !hook) return [];
+    const urls = [
+      ...(Array.isArray(hook.fallback_urls) ? hook.fallback_urls : []),
+      ...(hook.fallback_url ? [hook.fallback_url] : [])
+    ];
+    return [...new Set(urls)].filter((u) => typeof u === 'string' && this._isAbsoluteUrl(u));
+  }
+
+  /**
+   * Return the urls to try for a request, in order: the url itself followed by any fallbacks.
+   * A hook may carry its own fallbacks; otherwise, if the url is on the same server as the
+   * application's hook we apply the same path to each of the application's fallback servers.
+   * Urls whose circuit is open are skipped, unless that would leave nothing to try.
+   * @param {object|string} hook - the hook being requested
+   * @param {string} absUrl - the absolute url of the hook
+   */
+  _getCandidateUrls(hook, absUrl) {
+    let fallbacks = this._getHookFallbackUrls(hook);
+    if (0 === fallbacks.length && this.fallbackUrls.length) {
+      if (absUrl === this.url) fallbacks = this.fallbackUrls;
+      else if (absUrl.startsWith(this.baseUrl)) {
+        const suffix = absUrl.slice(this.baseUrl.length);
+        fallbacks = this.fallbackUrls.map((u) => `${this._originOf(u)}${suffix}`);
+      }
+    }
+    const candidates = [absUrl, ...fallbacks.filter((u) => u !== absUrl)];
+    const available = candidates.filter((u) => !circuitBreaker.isOpen(this._originOf(u)));
+    return available.length ? available : candidates;
+  }
+
+  /**
+   * connection failures, timeouts and server errors cause us to try the next fallback url
+   */
+  _isFailoverError(err) {
+    return this._shouldRetry(err, ['ct', 'rt', '5xx']);
+  }
+
   _parseHashParams(hash) {
     // Remove the leading # if present
     const hashString = hash.startsWith('#') ? hash.substring(1) : hash;
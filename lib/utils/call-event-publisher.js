@@ -0,0 +1,42 @@
+const Emitter = require('events');
+const snakeCaseKeys = require('./snakecase-keys');
+
+/**
+ * @classdesc This is a singleton class that re-publishes the call:status, verb:status and
+ * jambonz:error events generated by calls on this feature server, so that they can be
+ * monitored (e.g. via the /v1/events api) independently of the application controlling the call.
+ */
+class CallEventPublisher extends Emitter {
+  constructor() {
+    super();
+
+    /* there is one listener per connected event stream */
+    this.setMaxListeners(0);
+  }
+
+  get hasSubscribers() {
+    return this.listenerCount('event') > 0;
+  }
+
+  /**
+   * Publishes an event to any current subscribers
+   * @param {string} type - call:status, verb:status or jambonz:error
+   * @param {string} callSid - the call that generated the event
+   * @param {string} accountSid - the account the call belongs to
+   * @param {object} data - the event payload, as sent to the application
+   */
+  publish(type, callSid, accountSid, data) {
+    if (!this.hasSubscribers) return;
+    this.emit('event', {
+      type,
+      call_sid: callSid,
+      account_sid: accountSid,
+      timestamp: new Date().toISOString(),
+      data: data ? snakeCaseKeys(data, ['customerData', 'sip', 'env_vars', 'args']) : null
+    });
+  }
+}
+
+const singleton = new CallEventPublisher();
+
+module.exports = singleton;
@@ -0,0 +1,52 @@
+const {
+  JAMBONES_WEBHOOK_CIRCUIT_BREAKER_THRESHOLD,
+  JAMBONES_WEBHOOK_CIRCUIT_BREAKER_RESET_MS
+} = require('../config');
+
+/**
+ * @classdesc Tracks the health of webhook endpoints across all calls on this server.
+ * After a number of consecutive failures the circuit for an endpoint is opened, and
+ * requestors will skip it in favor of any fallback urls.  Once the reset interval has
+ * passed we allow a request through again (half-open); if it succeeds the circuit is closed.
+ */
+class CircuitBreaker {
+  constructor({threshold = JAMBONES_WEBHOOK_CIRCUIT_BREAKER_THRESHOLD,
+    resetMs = JAMBONES_WEBHOOK_CIRCUIT_BREAKER_RESET_MS} = {}) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.circuits = new Map();
+  }
+
+  /**
+   * @param {string} key - the endpoint (e.g. scheme://host:port)
+   * @returns {boolean} true if requests to the endpoint should be skipped
+   */
+  isOpen(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || !circuit.openedAt) return false;
+    if (Date.now() - circuit.openedAt >= this.resetMs) {
+      /* half-open: let the next request through, and re-open immediately if it fails */
+      circuit.openedAt = null;
+      circuit.failures = this.threshold - 1;
+      return false;
+    }
+    return true;
+  }
+
+  recordSuccess(key) {
+    this.circuits.delete(key);
+  }
+
+  recordFailure(key) {
+    const circuit = this.circuits.get(key) || {failures: 0, openedAt: null};
+    circuit.failures++;
+    if (circuit.failures >= this.threshold && !circuit.openedAt) circuit.openedAt = Date.now();
+    this.circuits.set(key, circuit);
+    return !!circuit.openedAt;
+  }
+}
+
+const singleton = new CircuitBreaker();
+
+module.exports = singleton;
+module.exports.CircuitBreaker = CircuitBreaker;
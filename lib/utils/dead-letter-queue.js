@@ -0,0 +1,278 @@
+const Emitter = require('events');
+const crypto = require('crypto');
+const HttpRequestor = require('./http-requestor');
+const sessionTracker = require('../session/session-tracker');
+const {getWebhookTls, withWebhookTls} = require('./webhook-tls');
+const {
+  JAMBONES_DEAD_LETTER_RETRY,
+  JAMBONES_DEAD_LETTER_MAX_ATTEMPTS,
+  JAMBONES_DEAD_LETTER_RETRY_BASE_MS,
+  JAMBONES_DEAD_LETTER_RETRY_MAX_MS,
+  JAMBONES_DEAD_LETTER_TTL_SECS
+} = require('../config');
+
+const RETRY_KEY = 'dead-letter-retry';
+const RETRY_POLL_INTERVAL_MS = 5000;
+const RETRY_BATCH_SIZE = 20;
+
+const makeDeadLetterKey = (accountSid) => `dead-letter:${accountSid}`;
+
+/* websocket notifications can only be retried by the feature server holding the call's session */
+const makeSessionRetryKey = (serviceUrl) => `${RETRY_KEY}:${serviceUrl}`;
+
+/**
+ * delay before the next delivery attempt, doubling with each attempt up to a maximum
+ * @param {number} attempts - number of attempts made so far
+ */
+const computeBackoff = (attempts, baseMs = JAMBONES_DEAD_LETTER_RETRY_BASE_MS,
+  maxMs = JAMBONES_DEAD_LETTER_RETRY_MAX_MS) => Math.min(baseMs * Math.pow(2, Math.max(attempts - 1, 0)), maxMs);
+
+const isHttp = (hook) => typeof hook?.url === 'string' && /^https?:\/\//.test(hook.url);
+const isWebsocket = (hook) => typeof hook?.url === 'string' && /^wss?:\/\//.test(hook.url);
+
+/**
+ * the absolute target of a notification.  Credentials and client certificates are not saved;
+ * if the target needs basic auth that is noted, and the credentials are looked up again when retrying
+ */
+const resolveHook = (requestor, hook) => {
+  // eslint-disable-next-line no-unused-vars
+  const {username, password, tls, ...h} = typeof hook === 'object' && hook ? hook : {url: hook};
+  if (!h.url) h.url = requestor?.url;
+  else if (h.url.startsWith('/') && requestor?.baseUrl) h.url = `${requestor.baseUrl}${h.url}`;
+  return {...h, ...((username || requestor?.username) && {auth: true})};
+};
+
+const redact = ({hook, ...entry}) => ({...entry, hook: {url: hook.url, method: hook.method}});
+
+/**
+ * @classdesc This is a singleton class that keeps a log, in redis, of call:status and verb:status
+ * notifications that could not be delivered to the application.  Unless retries are disabled
+ * (JAMBONES_DISABLE_DEAD_LETTER_RETRY), notifications are retried in the background with exponential
+ * backoff: those to http(s) endpoints by whichever feature server claims them first, and those
+ * sent over a websocket by the feature server holding the call, for as long as the call lasts.
+ * Entries remain in the log until they are delivered (or expire) so that they can be queried
+ * and replayed via the /v1/dead-letters api.
+ */
+class DeadLetterQueue extends Emitter {
+  constructor({retry = JAMBONES_DEAD_LETTER_RETRY} = {}) {
+    super();
+    this.retry = retry;
+  }
+
+  get logger() {
+    if (!this._logger) {
+      const {logger} = require('../../app');
+      this._logger = logger;
+    }
+    return this._logger;
+  }
+
+  get srf() {
+    if (!this._srf) {
+      const {srf} = require('../../app');
+      this._srf = srf;
+    }
+    return this._srf;
+  }
+
+  get client() {
+    return this.srf.locals.dbHelpers.client;
+  }
+
+  /**
+   * start retrying notifications in the background
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.retryDue().catch((err) => this.logger.info({err}, 'DeadLetterQueue: error retrying notifications'));
+    }, RETRY_POLL_INTERVAL_MS);
+    this._timer.unref();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Add a notification that could not be delivered
+   * @param {object} opts
+   * @param {string} opts.accountSid
+   * @param {string} [opts.applicationSid] - used to find the client certificate, if any, when retrying
+   * @param {string} opts.callSid
+   * @param {string} opts.type - call:status or verb:status
+   * @param {object} opts.requestor - the requestor that failed to deliver the notification
+   * @param {object|string} [opts.hook] - the hook the notification was sent to, if not the requestor's url
+   * @param {object} opts.payload - the notification
+   * @param {Error} opts.err - the error encountered
+   */
+  async add({accountSid, applicationSid, callSid, type, requestor, hook, payload, err}) {
+    hook = resolveHook(requestor, hook);
+    const now = Date.now();
+    const {serviceUrl} = this.srf.locals;
+    const retryable = this.retry && (isHttp(hook) || (isWebsocket(hook) && !!serviceUrl));
+    const entry = {
+      id: crypto.randomUUID(),
+      accountSid,
+      ...(applicationSid && {applicationSid}),
+      callSid,
+      type,
+      hook,
+      ...(isWebsocket(hook) && serviceUrl && {serviceUrl}),
+      payload,
+      error: err?.message || String(err),
+      attempts: 1,
+      status: retryable ? 'pending' : 'failed',
+      createdAt: new Date(now).toISOString(),
+      ...(retryable && {nextAttemptAt: now + computeBackoff(1)})
+    };
+    await this._save(entry);
+    if (retryable) await this.client.zadd(this._retryKey(entry), entry.nextAttemptAt, `${accountSid}:${entry.id}`);
+    this.logger.info({callSid, type, url: hook?.url}, `DeadLetterQueue: saved undeliverable notification ${entry.id}`);
+    if (retryable) this.start();
+    return entry;
+  }
+
+  /**
+   * @returns {Array<object>} the dead letters for an account, oldest first, without webhook credentials
+   */
+  async list(accountSid, {callSid, type, status} = {}) {
+    const hash = await this.client.hgetall(makeDeadLetterKey(accountSid)) || {};
+    return Object.values(hash)
+      .map((e) => {
+        try {
+          return JSON.parse(e);
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter((e) => e &&
+        (!callSid || e.callSid === callSid) &&
+        (!type || e.type === type) &&
+        (!status || e.status === status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(redact);
+  }
+
+  async retrieve(accountSid, id) {
+    const entry = await this.client.hget(makeDeadLetterKey(accountSid), id);
+    return entry ? JSON.parse(entry) : null;
+  }
+
+  async remove(accountSid, id) {
+    const entry = await this.retrieve(accountSid, id);
+    if (entry) await this.client.zrem(this._retryKey(entry), `${accountSid}:${id}`);
+    return await this.client.hdel(makeDeadLetterKey(accountSid), id);
+  }
+
+  /**
+   * Deliver a dead letter now, optionally to a different target
+   * @param {string} accountSid
+   * @param {string} id
+   * @param {object} [hook] - target to deliver to, instead of the original one
+   * @returns {object|null} the delivered entry, or null if not found; throws if delivery fails
+   */
+  async replay(accountSid, id, hook) {
+    const entry = await this.retrieve(accountSid, id);
+    if (!entry) return null;
+    await this._deliver(entry, hook || entry.hook);
+    await this.remove(accountSid, id);
+    this.logger.info(`DeadLetterQueue: replayed notification ${id} for call ${entry.callSid}`);
+    return redact(entry);
+  }
+
+  /**
+   * retry the notifications that are due; each is claimed by removing it from the retry set
+   * so that only one feature server will retry it
+   */
+  async retryDue() {
+    const {serviceUrl} = this.srf.locals;
+    const keys = [RETRY_KEY, ...(serviceUrl ? [makeSessionRetryKey(serviceUrl)] : [])];
+    for (const key of keys) {
+      const due = await this.client.zrangebyscore(key, 0, Date.now(), 'LIMIT', 0, RETRY_BATCH_SIZE);
+      for (const member of due) {
+        if (!await this.client.zrem(key, member)) continue;
+        const [accountSid, id] = member.split(':');
+        const entry = await this.retrieve(accountSid, id);
+        if (entry) await this._retry(entry);
+      }
+    }
+  }
+
+  _retryKey(entry) {
+    return entry.serviceUrl ? makeSessionRetryKey(entry.serviceUrl) : RETRY_KEY;
+  }
+
+  async _retry(entry) {
+    try {
+      await this._deliver(entry, entry.hook);
+      await this.client.hdel(makeDeadLetterKey(entry.accountSid), entry.id);
+      this.logger.info(`DeadLetterQueue: delivered notification ${entry.id} after ${entry.attempts + 1} attempts`);
+    } catch (err) {
+      entry.attempts++;
+      entry.error = err.message;
+      const callEnded = entry.serviceUrl && !sessionTracker.get(entry.callSid);
+      if (entry.attempts >= JAMBONES_DEAD_LETTER_MAX_ATTEMPTS || callEnded) {
+        entry.status = 'failed';
+        delete entry.nextAttemptAt;
+        this.logger.info(`DeadLetterQueue: giving up on notification ${entry.id} after ${entry.attempts} attempts`);
+      }
+      else entry.nextAttemptAt = Date.now() + computeBackoff(entry.attempts);
+      await this._save(entry);
+      if (entry.nextAttemptAt) {
+        await this.client.zadd(this._retryKey(entry), entry.nextAttemptAt, `${entry.accountSid}:${entry.id}`);
+      }
+    }
+  }
+
+  async _deliver(entry, hook) {
+    if (isWebsocket(hook)) {
+      const cs = sessionTracker.get(entry.callSid);
+      if (!cs?.requestor || entry.serviceUrl !== this.srf.locals.serviceUrl) {
+        throw new Error('the call this notification belongs to is no longer in progress');
+      }
+      return await cs.requestor.request(entry.type, hook.url, entry.payload);
+    }
+
+    const {lookupAccountBySid, lookupAppBySid} = this.srf.locals.dbHelpers;
+    const account = await lookupAccountBySid(entry.accountSid);
+    const application = entry.applicationSid ? await lookupAppBySid(entry.applicationSid) : null;
+
+    /* credentials and the client certificate are not saved with the entry */
+    const h = withWebhookTls(this._withCredentials(hook, application), getWebhookTls({account, application}));
+    const requestor = new HttpRequestor(this.logger, entry.accountSid, h, account?.webhook_secret);
+    try {
+      await requestor.request(entry.type, h, entry.payload);
+    } finally {
+      requestor.close();
+    }
+  }
+
+  /**
+   * @returns {object} the hook, with the basic auth credentials of the application's webhook on the same server
+   */
+  _withCredentials({auth, ...hook}, application) {
+    if (!auth) return hook;
+    const {origin} = new URL(hook.url);
+    const {username, password} = [application?.call_status_hook, application?.call_hook]
+      .find((h) => h?.username && h.url && /^https?:\/\//.test(h.url) && new URL(h.url).origin === origin) || {};
+    if (!username) this.logger.info(`DeadLetterQueue: no credentials found for ${hook.url}`);
+    return username ? {...hook, username, password} : hook;
+  }
+
+  async _save(entry) {
+    const key = makeDeadLetterKey(entry.accountSid);
+    await this.client.multi()
+      .hset(key, entry.id, JSON.stringify(entry))
+      .expire(key, JAMBONES_DEAD_LETTER_TTL_SECS)
+      .exec();
+  }
+}
+
+const singleton = new DeadLetterQueue();
+
+module.exports = singleton;
+module.exports.DeadLetterQueue = DeadLetterQueue;
+module.exports.computeBackoff = computeBackoff;
+module.exports.redact = redact;
@@ -0,0 +1,306 @@
+const assert = require('assert');
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const short = require('short-uuid');
+const BaseRequestor = require('./base-requestor');
+const {HookMsgTypes} = require('./constants.json');
+const snakeCaseKeys = require('./snakecase-keys');
+const {
+  RESPONSE_TIMEOUT_MS,
+  JAMBONES_WS_HANDSHAKE_TIMEOUT_MS
+} = require('../config');
+
+/* messages that are sent without waiting for an ack */
+const MTYPE_NO_ACK = [
+  'call:status',
+  'verb:status',
+  'jambonz:error',
+  'llm:event',
+  'llm:tool-call',
+  'tts:streaming-event',
+  'tts:tokens-result',
+  'siprec:metadata-update',
+];
+const MTYPE_NO_DATA = [
+  'llm:tool-output',
+  'tts:flush',
+  'tts:clear'
+];
+const MTYPE_WITH_HOOK = [
+  'verb:hook',
+  'dial:confirm',
+  'session:redirect',
+  'llm:event',
+  'llm:tool-call'
+];
+
+const isGrpcUrl = (u) => typeof u === 'string' && (u.startsWith('grpc://') || u.startsWith('grpcs://'));
+
+let ApplicationControl;
+const loadService = () => {
+  if (!ApplicationControl) {
+    const packageDefinition = protoLoader.loadSync(path.resolve(__dirname, 'proto', 'application-control.proto'), {
+      keepCase: true,
+      defaults: true
+    });
+    ApplicationControl = grpc.loadPackageDefinition(packageDefinition).jambonz.ApplicationControl;
+  }
+  return ApplicationControl;
+};
+
+/**
+ * @classdesc Controls a call over a bidirectional gRPC stream (one per call) to a grpc:// or grpcs://
+ * url, exchanging the same messages as the WsRequestor: jambonz sends session:new, verb:hook,
+ * call:status etc and the application replies with acks, or sends commands at any time.
+ */
+class GrpcRequestor extends BaseRequestor {
+  constructor(logger, account_sid, hook, secret) {
+    super(logger, account_sid, hook, secret);
+    this.messagesInFlight = new Map();
+    this.closedGracefully = false;
+    this.connections = 0;
+    this.id = short.generate();
+
+    assert(isGrpcUrl(this.url));
+    const u = new URL(this.url);
+    this.target = u.host;
+    this.secure = u.protocol === 'grpcs:';
+    this.path = `${u.pathname}${u.search}`;
+  }
+
+  /**
+   * Send a message over the stream.  If this is the first request, open the stream.
+   * Messages other than notifications expect an ack in response.
+   * @param {object|string} hook - may be a absolute or relative url, or an object
+   * @param {string} [hook.url] - an absolute or relative url
+   * @param {object} [params] - request parameters
+   */
+  async request(type, hook, params, httpHeaders = {}, span) {
+    assert(HookMsgTypes.includes(type));
+    const url = hook.url || hook;
+
+    if (this.closedGracefully) {
+      this.logger.debug(`GrpcRequestor:request - discarding ${type} because stream was closed`);
+      return;
+    }
+    if (type === 'session:new') this.call_sid = params.callSid;
+
+    /* if we have an absolute url, and it is http then do a standard webhook */
+    if (this._isAbsoluteUrl(url) && url.startsWith('http')) {
+      const HttpRequestor = require('./http-requestor');
+      this.logger.debug({hook}, 'GrpcRequestor: sending a webhook (HTTP)');
+      const h = this._derivedHook(hook);
+      const requestor = new HttpRequestor(this.logger, this.account_sid, h, this.secret);
+      if (type === 'session:redirect') {
+        this.close();
+        this.emit('handover', requestor);
+      }
+      return requestor.request(type, hook, params, httpHeaders, span);
+    }
+
+    if (!this.stream) {
+      try {
+        this._connectPromise = this._connectPromise || this._connect();
+        await this._connectPromise;
+      } catch (err) {
+        this.logger.info({err, url: this.url}, 'GrpcRequestor:request - failed to connect');
+        throw err;
+      } finally {
+        this._connectPromise = null;
+      }
+
+      /* let the application know this is a continuation of an existing session */
+      if (this.connections > 1 && type !== 'session:reconnect' && this._sessionData) {
+        await this.request('session:reconnect', this.url);
+      }
+    }
+
+    let payload = params ? snakeCaseKeys(params, ['customerData', 'sip', 'env_vars', 'args']) : null;
+    if (type === 'session:new' || type === 'session:adulting') this._sessionData = payload;
+    if (type === 'session:reconnect') payload = this._sessionData;
+
+    const msgid = short.generate();
+    const msg = {
+      type,
+      msgid,
+      call_sid: this.call_sid || '',
+      hook: MTYPE_WITH_HOOK.includes(type) ? url : '',
+      data: JSON.stringify({...payload}),
+      b3: httpHeaders?.b3 || ''
+    };
+    if (span) span.setAttributes({'msgid': msgid});
+
+    if (MTYPE_NO_ACK.includes(type)) {
+      this.stream.write(msg);
+      return;
+    }
+
+    return new Promise((resolve, reject) => {
+      const startAt = process.hrtime();
+      const timer = setTimeout(() => {
+        this.messagesInFlight.delete(msgid);
+        reject(new Error(`timeout from far end for msgid ${msgid}`));
+      }, RESPONSE_TIMEOUT_MS);
+      this.messagesInFlight.set(msgid, {
+        success: (response) => {
+          clearTimeout(timer);
+          const rtt = this._roundTrip(startAt);
+          this.logger.debug({response}, `GrpcRequestor:request ${url} succeeded in ${rtt}ms`);
+          this.stats.histogram('app.hook.grpc_response_time', rtt, ['hook_type:app']);
+          resolve(response);
+        },
+        failure: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        }
+      });
+      this.stream.write(msg);
+    });
+  }
+
+  close() {
+    this.closedGracefully = true;
+    this.logger.debug('GrpcRequestor:close closing stream');
+    try {
+      this._releaseStream()?.end();
+      this.client?.close();
+      this.client = null;
+      this._clearPendingMessages('stream closed');
+    } catch (err) {
+      this.logger.info({err}, 'GrpcRequestor: Error closing stream');
+    }
+  }
+
+  async _connect() {
+    const Service = loadService();
+    const credentials = this.secure ? this._createSslCredentials() : grpc.credentials.createInsecure();
+    const client = this.client = new Service(this.target, credentials);
+
+    const timeout = JAMBONES_WS_HANDSHAKE_TIMEOUT_MS ? parseInt(JAMBONES_WS_HANDSHAKE_TIMEOUT_MS) : 1500;
+    const startAt = process.hrtime();
+    await new Promise((resolve, reject) => {
+      client.waitForReady(Date.now() + timeout, (err) => {
+        if (err) {
+          client.close();
+          this.client = null;
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+    this.stats.histogram('app.hook.connect_time', this._roundTrip(startAt), ['hook_type:app']);
+
+    const metadata = new grpc.Metadata();
+    if (this.username && this.password) {
+      const creds = Buffer.from(`${this.username}:${this.password}`, 'utf8').toString('base64');
+      metadata.set('authorization', `Basic ${creds}`);
+    }
+    for (const [name, value] of Object.entries(this._generateSigHeaderForData(this.path, this.secret))) {
+      metadata.set(name.toLowerCase(), value);
+    }
+
+    this.stream = client.Session(metadata);
+    this.stream
+      .on('data', this._onMessage.bind(this))
+      .on('error', this._onStreamError.bind(this))
+      .on('end', this._onStreamEnd.bind(this));
+    this.connections++;
+    this.logger.info({url: this.url}, `GrpcRequestor(${this.id}) - stream opened`);
+  }
+
+  /* trust the CA bundle and present the client certificate, if we have them, for mutual TLS */
+  _createSslCredentials() {
+    const {cert, key, ca} = this.tls?.connectOptions || {};
+    const toBuffer = (pem) => (pem ? Buffer.from(pem) : null);
+    return grpc.credentials.createSsl(toBuffer(ca), toBuffer(key), toBuffer(cert));
+  }
+
+  /* stop listening to the stream, other than to swallow the error generated when it is cancelled */
+  _releaseStream() {
+    const stream = this.stream;
+    this.stream = null;
+    stream?.removeAllListeners();
+    stream?.on('error', () => {});
+    return stream;
+  }
+
+  _clearPendingMessages(reason) {
+    for (const [msgid, {failure}] of this.messagesInFlight) {
+      failure(new Error(`abandoning msgid ${msgid}: ${reason}`));
+    }
+    this.messagesInFlight.clear();
+  }
+
+  _onStreamError(err) {
+    if (this.closedGracefully && err.code === grpc.status.CANCELLED) return;
+    this.logger.info({err, url: this.url}, `GrpcRequestor(${this.id}) - stream error`);
+    this._onStreamClosed(err.message);
+  }
+
+  _onStreamEnd() {
+    this.logger.info({url: this.url}, `GrpcRequestor(${this.id}) - stream ended by far end`);
+    this.closedGracefully = true;
+    this._onStreamClosed('stream ended');
+  }
+
+  _onStreamClosed(reason) {
+    this._releaseStream();
+    this.client?.close();
+    this.client = null;
+    this._clearPendingMessages(reason);
+    if (!this.closedGracefully) this.emit('connection-dropped');
+  }
+
+  _onMessage(msg) {
+    try {
+      const {type, msgid, command, queue_command: queueCommand = false} = msg;
+      const tool_call_id = msg.tool_call_id || undefined;
+      const call_sid = msg.call_sid || this.call_sid;
+      const data = msg.data ? JSON.parse(msg.data) : undefined;
+      this.logger.debug({msg}, 'GrpcRequestor:_onMessage - received message');
+      assert.ok(type, 'type property not supplied');
+
+      switch (type) {
+        case 'ack':
+          assert.ok(msgid, 'msgid not supplied');
+          this._recvAck(msgid, data);
+          break;
+
+        case 'command':
+          assert.ok(command, 'command property not supplied');
+          assert.ok(data || MTYPE_NO_DATA.includes(command), 'data property not supplied');
+          this.logger.debug({msgid, command, call_sid, queueCommand, data}, 'received command');
+          this.emit('command', {msgid, command, call_sid, queueCommand, tool_call_id, data});
+          break;
+
+        default:
+          assert.ok(false, `invalid type property: ${type}`);
+      }
+    } catch (err) {
+      this.logger.info({err, msg}, 'GrpcRequestor:_onMessage - invalid incoming message');
+      const {writeAlerts, AlertType} = this.Alerter;
+      writeAlerts({
+        account_sid: this.account_sid,
+        alert_type: AlertType.INVALID_APP_PAYLOAD,
+        target_sid: this.call_sid,
+        message: err.message,
+      }).catch((err) => this.logger.info({err}, 'Error generating alert for invalid message'));
+      this.request('jambonz:error', '/error', {msg: 'InvalidMessage', details: err.message})
+        .catch((err) => this.logger.debug({err}, 'GrpcRequestor:_onMessage - Error sending'));
+    }
+  }
+
+  _recvAck(msgid, data) {
+    const obj = this.messagesInFlight.get(msgid);
+    if (!obj) {
+      this.logger.info({url: this.url}, `GrpcRequestor:_recvAck - ack to unknown msgid ${msgid}, discarding`);
+      return;
+    }
+    this.messagesInFlight.delete(msgid);
+    obj.success(data);
+  }
+}
+
+module.exports = GrpcRequestor;
+module.exports.isGrpcUrl = isGrpcUrl;
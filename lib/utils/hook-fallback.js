@@ -0,0 +1,92 @@
+const callEventPublisher = require('./call-event-publisher');
+
+/**
+ * An application may provide `hook_fallback`: verbs to execute, instead of ending the call, when its
+ * session:new or a verb:hook request fails or times out.  It is either an array of verbs, or an
+ * object {verbs, timeout} where timeout is how long (in seconds) to wait for the application to
+ * respond before using the fallback verbs.  It is stored as JSON text in the `hook_fallback` column
+ * of the applications table (see test/db/create-and-populate-schema.sql), and is read along with
+ * the rest of the application.  The fallback is not used when the application responds with
+ * verbs that are invalid.
+ * @param {Array|object|string} hookFallback
+ * @returns {object|null} {verbs, timeout}, or null if the application has no fallback verbs
+ */
+function parseHookFallback(hookFallback) {
+  let obj = hookFallback;
+  if (typeof obj === 'string') {
+    try {
+      obj = JSON.parse(obj);
+    } catch (err) {
+      return null;
+    }
+  }
+  const verbs = Array.isArray(obj) ? obj : obj?.verbs;
+  if (!Array.isArray(verbs) || 0 === verbs.length) return null;
+  const timeout = parseInt(obj.timeout, 10);
+  return {
+    verbs,
+    ...(timeout > 0 && {timeout})
+  };
+}
+
+/**
+ * Reject if a hook request does not complete within the application's fallback timeout
+ * @param {Promise} promise - the hook request
+ * @param {number} [timeout] - seconds to wait, if not provided we wait as long as the requestor does
+ */
+function withHookTimeout(promise, timeout) {
+  /* mark failures of the request itself, as opposed to errors handling the response */
+  const request = promise.catch((err) => {
+    throw markHookFailure(err);
+  });
+  if (!timeout) return request;
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`application did not respond within ${timeout} seconds`);
+      err.name = 'TimeoutError';
+      reject(markHookFailure(err));
+    }, timeout * 1000);
+  });
+  /* the request may still fail after we have given up on it */
+  request.catch(() => {});
+  return Promise.race([request, expired]).finally(() => clearTimeout(timer));
+}
+
+function markHookFailure(err) {
+  const e = err instanceof Error ? err : new Error(`${err}`);
+  e.hookFailure = true;
+  return e;
+}
+
+/**
+ * @returns {boolean} true if the error is a failure of a hook request made via withHookTimeout
+ */
+const isHookFailure = (err) => true === err?.hookFailure;
+
+/**
+ * Let the account and the application know that the fallback verbs are being executed:
+ * write an alert and send a jambonz:error event
+ */
+function reportHookFallback({logger, writeAlerts, AlertType, requestor, accountSid, callSid, type, err}) {
+  const details = `${type} failed (${err?.message}), executing hookFallback verbs`;
+  logger.info({err}, details);
+  writeAlerts({
+    account_sid: accountSid,
+    alert_type: AlertType.APPLICATION,
+    message: details,
+    target_sid: callSid
+  }).catch((err) => logger.info({err}, 'Error generating alert for hookFallback'));
+
+  const params = {msg: 'HookFallback', details, hook_type: type};
+  callEventPublisher.publish('jambonz:error', callSid, accountSid, params);
+  requestor?.request('jambonz:error', '/error', params)
+    .catch((err) => logger.debug({err}, 'reportHookFallback: error sending jambonz:error'));
+}
+
+module.exports = {
+  parseHookFallback,
+  withHookTimeout,
+  isHookFailure,
+  reportHookFallback
+};
@@ -2,6 +2,8 @@ const {request, getGlobalDispatcher, setGlobalDispatcher, Dispatcher, ProxyAgent
 const parseUrl = require('parse-url');
 const assert = require('assert');
 const BaseRequestor = require('./base-requestor');
+const circuitBreaker = require('./circuit-breaker');
+const {makeCacheKey, getCacheQuery, retrieveCachedResponse, saveCachedResponse} = require('./webhook-cache');
 const {HookMsgTypes} = require('./constants.json');
 const snakeCaseKeys = require('./snakecase-keys');
 const pools = new Map();
@@ -56,23 +58,26 @@ class HttpRequestor extends BaseRequestor {
     this._usePools = HTTP_POOL && parseInt(HTTP_POOL);
 
     if (this._usePools) {
-      if (pools.has(this.baseUrl)) {
-        this.client = pools.get(this.baseUrl);
+      /* connections using a client certificate can not be shared with those that don't */
+      const poolKey = this.tls ? `${this.baseUrl}:${this.tls.id}` : this.baseUrl;
+      if (pools.has(poolKey)) {
+        this.client = pools.get(poolKey);
       }
       else {
         const connections = HTTP_POOLSIZE ? parseInt(HTTP_POOLSIZE) : 10;
         const pipelining = HTTP_PIPELINING ? parseInt(HTTP_PIPELINING) : 1;
         const pool = this.client = new Pool(this.baseUrl, {
           connections,
-          pipelining
+          pipelining,
+          ...this._clientOptions()
         });
-        pools.set(this.baseUrl, pool);
+        pools.set(poolKey, pool);
         this.logger.debug(`HttpRequestor:created pool for ${this.baseUrl}`);
       }
     }
     else {
-      if (u.port) this.client = new Client(`${u.protocol}://${u.resource}:${u.port}`);
-      else this.client = new Client(`${u.protocol}://${u.resource}`);
+      if (u.port) this.client = new Client(`${u.protocol}://${u.resource}:${u.port}`, this._clientOptions());
+      else this.client = new Client(`${u.protocol}://${u.resource}`, this._clientOptions());
     }
 
     if (NODE_ENV == 'test' && process.env.JAMBONES_HTTP_PROXY_IP) {
@@ -88,6 +93,13 @@ class HttpRequestor extends BaseRequestor {
     }
   }
 
+  /**
+   * options for an undici Client or Pool, including the client certificate for mutual TLS
+   */
+  _clientOptions() {
+    return this.tls ? {connect: this.tls.connectOptions} : {};
+  }
+
   close() {
     if (!this._usePools && !this.client?.closed) this.client.close();
   }
@@ -126,7 +138,7 @@ class HttpRequestor extends BaseRequestor {
     if (this._isAbsoluteUrl(url) && url.startsWith('ws')) {
       const WsRequestor = require('./ws-requestor');
       this.logger.debug({hook}, 'HttpRequestor: switching to websocket connection');
-      const h = typeof hook === 'object' ? hook : {url: hook};
+      const h = this._derivedHook(hook);
       const requestor = new WsRequestor(this.logger, this.account_sid, h, this.secret);
       if (type === 'session:redirect') {
         this.close();
@@ -135,110 +147,67 @@ class HttpRequestor extends BaseRequestor {
       return requestor.request('session:new', hook, params, httpHeaders, span);
     }
 
-    let newClient;
-    try {
-      this.backoffMs = 500;
-      // Parse URL and extract hash parameters for retry configuration
-      // Prepare request options - only do this once
-      const absUrl = this._isRelativeUrl(url) ? `${this.baseUrl}${url}` : url;
-      const parsedUrl = parseUrl(absUrl);
-      const hash = parsedUrl.hash || '';
-      const hashObj = hash ? this._parseHashParams(hash) : {};
-
-      // Retry policy: rp valid values: 4xx, 5xx, ct, rt, all, default is ct
-      // Retry count: rc valid values: 1-5, default is 0
-      // rc is the number of attempts we'll make AFTER the initial try
-      const rc = hash ? Math.min(Math.abs(parseInt(hashObj.rc || '0')), 5) : 0;
-      const rp = hashObj.rp || 'ct';
-      const rpValues = rp.split(',').map((v) => v.trim());
-      let retryCount = 0;
-
-      // Set up client, path and query parameters - only do this once
-      let client, path, query;
-      if (this._isRelativeUrl(url)) {
-        client = this.client;
-        path = url;
-      }
-      else {
-        if (parsedUrl.resource === this._resource &&
-          parsedUrl.port === this._port &&
-          parsedUrl.protocol === this._protocol) {
-          client = this.client;
-          path = parsedUrl.pathname;
-          query = parsedUrl.query;
-        }
-        else {
-          if (parsedUrl.port) {
-            client = newClient = new Client(`${parsedUrl.protocol}://${parsedUrl.resource}:${parsedUrl.port}`);
-          }
-          else client = newClient = new Client(`${parsedUrl.protocol}://${parsedUrl.resource}`);
-          path = parsedUrl.pathname;
-          query = parsedUrl.query;
-        }
+    /* likewise, switch to a gRPC stream for a grpc url */
+    if (this._isAbsoluteUrl(url) && url.startsWith('grpc')) {
+      const GrpcRequestor = require('./grpc-requestor');
+      this.logger.debug({hook}, 'HttpRequestor: switching to grpc stream');
+      const h = this._derivedHook(hook);
+      const requestor = new GrpcRequestor(this.logger, this.account_sid, h, this.secret);
+      if (type === 'session:redirect') {
+        this.close();
+        this.emit('handover', requestor);
       }
+      return requestor.request('session:new', hook, params, httpHeaders, span);
+    }
 
-      const sigHeader = this._generateSigHeader(payload, this.secret);
-      const hdrs = {
-        ...sigHeader,
-        ...this.authHeader,
-        ...httpHeaders,
-        ...('POST' === method && {'Content-Type': 'application/json'})
-      };
-
-      const requestOptions = {
-        path,
-        query,
-        method,
-        headers: hdrs,
-        ...('POST' === method && {body: JSON.stringify(payload)}),
-        headersTimeout: HTTP_TIMEOUT,
-        followRedirects: false
-      };
-
-      // Simplified makeRequest function that just executes the HTTP request
-      const makeRequest = async() => {
-        this.logger.debug({url, absUrl, hdrs, retryCount},
-          `send webhook${retryCount > 0 ? ' (retry ' + retryCount + ')' : ''}`);
-
-        const {statusCode, headers, body} = HTTP_PROXY_IP ? await request(
-          this.baseUrl,
-          requestOptions
-        ) : await client.request(requestOptions);
-
-        if (![200, 202, 204].includes(statusCode)) {
-          const err = new HTTPResponseError(statusCode);
-          throw err;
-        }
-
-        if (headers['content-type']?.includes('application/json')) {
-          return await body.json();
-        }
-        return '';
-      };
+    const newClients = [];
+    const absUrl = this._isRelativeUrl(url) ? `${this.baseUrl}${url}` : url;
+
+    /* session:new GET requests may be served from the shared cache */
+    const keyParams = this._getCacheKeyParams(type, method, absUrl);
+    const cacheKey = keyParams && makeCacheKey(absUrl, payload, keyParams, {
+      accountSid: this.account_sid,
+      applicationSid: payload?.application_sid,
+      username: this.username
+    });
+    const query = keyParams?.length ? getCacheQuery(payload, keyParams) : undefined;
+    const response = {};
+    let cached;
+    if (cacheKey) {
+      cached = await retrieveCachedResponse(this.redisClient, cacheKey)
+        .catch((err) => this.logger.info({err}, 'HttpRequestor: error retrieving cached response'));
+      if (cached && cached.expires > Date.now()) {
+        this.logger.debug({url}, 'HttpRequestor: returning cached response');
+        return cached.body;
+      }
+      if (cached?.etag) httpHeaders = {...httpHeaders, 'if-none-match': cached.etag};
+    }
 
-      while (true) {
+    try {
+      /* try the primary url, then any fallbacks; endpoints that keep failing are skipped for a while */
+      const candidates = this._getCandidateUrls(hook, absUrl);
+      for (let i = 0; i < candidates.length; i++) {
+        const target = candidates[i];
+        const origin = this._originOf(target);
         try {
-          buf = await makeRequest();
-          break; // Success, exit the retry loop
+          buf = await this._requestWithRetries(target === absUrl ? url : target,
+            {method, payload, query, httpHeaders, newClients, response});
+          circuitBreaker.recordSuccess(origin);
+          break;
         } catch (err) {
-          retryCount++;
-
-          // Check if we should retry
-          if (retryCount <= rc && this._shouldRetry(err, rpValues)) {
-            this.logger.info(
-              {err, baseUrl: this.baseUrl, url, retryCount, maxRetries: rc},
-              `Retrying request (${retryCount}/${rc})`
-            );
-            const delay = this.backoffMs;
-            this.backoffMs = this.backoffMs < 2000 ? this.backoffMs * 2 : (this.backoffMs + 2000);
-            await new Promise((resolve) => setTimeout(resolve, delay));
-            continue;
+          if (!this._isFailoverError(err)) {
+            /* the endpoint is up, it just didn't like the request */
+            circuitBreaker.recordSuccess(origin);
+            throw err;
           }
-          throw err;
+          if (circuitBreaker.recordFailure(origin)) {
+            this.logger.info(`HttpRequestor: circuit is open for ${origin}`);
+          }
+          if (i === candidates.length - 1) throw err;
+          this.logger.info({err, url: target}, `HttpRequestor: failing over to ${candidates[i + 1]}`);
         }
       }
-
-      if (newClient) newClient.close();
+      newClients.forEach((c) => c.close());
     } catch (err) {
       if (err.statusCode) {
         this.logger.info({baseUrl: this.baseUrl, url},
@@ -260,9 +229,22 @@ class HttpRequestor extends BaseRequestor {
       }
       this.Alerter.writeAlerts(opts).catch((err) => this.logger.info({err, opts}, 'Error writing alert'));
 
-      if (newClient) newClient.close();
+      newClients.forEach((c) => c.close());
+      if (cached && cached.staleUntil > Date.now() && this._isFailoverError(err)) {
+        this.logger.info({url}, 'HttpRequestor: app server unavailable, returning stale cached response');
+        return cached.body;
+      }
       throw err;
     }
+
+    if (cacheKey) {
+      if (304 === response.statusCode && cached) {
+        this.logger.debug({url}, 'HttpRequestor: cached response revalidated');
+        buf = cached.body;
+      }
+      await saveCachedResponse(this.redisClient, cacheKey, response.headers || {}, buf)
+        .catch((err) => this.logger.info({err}, 'HttpRequestor: error caching response'));
+    }
     const rtt = this._roundTrip(startAt);
     if (buf) this.stats.histogram('app.hook.response_time', rtt, ['hook_type:app']);
 
@@ -271,6 +253,139 @@ class HttpRequestor extends BaseRequestor {
     }
     return buf;
   }
+
+  get redisClient() {
+    return require('../../app').srf.locals.dbHelpers.client;
+  }
+
+  /**
+   * caching is enabled for a session:new GET hook with a `cache` hash param, which may list
+   * the request params that the response depends on
+   * @returns {string[]|undefined} the request params the response depends on, or undefined if not cached
+   */
+  _getCacheKeyParams(type, method, absUrl) {
+    if ('session:new' !== type || 'GET' !== method) return;
+    const hash = parseUrl(absUrl).hash || '';
+    const hashObj = hash ? this._parseHashParams(hash) : {};
+    if (undefined === hashObj.cache) return;
+    return hashObj.cache.split(',').map((p) => p.trim()).filter((p) => p.length);
+  }
+
+  /**
+   * Send a request to a single url, retrying according to the retry policy in the url hash
+   * @param {string} url - an absolute url, or a url relative to our base url
+   * @param {object} [opts.query] - params to add to the query string of the url
+   */
+  async _requestWithRetries(url, {method, payload, query: extraQuery, httpHeaders, newClients, response = {}}) {
+    const absUrl = this._isRelativeUrl(url) ? `${this.baseUrl}${url}` : url;
+    this.backoffMs = 500;
+    // Parse URL and extract hash parameters for retry configuration
+    // Prepare request options - only do this once
+    const parsedUrl = parseUrl(absUrl);
+    const hash = parsedUrl.hash || '';
+    const hashObj = hash ? this._parseHashParams(hash) : {};
+
+    // Retry policy: rp valid values: 4xx, 5xx, ct, rt, all, default is ct
+    // Retry count: rc valid values: 1-5, default is 0
+    // rc is the number of attempts we'll make AFTER the initial try
+    const rc = hash ? Math.min(Math.abs(parseInt(hashObj.rc || '0')), 5) : 0;
+    const rp = hashObj.rp || 'ct';
+    const rpValues = rp.split(',').map((v) => v.trim());
+    let retryCount = 0;
+
+    // Set up client, path and query parameters - only do this once
+    let client, path, query;
+    if (this._isRelativeUrl(url)) {
+      client = this.client;
+      path = url;
+    }
+    else {
+      if (parsedUrl.resource === this._resource &&
+        parsedUrl.port === this._port &&
+        parsedUrl.protocol === this._protocol) {
+        client = this.client;
+        path = parsedUrl.pathname;
+        query = parsedUrl.query;
+      }
+      else {
+        if (parsedUrl.port) {
+          client = new Client(`${parsedUrl.protocol}://${parsedUrl.resource}:${parsedUrl.port}`, this._clientOptions());
+        }
+        else client = new Client(`${parsedUrl.protocol}://${parsedUrl.resource}`, this._clientOptions());
+        newClients.push(client);
+        path = parsedUrl.pathname;
+        query = parsedUrl.query;
+      }
+    }
+
+    if (extraQuery) {
+      path = parsedUrl.pathname;
+      query = {...parsedUrl.query, ...extraQuery};
+    }
+
+    const sigHeader = this._generateSigHeader(payload, this.secret);
+    const hdrs = {
+      ...sigHeader,
+      ...this.authHeader,
+      ...httpHeaders,
+      ...('POST' === method && {'Content-Type': 'application/json'})
+    };
+
+    const requestOptions = {
+      path,
+      query,
+      method,
+      headers: hdrs,
+      ...('POST' === method && {body: JSON.stringify(payload)}),
+      headersTimeout: HTTP_TIMEOUT,
+      followRedirects: false
+    };
+
+    // Simplified makeRequest function that just executes the HTTP request
+    const makeRequest = async() => {
+      this.logger.debug({url, absUrl, hdrs, retryCount},
+        `send webhook${retryCount > 0 ? ' (retry ' + retryCount + ')' : ''}`);
+
+      const {statusCode, headers, body} = HTTP_PROXY_IP ? await request(
+        this._originOf(absUrl),
+        requestOptions
+      ) : await client.request(requestOptions);
+
+      response.statusCode = statusCode;
+      response.headers = headers;
+      if (304 === statusCode && hdrs['if-none-match']) return '';
+      if (![200, 202, 204].includes(statusCode)) {
+        const err = new HTTPResponseError(statusCode);
+        throw err;
+      }
+
+      if (headers['content-type']?.includes('application/json')) {
+        return await body.json();
+      }
+      return '';
+    };
+
+    while (true) {
+      try {
+        return await makeRequest();
+      } catch (err) {
+        retryCount++;
+
+        // Check if we should retry
+        if (retryCount <= rc && this._shouldRetry(err, rpValues)) {
+          this.logger.info(
+            {err, baseUrl: this.baseUrl, url, retryCount, maxRetries: rc},
+            `Retrying request (${retryCount}/${rc})`
+          );
+          const delay = this.backoffMs;
+          this.backoffMs = this.backoffMs < 2000 ? this.backoffMs * 2 : (this.backoffMs + 2000);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          continue;
+        }
+        throw err;
+      }
+    }
+  }
 }
 
 module.exports = HttpRequestor;
@@ -17,6 +17,7 @@ const HttpRequestor = require('./http-requestor');
 const WsRequestor = require('./ws-requestor');
 const {makeOpusFirst, removeVideoSdp} = require('./sdp-utils');
 const { createMediaEndpoint } = require('./media-endpoint');
+const callEventPublisher = require('./call-event-publisher');
 
 class SingleDialer extends Emitter {
   constructor({logger, sbcAddress, target, opts, application, callInfo, accountInfo, rootSpan, startSpan, dialTask,
@@ -527,6 +528,8 @@ class SingleDialer extends Emitter {
     if (this.callInfo) {
       this.callInfo.updateCallStatus(callStatus, sipStatus, sipReason);
       if (typeof duration === 'number') this.callInfo.duration = duration;
+      callEventPublisher.publish('call:status', this.callInfo.callSid, this.callInfo.accountSid,
+        this.callInfo.toJSON());
       try {
         this.notifier.request('call:status', this.application.call_status_hook, this.callInfo.toJSON());
       } catch (err) {
@@ -0,0 +1,209 @@
+const Emitter = require('events');
+const assert = require('assert');
+const bent = require('bent');
+const {recordDequeue, removeMemberInfo} = require('./queue-utils');
+
+const getElapsedTime = (from) => Math.floor((Date.now() - from) / 1000);
+const DEFAULT_CALLBACK_TIMEOUT_SECS = 60;
+
+/* how long we hold a caller's place in queue waiting for a callback */
+const CALLBACK_TTL_SECS = 4 * 3600;
+const makeCallbackKey = (callSid) => `queue-callback:${callSid}`;
+
+/* sorted set of members waiting for a callback, scored by when their callback expires */
+const EXPIRY_KEY = 'queue-callback-expiry';
+const EXPIRY_POLL_INTERVAL_MS = 60000;
+const EXPIRY_BATCH_SIZE = 20;
+
+/**
+ * @classdesc This is a singleton class that holds the place in queue of callers that have
+ * asked to be called back rather than wait on the line (virtual hold).  The queue member
+ * entry stays in the sorted set under its original url, and when an agent dequeues it
+ * we place an outbound call to the callback number from the agent's feature server
+ * and bridge it to the agent.
+ *
+ * The callback details are kept in redis, so that any feature server can place the callback
+ * (e.g. after the server the caller was on restarts), and expire after CALLBACK_TTL_SECS,
+ * at which point the member is removed from the queue by whichever feature server
+ * next sweeps for expired callbacks.
+ */
+class QueueCallbackManager extends Emitter {
+
+  get logger() {
+    if (!this._logger) {
+      const {logger} = require('../../app');
+      this._logger = logger;
+    }
+    return this._logger;
+  }
+
+  get srf() {
+    if (!this._srf) {
+      const {srf} = require('../../app');
+      this._srf = srf;
+    }
+    return this._srf;
+  }
+
+  /**
+   * start removing expired callbacks from their queues in the background
+   */
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.expireDue().catch((err) => this.logger.info({err}, 'QueueCallbackManager: error expiring callbacks'));
+    }, EXPIRY_POLL_INTERVAL_MS);
+    this._timer.unref();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Hold a caller's place in queue until they are dequeued
+   * @param {string} callSid - call sid of the original (now departed) caller
+   * @param {object} opts
+   * @param {string} opts.accountSid
+   * @param {string} opts.queueName - fully qualified queue name
+   * @param {string} opts.notifyUrl - the queue member
+   * @param {string} opts.number - number to call back
+   * @param {string} opts.from - calling number to use on the callback
+   * @param {number} opts.waitStartTime - when the caller originally joined the queue
+   * @param {object} opts.application - application_sid, call_hook and call_status_hook for the callback
+   */
+  async add(callSid, opts) {
+    assert(callSid && opts.number && opts.notifyUrl);
+    const {client} = this.srf.locals.dbHelpers;
+    const now = Date.now();
+
+    /* the details outlive the expiry, so that they are still there when the expired member is removed */
+    await client.multi()
+      .set(makeCallbackKey(callSid), JSON.stringify({...opts, requestTime: now}), 'EX', 2 * CALLBACK_TTL_SECS)
+      .zadd(EXPIRY_KEY, now + CALLBACK_TTL_SECS * 1000, callSid)
+      .exec();
+    this.logger.info(`QueueCallbackManager:add callSid ${callSid} will be called back at ${opts.number}`);
+  }
+
+  async has(callSid) {
+    const {client} = this.srf.locals.dbHelpers;
+    return 1 === await client.exists(makeCallbackKey(callSid));
+  }
+
+  /**
+   * Retrieve and remove the callback for a member, so that only one feature server acts on it
+   * @returns {object|null} the callback details, or null if there is none
+   */
+  async claim(callSid) {
+    const {client} = this.srf.locals.dbHelpers;
+    const key = makeCallbackKey(callSid);
+    const [[, value]] = await client.multi().get(key).del(key).zrem(EXPIRY_KEY, callSid).exec();
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Handle a queue event for a member that is waiting for a callback
+   * @param {string} callSid
+   * @param {object} opts - event payload, as for TaskEnqueue#notifyQueueEvent
+   * @returns {boolean} true if the member was waiting for a callback
+   */
+  async notifyQueueEvent(callSid, opts) {
+    if (!['dequeue', 'remove'].includes(opts.event)) {
+      this.logger.info({opts}, 'QueueCallbackManager:notifyQueueEvent - unsupported event/payload');
+      return false;
+    }
+    const callback = await this.claim(callSid);
+    if (!callback) return false;
+
+    if (opts.event === 'dequeue') await this._placeCallback(callSid, callback, opts);
+    else this.logger.info(`QueueCallbackManager: callback for ${callSid} removed from ${callback.queueName}`);
+    return true;
+  }
+
+  /**
+   * Remove the members whose callbacks have expired from their queues
+   */
+  async expireDue() {
+    const {client} = this.srf.locals.dbHelpers;
+    const due = await client.zrangebyscore(EXPIRY_KEY, 0, Date.now(), 'LIMIT', 0, EXPIRY_BATCH_SIZE);
+    for (const callSid of due) {
+      const callback = await this.claim(callSid);
+      if (callback) await this._expire(callSid, callback);
+    }
+  }
+
+  /**
+   * The caller was not dequeued in time to be called back, so give up their place in queue
+   */
+  async _expire(callSid, {queueName, notifyUrl}) {
+    const {client, retrieveByPatternSortedSet} = this.srf.locals.dbHelpers;
+    try {
+      const removed = await retrieveByPatternSortedSet(queueName, `*${notifyUrl}`);
+      await removeMemberInfo(client, queueName, notifyUrl);
+      if (removed?.length) this.logger.info(`QueueCallbackManager: callback for ${callSid} expired in ${queueName}`);
+    } catch (err) {
+      this.logger.info({err}, `QueueCallbackManager: error removing expired callback for ${callSid}`);
+    }
+  }
+
+  /**
+   * Call the caller back from the dequeuer's feature server, and have the call bridged to the dequeuer
+   * @param {string} callSid - call sid of the original caller
+   * @param {object} callback - the callback details saved when the caller left the queue
+   * @param {object} opts - the dequeue event
+   * @param {string} opts.serviceUrl - base url of the dequeuer's feature server
+   * @param {string} opts.notifyUrl - url to notify the dequeuer
+   * @param {string} opts.epUuid - the dequeuer's endpoint
+   */
+  async _placeCallback(callSid, callback, opts) {
+    assert(opts.serviceUrl && opts.notifyUrl && opts.epUuid);
+    const {accountSid, queueName, queueShortName, notifyUrl, number, from, waitStartTime, application} = callback;
+    const timeout = callback.timeout || DEFAULT_CALLBACK_TIMEOUT_SECS;
+    const {client} = this.srf.locals.dbHelpers;
+
+    recordDequeue(client, queueName, getElapsedTime(waitStartTime))
+      .catch((err) => this.logger.info({err}, `QueueCallbackManager: error recording dequeue for ${queueName}`));
+    removeMemberInfo(client, queueName, notifyUrl)
+      .catch((err) => this.logger.info({err}, `QueueCallbackManager: error removing member info for ${queueName}`));
+
+    /* let the agent know the bridge will take longer than usual, since we have to call the customer */
+    const post = bent('POST', 202);
+    await post(opts.notifyUrl, {event: 'callback', timeout}).catch((err) => {
+      this.logger.info({err}, 'QueueCallbackManager: error notifying dequeuer of callback');
+    });
+
+    /* place the call from the dequeuer's feature server so it can be bridged to the agent's endpoint */
+    try {
+      await bent('POST', 'json', 201)(`${opts.serviceUrl}/v1/createCall`, {
+        account_sid: accountSid,
+        ...(application.application_sid && {application_sid: application.application_sid}),
+        call_hook: application.call_hook,
+        ...(application.call_status_hook && {call_status_hook: application.call_status_hook}),
+        from,
+        to: {type: 'phone', number},
+        timeout,
+        queue_callback: {
+          queue: queueShortName,
+          epUuid: opts.epUuid,
+          notifyUrl: opts.notifyUrl,
+          waitStartTime
+        }
+      });
+      this.logger.info(`QueueCallbackManager: calling back ${number} for ${callSid} from ${queueName}`);
+    } catch (err) {
+      this.logger.info({err}, `QueueCallbackManager: failed to call back ${number} for ${callSid}`);
+      post(opts.notifyUrl, {event: 'hangup'}).catch((err) => {});
+    }
+  }
+}
+
+const singleton = new QueueCallbackManager();
+
+module.exports = singleton;
+module.exports.QueueCallbackManager = QueueCallbackManager;
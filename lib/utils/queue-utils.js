@@ -0,0 +1,188 @@
+/**
+ * Utilities for tracking queue statistics in redis.
+ *
+ * For each queue we keep a rolling history of the most recent dequeues (when the member
+ * was dequeued and how long they had waited), which is used to estimate how long a
+ * caller at a given position in the queue can expect to wait.
+ *
+ * We also keep some information about each member of a queue (callSid, priority, when they
+ * joined and any attributes, e.g. language or product, which are matched against the skills
+ * of an agent when dequeueing) so that queues can be inspected and managed.
+ */
+const MAX_DEQUEUE_HISTORY = 20;
+const DEQUEUE_HISTORY_TTL_SECS = 3600;
+const MEMBER_INFO_TTL_SECS = 86400;
+
+/**
+ * queue names are of the form queue:{accountSid}:{name}; the stats are kept
+ * in a key that will not be matched when scanning for queues
+ */
+const makeQueueStatsKey = (queueName) => queueName.replace(/^queue:/, 'queue-stats:');
+const makeQueueMembersKey = (queueName) => queueName.replace(/^queue:/, 'queue-members:');
+const makeQueueName = (accountSid, name) => `queue:${accountSid}:${name}`;
+
+/**
+ * members are added to a queue's sorted set as {timestamp}:{url}
+ * @param {string} value - a value from the sorted set
+ * @returns {string} the member's url
+ */
+const memberUrl = (value) => value.slice(value.indexOf(':') + 1);
+
+/**
+ * Record that a member was dequeued after waiting a given amount of time
+ * @param {Redis} client - redis client
+ * @param {string} queueName - fully qualified queue name
+ * @param {number} waitTime - time the member spent waiting in the queue, in seconds
+ */
+async function recordDequeue(client, queueName, waitTime) {
+  const key = makeQueueStatsKey(queueName);
+  await client.multi()
+    .rpush(key, JSON.stringify({time: Date.now(), waitTime}))
+    .ltrim(key, -MAX_DEQUEUE_HISTORY, -1)
+    .expire(key, DEQUEUE_HISTORY_TTL_SECS)
+    .exec();
+}
+
+/**
+ * Retrieve the recent dequeue history for a queue, oldest first
+ * @param {Redis} client - redis client
+ * @param {string} queueName - fully qualified queue name
+ * @returns {Array<{time: number, waitTime: number}>}
+ */
+async function retrieveDequeueHistory(client, queueName) {
+  const entries = await client.lrange(makeQueueStatsKey(queueName), 0, -1);
+  return entries
+    .map((e) => {
+      try {
+        return JSON.parse(e);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter((e) => e && typeof e.time === 'number' && typeof e.waitTime === 'number');
+}
+
+/**
+ * Estimate the wait time for a member at a given position in the queue, as the average time
+ * that recently dequeued members waited for each position ahead of them in the queue.
+ * The time between dequeues is not used, since it includes any periods when the queue was idle.
+ * @param {Array<{time: number, waitTime: number}>} history - recent dequeues, oldest first
+ * @param {number} position - zero-based position in the queue
+ * @returns {number|undefined} estimated wait time in seconds, or undefined if there is no history
+ */
+function estimateWaitTime(history, position) {
+  if (!Array.isArray(history) || 0 === history.length) return;
+  const pos = Math.max(position || 0, 0);
+  const averageWait = history.reduce((acc, e) => acc + e.waitTime, 0) / history.length;
+  return Math.round(averageWait * (pos + 1));
+}
+
+/**
+ * Save information about a queue member
+ * @param {Redis} client - redis client
+ * @param {string} queueName - fully qualified queue name
+ * @param {string} member - the queue member (notify url)
+ * @param {object} info - callSid, priority, joinTime and (optionally) attributes of the member
+ */
+async function saveMemberInfo(client, queueName, member, info) {
+  const key = makeQueueMembersKey(queueName);
+  await client.multi()
+    .hset(key, member, JSON.stringify(info))
+    .expire(key, MEMBER_INFO_TTL_SECS)
+    .exec();
+}
+
+async function removeMemberInfo(client, queueName, member) {
+  await client.hdel(makeQueueMembersKey(queueName), member);
+}
+
+/**
+ * Retrieve information about all members of a queue
+ * @param {Redis} client - redis client
+ * @param {string} queueName - fully qualified queue name
+ * @returns {object} member info keyed by member
+ */
+async function retrieveMemberInfo(client, queueName) {
+  const hash = await client.hgetall(makeQueueMembersKey(queueName)) || {};
+  return Object.keys(hash).reduce((acc, member) => {
+    try {
+      acc[member] = JSON.parse(hash[member]);
+    } catch (err) {}
+    return acc;
+  }, {});
+}
+
+/**
+ * Retrieve the names of all of the queues for an account
+ * @param {Redis} client - redis client
+ * @param {string} accountSid
+ * @returns {Array<string>} queue names, without the account prefix
+ */
+async function listQueueNames(client, accountSid) {
+  const prefix = makeQueueName(accountSid, '');
+  const names = new Set();
+  let cursor = '0';
+  do {
+    const [next, keys] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+    keys.forEach((k) => names.add(k.slice(prefix.length)));
+    cursor = next;
+  } while (cursor !== '0');
+  return [...names].sort();
+}
+
+/**
+ * Determine whether an agent with the given skills can handle a member with the given attributes.
+ * Every attribute of the member must be satisfied by the agent's skill of the same name, where
+ * a skill may be a single value or an array of values.  An attribute whose value is an array
+ * requires the agent to have all of the values.
+ * @param {object} attributes - the member's attributes
+ * @param {object} skills - the agent's skills
+ * @returns {boolean}
+ */
+function matchesSkills(attributes, skills) {
+  if (!attributes || 0 === Object.keys(attributes).length) return true;
+  if (!skills) return false;
+  return Object.keys(attributes).every((name) => {
+    const skill = skills[name];
+    if (skill === undefined || skill === null) return false;
+    const offered = Array.isArray(skill) ? skill : [skill];
+    const required = Array.isArray(attributes[name]) ? attributes[name] : [attributes[name]];
+    return required.every((v) => offered.includes(v));
+  });
+}
+
+/**
+ * Order a list of weighted queues for searching: each queue is chosen in turn with a
+ * probability proportional to its weight, so that load is shared across the queues.
+ * @param {Array<{name: string, weight: number}>} queues
+ * @param {function} random - source of random numbers in [0, 1)
+ * @returns {Array<{name: string, weight: number}>}
+ */
+function orderQueuesByWeight(queues, random = Math.random) {
+  const remaining = queues.map((q) => ({...q, weight: q.weight > 0 ? q.weight : 1}));
+  const ordered = [];
+  while (remaining.length) {
+    const total = remaining.reduce((acc, q) => acc + q.weight, 0);
+    let r = random() * total;
+    let idx = remaining.findIndex((q) => (r -= q.weight) < 0);
+    if (-1 === idx) idx = remaining.length - 1;
+    ordered.push(...remaining.splice(idx, 1));
+  }
+  return ordered;
+}
+
+module.exports = {
+  makeQueueStatsKey,
+  makeQueueMembersKey,
+  makeQueueName,
+  memberUrl,
+  recordDequeue,
+  retrieveDequeueHistory,
+  estimateWaitTime,
+  saveMemberInfo,
+  removeMemberInfo,
+  retrieveMemberInfo,
+  listQueueNames,
+  matchesSkills,
+  orderQueuesByWeight
+};
@@ -0,0 +1,188 @@
+const Emitter = require('events');
+const {CallDirection} = require('./constants');
+const {
+  createSipRecPayload,
+  createSipRecMetadata,
+  createSipRecMultipart
+} = require('./siprec-utils');
+
+/* an answer to our offer has two audio streams, the first is the caller's and the second the callee's */
+const splitAnswer = (sdp) => {
+  const arr = /^([^]+?)(m=[^]+?)(m=[^]+)$/.exec(sdp);
+  if (!arr) throw new Error('recording server answered with fewer than two media streams');
+  return [`${arr[1]}${arr[2]}`, `${arr[1]}${arr[3]}`];
+};
+
+const aorFromHeader = (req, name) => {
+  try {
+    return req.getParsedHeader(name).uri;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * @classdesc Records a call by acting as a SIPREC client (RFC 7866): the audio sent by each party is
+ * forked from the call's media endpoint to an endpoint of its own, and the two are offered to the
+ * Session Recording Server in a single INVITE along with the rs-metadata describing the call.
+ * Emits 'end' if the recording server ends the session.
+ * This is used instead of asking the SBC to fork the call when JAMBONES_SIPREC_CLIENT is 'feature-server'.
+ */
+class SipRecClient extends Emitter {
+  /**
+   * @param {CallSession} cs - the call to record
+   * @param {object} opts - the record options: siprecServerURL, recordingID and optional headers
+   */
+  constructor(cs, {siprecServerURL, recordingID, headers}) {
+    super();
+    this.cs = cs;
+    this.logger = cs.logger;
+    this.siprecServerURL = siprecServerURL;
+    this.recordingID = recordingID;
+    this.headers = headers;
+  }
+
+  get isActive() {
+    return !!this.dlg?.connected;
+  }
+
+  /**
+   * send the INVITE to the recording server and start forking audio to it
+   * @returns {boolean} true if the recording server accepted the session
+   */
+  async start() {
+    const {cs} = this;
+    const {srf} = cs;
+    try {
+      const ms = cs.getMS();
+      this.endpoints = await Promise.all([ms.createEndpoint(), ms.createEndpoint()]);
+      const sdp = createSipRecPayload(this.endpoints[0].local.sdp, this.endpoints[1].local.sdp,
+        this.logger, 'sendonly');
+      const metadata = createSipRecMetadata({
+        caller: {aor: aorFromHeader(cs.req, 'From') || `sip:${cs.callInfo.from}`},
+        callee: {aor: aorFromHeader(cs.req, 'To') || `sip:${cs.callInfo.to}`},
+        callId: cs.callId
+      });
+      const {contentType, body} = createSipRecMultipart(sdp, metadata);
+      this.contentType = contentType;
+      const sbcAddress = srf.locals.getSBC();
+
+      this.dlg = await srf.createUAC(this.siprecServerURL, {
+        localSdp: body,
+        ...(sbcAddress && {proxy: `sip:${sbcAddress}`}),
+        headers: {
+          ...this.headers,
+          'Content-Type': contentType,
+          'Require': 'siprec',
+          'X-Srs-Recording-ID': this.recordingID,
+          'X-Call-Sid': cs.callSid,
+          'X-Account-Sid': cs.accountSid,
+          ...(cs.applicationSid && {'X-Application-Sid': cs.applicationSid})
+        }
+      });
+      this.dlg.on('destroy', () => {
+        this.logger.info('SipRecClient: recording server ended the session');
+        this.dlg = null;
+        this._destroyEndpoints();
+        this.emit('end');
+      });
+
+      const [sdp1, sdp2] = splitAnswer(this.dlg.remote.sdp);
+      await Promise.all([this.endpoints[0].modify(sdp1), this.endpoints[1].modify(sdp2)]);
+      await this._fork();
+      this.logger.info(`SipRecClient: recording to ${this.siprecServerURL}`);
+      return true;
+    } catch (err) {
+      this.logger.info({err}, `SipRecClient: failure starting recording to ${this.siprecServerURL}`);
+      await this.stop();
+      return false;
+    }
+  }
+
+  /**
+   * stop forking audio and put the streams on hold
+   */
+  async pause() {
+    if (!this.isActive) return false;
+    try {
+      await this._unfork();
+      await this._reoffer('sendonly', 'inactive');
+      return true;
+    } catch (err) {
+      this.logger.info({err}, 'SipRecClient: failure pausing recording');
+      return false;
+    }
+  }
+
+  async resume() {
+    if (!this.isActive) return false;
+    try {
+      await this._reoffer('inactive', 'sendonly');
+      await this._fork();
+      return true;
+    } catch (err) {
+      this.logger.info({err}, 'SipRecClient: failure resuming recording');
+      return false;
+    }
+  }
+
+  async stop() {
+    try {
+      if (this.dlg?.connected) await this.dlg.destroy();
+    } catch (err) {
+      this.logger.info({err}, 'SipRecClient: error ending recording session');
+    }
+    this.dlg = null;
+    await this._destroyEndpoints();
+    return true;
+  }
+
+  /**
+   * Send a re-INVITE changing the direction of the streams.  Our offer is the multipart
+   * body of sdp and metadata that we sent in the INVITE, so it needs its Content-Type.
+   */
+  _reoffer(from, to) {
+    const body = this.dlg.local.sdp.replace(new RegExp(`a=${from}`, 'g'), `a=${to}`);
+    return this.dlg.modify(body, {headers: {'Content-Type': this.contentType}});
+  }
+
+  /**
+   * Each endpoint eavesdrops on the call's endpoint, hearing only one direction of its audio.
+   * The audio read by the call's endpoint was sent by the party it is connected to, which is
+   * the caller on an inbound call and the callee on an outbound call.
+   */
+  async _fork() {
+    const {ep} = this.cs;
+    if (!ep) throw new Error('call has no media endpoint to record');
+    const inbound = this.cs.direction === CallDirection.Inbound;
+    const [callerVar, calleeVar] = inbound ?
+      ['eavesdrop_bridge_aleg', 'eavesdrop_bridge_bleg'] :
+      ['eavesdrop_bridge_bleg', 'eavesdrop_bridge_aleg'];
+    await Promise.all([
+      this.endpoints[0].set({[callerVar]: true, eavesdrop_enable_dtmf: false}),
+      this.endpoints[1].set({[calleeVar]: true, eavesdrop_enable_dtmf: false})
+    ]);
+
+    /* eavesdrop does not return until it is stopped */
+    this.endpoints.forEach((e) => e.execute('eavesdrop', ep.uuid)
+      .catch((err) => this.logger.info({err}, 'SipRecClient: eavesdrop ended with error')));
+  }
+
+  async _unfork() {
+    await Promise.all(this.endpoints.map((e) => e.api('uuid_break', e.uuid)));
+  }
+
+  async _destroyEndpoints() {
+    const endpoints = this.endpoints || [];
+    this.endpoints = null;
+    for (const e of endpoints) {
+      try {
+        if (e.connected) await e.destroy();
+      } catch (err) {
+        this.logger.info({err}, 'SipRecClient: error destroying endpoint');
+      }
+    }
+  }
+}
+
+module.exports = SipRecClient;
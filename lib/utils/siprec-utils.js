@@ -12,7 +12,7 @@ const parseCallData = (prefix, obj) => {
     //const o = _.find(group[0], (value, key) => /:?callData$/.test(key));
     if (key) {
       //const callData = o[0];
-      const callData = group[0][key];
+      const callData = [].concat(group[0][key])[0] || {};
       for (const key of Object.keys(callData)) {
         if (['fromhdr', 'tohdr', 'callid'].includes(key)) ret[key] = callData[key][0];
       }
@@ -22,6 +22,12 @@ const parseCallData = (prefix, obj) => {
   return ret;
 };
 
+const hasLabel = (sdp, label) => {
+  if (!label) return false;
+  const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`a=label:${escaped}\\s*(\r?\n|$)`).test(sdp);
+};
+
 /**
  * parse a SIPREC multiparty body
  * @param  {object} opts - options
@@ -158,9 +164,16 @@ const parseSiprecPayload = (req, logger) => {
             }
           }
 
+          // 4. map each participant to the channel (1 or 2) that carries the stream it sends
+          opts.participants = Object.entries(participants).map(([participantId, p]) => {
+            const channel = [opts.sdp1, opts.sdp2].findIndex((sdp) => hasLabel(sdp, p.label)) + 1;
+            return {participantId, ...p, ...(channel > 0 && {channel})};
+          });
+
           // now for Sonus (at least) we get the original from, to and call-id headers in a <callData/> element
           // if so, this should take preference
           const callData = parseCallData(prefix, obj);
+          if (Object.keys(callData).length) opts.callData = callData;
           if (callData) {
             debug(`callData: ${JSON.stringify(callData)}`);
             opts.originalCallId = callData.callid;
@@ -223,7 +236,15 @@ const parseSiprecPayload = (req, logger) => {
   }) ;
 };
 
-const createSipRecPayload = (sdp1, sdp2, logger) => {
+/**
+ * combine the sdps of the two endpoints of a SIPREC session into one, labelling each stream
+ * @param {string} sdp1
+ * @param {string} sdp2
+ * @param {object} logger
+ * @param {string} [direction] - direction of the streams: recvonly when we are the recording server,
+ * sendonly when we are the recording client
+ */
+const createSipRecPayload = (sdp1, sdp2, logger, direction = 'recvonly') => {
   const sdpObj = [];
   sdpObj.push(transform.parse(sdp1));
   sdpObj.push(transform.parse(sdp2));
@@ -261,7 +282,104 @@ const createSipRecPayload = (sdp1, sdp2, logger) => {
     .replace(/a=direction:both\r\n/g, '');
   */
 
-  return combinedSdp.replace(/sendrecv/g, 'recvonly');
+  return combinedSdp.replace(/sendrecv/g, direction);
+};
+
+/* ids in SIPREC metadata are base64-encoded uuids (RFC 7865) */
+const createSipRecId = () => Buffer.from(crypto.randomUUID().replace(/-/g, ''), 'hex').toString('base64');
+
+const escapeXml = (str = '') => `${str}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * create the rs-metadata for a recording session that we originate.  The caller sends the stream
+ * labelled 1 and the callee sends the stream labelled 2.
+ * @param {object} opts
+ * @param {object} opts.caller - {aor, name}
+ * @param {object} opts.callee - {aor, name}
+ * @param {string} [opts.callId] - the Call-ID of the recorded call
+ * @returns {string} the metadata xml
+ */
+const createSipRecMetadata = ({caller, callee, callId}) => {
+  const sessionId = createSipRecId();
+  const [p1, p2, s1, s2] = [createSipRecId(), createSipRecId(), createSipRecId(), createSipRecId()];
+  const now = new Date().toISOString();
+  const participant = (id, {aor, name}) => `  <participant participant_id="${id}">
+    <nameID aor="${escapeXml(aor)}">${name ? `<name>${escapeXml(name)}</name>` : ''}</nameID>
+  </participant>
+  <participantsessionassoc participant_id="${id}" session_id="${sessionId}">
+    <associate-time>${now}</associate-time>
+  </participantsessionassoc>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<recording xmlns="urn:ietf:params:xml:ns:recording:1">
+  <datamode>complete</datamode>
+  <session session_id="${sessionId}">
+    ${callId ? `<sipSessionID>${escapeXml(callId)}</sipSessionID>` : ''}
+  </session>
+  <sessionrecordingassoc session_id="${sessionId}">
+    <associate-time>${now}</associate-time>
+  </sessionrecordingassoc>
+${participant(p1, caller)}
+${participant(p2, callee)}
+  <stream stream_id="${s1}" session_id="${sessionId}">
+    <label>1</label>
+  </stream>
+  <stream stream_id="${s2}" session_id="${sessionId}">
+    <label>2</label>
+  </stream>
+  <participantstreamassoc participant_id="${p1}">
+    <send>${s1}</send>
+    <recv>${s2}</recv>
+  </participantstreamassoc>
+  <participantstreamassoc participant_id="${p2}">
+    <send>${s2}</send>
+    <recv>${s1}</recv>
+  </participantstreamassoc>
+</recording>
+`;
+};
+
+/**
+ * create the multipart body of an INVITE that we send to a recording server
+ * @returns {object} {contentType, body}
+ */
+const createSipRecMultipart = (sdp, metadata) => {
+  const boundary = `jambonz_${crypto.randomUUID().replace(/-/g, '')}`;
+  const body = [
+    `--${boundary}`,
+    'Content-Type: application/sdp',
+    '',
+    sdp.trimEnd(),
+    `--${boundary}`,
+    'Content-Type: application/rs-metadata+xml',
+    'Content-Disposition: recording-session',
+    '',
+    metadata.trimEnd(),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+  return {contentType: `multipart/mixed;boundary=${boundary}`, body};
 };
 
-module.exports = { parseSiprecPayload, createSipRecPayload } ;
+/**
+ * @returns {boolean} true if the participants, or the channels that carry their streams, differ
+ */
+const participantsChanged = (before = [], after = []) => {
+  const summarize = (participants) => participants
+    .map(({participantId, aor, channel}) => `${participantId}:${aor}:${channel}`)
+    .sort()
+    .join(',');
+  return summarize(before) !== summarize(after);
+};
+
+module.exports = {
+  parseSiprecPayload,
+  createSipRecPayload,
+  createSipRecMetadata,
+  createSipRecMultipart,
+  participantsChanged
+};
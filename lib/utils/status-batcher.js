@@ -0,0 +1,122 @@
+const HttpRequestor = require('./http-requestor');
+const deadLetterQueue = require('./dead-letter-queue');
+
+const DEFAULT_BATCH_INTERVAL_MS = 1000;
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * Status notifications are batched when the call_status_hook url has a `batch` hash param, e.g.
+ * `https://example.com/status#batch=call&batchInterval=2000&batchSize=100`:
+ *  - batch: `call` to batch the notifications of each call, or `account` to batch them across all
+ *    calls for the account that use the same hook
+ *  - batchInterval: how often to send a batch, in milliseconds
+ *  - batchSize: send a batch as soon as it has this many notifications
+ * @param {object|string} hook - the call_status_hook
+ * @returns {object|null} {scope, interval, size}, or null if notifications are not batched
+ */
+function parseBatchOptions(hook) {
+  const url = hook?.url || hook;
+  if (typeof url !== 'string' || !url.includes('#')) return null;
+  const params = new URLSearchParams(url.slice(url.indexOf('#') + 1));
+  const scope = params.get('batch');
+  if (!['call', 'account'].includes(scope)) return null;
+  return {
+    scope,
+    interval: parseInt(params.get('batchInterval'), 10) || DEFAULT_BATCH_INTERVAL_MS,
+    size: parseInt(params.get('batchSize'), 10) || DEFAULT_BATCH_SIZE
+  };
+}
+
+const makeBatchKey = ({scope, accountSid, callSid, hook}) => (scope === 'account' ?
+  `account:${accountSid}:${hook?.url || hook}` :
+  `call:${callSid}`);
+
+/**
+ * @classdesc This is a singleton class that collects call:status and verb:status notifications
+ * into batches, which are sent to the call_status_hook as an array of
+ * {type, call_sid, timestamp, data} in the order the notifications were generated.
+ * Batches are sent one at a time so that ordering is preserved across batches.
+ */
+class StatusBatcher {
+  constructor() {
+    this.batches = new Map();
+  }
+
+  get logger() {
+    if (!this._logger) {
+      const {logger} = require('../../app');
+      this._logger = logger;
+    }
+    return this._logger;
+  }
+
+  /**
+   * Add a notification to a batch
+   * @param {object} opts
+   * @param {string} opts.scope - 'call' or 'account'
+   * @param {number} opts.interval - max time to hold a notification, in milliseconds
+   * @param {number} opts.size - max number of notifications in a batch
+   * @param {string} opts.accountSid
+   * @param {string} [opts.applicationSid]
+   * @param {string} opts.callSid
+   * @param {object} opts.hook - the call_status_hook
+   * @param {string} opts.secret - webhook secret to sign the batch with
+   * @param {string} opts.type - call:status or verb:status
+   * @param {object} opts.data - the notification
+   * @returns {string} key of the batch the notification was added to
+   */
+  add({scope, interval, size, accountSid, applicationSid, callSid, hook, secret, type, data}) {
+    const key = makeBatchKey({scope, accountSid, callSid, hook});
+    let batch = this.batches.get(key);
+    if (!batch) {
+      batch = {accountSid, applicationSid, hook, secret, events: [], sending: Promise.resolve()};
+      if (scope === 'call') batch.callSid = callSid;
+      this.batches.set(key, batch);
+    }
+    batch.events.push({type, call_sid: callSid, timestamp: new Date().toISOString(), data});
+    if (batch.events.length >= size) this.flush(key);
+    else if (!batch.timer) batch.timer = setTimeout(this.flush.bind(this, key), interval);
+    return key;
+  }
+
+  /**
+   * Send any notifications in a batch now
+   * @returns {Promise} resolves when the batch (and any batches before it) have been sent
+   */
+  flush(key) {
+    const batch = this.batches.get(key);
+    if (!batch) return Promise.resolve();
+    clearTimeout(batch.timer);
+    batch.timer = null;
+    const events = batch.events;
+    batch.events = [];
+    if (events.length) {
+      const sending = batch.sending = batch.sending.then(() => this._send(batch, events));
+      sending.then(() => {
+        if (batch.sending === sending && 0 === batch.events.length) this.batches.delete(key);
+        return;
+      }).catch(() => {});
+    }
+    return batch.sending;
+  }
+
+  async _send(batch, events) {
+    const {accountSid, applicationSid, callSid, hook, secret} = batch;
+    const requestor = new HttpRequestor(this.logger, accountSid, hook, secret);
+    try {
+      await requestor.request('status:batch', hook, events);
+    } catch (err) {
+      this.logger.info({err}, `StatusBatcher: error sending batch of ${events.length} notifications`);
+      deadLetterQueue.add({accountSid, applicationSid, callSid, type: 'status:batch', requestor, hook,
+        payload: events, err})
+        .catch((err) => this.logger.info({err}, 'StatusBatcher: error saving undeliverable batch'));
+    } finally {
+      requestor.close();
+    }
+  }
+}
+
+const singleton = new StatusBatcher();
+
+module.exports = singleton;
+module.exports.parseBatchOptions = parseBatchOptions;
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const {specs, validateVerb: validateUpstreamVerb, normalizeJambones} = require('@jambonz/verb-specifications');
+const supplement = require('./verb-specs.json');
+
+/**
+ * Verbs and verb properties supported by this feature server that are not yet in the published
+ * @jambonz/verb-specifications.  An entry in verb-specs.json either defines a new verb (or nested type),
+ * or adds properties to an existing one; `required`, if present, replaces the published list.
+ * Verbs without an entry are validated by @jambonz/verb-specifications as before.
+ * Entries should be removed as the published specifications catch up.
+ */
+const getSpec = (name) => {
+  const ext = supplement[name];
+  if (!ext) return null;
+  const base = specs[name];
+  return {
+    properties: {...base?.properties, ...ext.properties},
+    required: ext.required || base?.required || []
+  };
+};
+
+const checkType = (name, key, value, spec) => {
+  if (spec === 'array') {
+    if (!Array.isArray(value)) throw new Error(`${name}: property ${key} is not an array`);
+  }
+  else if (spec.includes('|')) {
+    const types = spec.split('|').map((t) => t.trim());
+    if (!types.includes(typeof value) && !(types.includes('array') && Array.isArray(value))) {
+      throw new Error(`${name}: property ${key} has invalid data type, must be one of ${types}`);
+    }
+  }
+  else if (typeof value !== spec) {
+    throw new Error(`${name}: property ${key} has invalid data type`);
+  }
+};
+
+function validateVerb(name, data, logger) {
+  const spec = getSpec(name);
+  if (!spec) return validateUpstreamVerb(name, data, logger);
+
+  let required = spec.required;
+  for (const key in data) {
+    const value = data[key];
+    const dSpec = spec.properties[key];
+    if (key === '_' && !dSpec) continue;
+    if (!dSpec) throw new Error(`${name}: unknown property ${key}`);
+    required = required.filter((item) => item !== key);
+    if (typeof value === 'undefined') continue;
+
+    if (Array.isArray(dSpec)) {
+      if (!Array.isArray(value)) throw new Error(`${name}: property ${key} is not an array`);
+      value.forEach((item) => validateVerb(dSpec[0].slice(1), item, logger));
+    }
+    else if (typeof dSpec === 'object') {
+      assert.ok(dSpec.type === 'string' && Array.isArray(dSpec.enum), `invalid spec ${JSON.stringify(dSpec)}`);
+      if (!dSpec.enum.includes(value)) throw new Error(`invalid value ${value} must be one of ${dSpec.enum}`);
+    }
+    else if (dSpec.startsWith('#')) validateVerb(dSpec.slice(1), value, logger);
+    else checkType(name, key, value, dSpec);
+  }
+  if (required.length > 0) throw new Error(`${name}: missing value for ${required}`);
+}
+
+function validate(logger, obj) {
+  normalizeJambones(logger, obj).forEach((tdata) => {
+    const name = Object.keys(tdata)[0];
+    validateVerb(name, tdata[name], logger);
+  });
+}
+
+module.exports = {validateVerb, validate};
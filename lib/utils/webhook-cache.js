@@ -0,0 +1,122 @@
+/**
+ * A cache of responses to session:new GET webhooks, shared by all feature servers via redis.
+ *
+ * Caching is enabled for a hook by adding a `cache` hash parameter to its url, optionally listing
+ * the request params that the response depends on (e.g. `#cache=to,from`).  Since a GET has no
+ * body, those params are sent to the app server in the query string.  The cache key is made up of
+ * the url (without the hash), the values of those params, and the account, application and basic
+ * auth username the request was made for, so a response is never shared between tenants.  The app server controls
+ * whether and for how long a response is cached with the standard Cache-Control and ETag headers:
+ *  - max-age (or s-maxage) sets how long the response is fresh, and is served without a request
+ *  - once stale, an entry with an ETag is revalidated with If-None-Match
+ *  - a stale entry is served if the app server cannot be reached, for up to stale-if-error seconds
+ *  - no-store prevents a response from being cached
+ */
+const crypto = require('crypto');
+const {JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS} = require('../config');
+
+/**
+ * @param {string} url - the hook url
+ * @param {object} params - the request params
+ * @param {string[]} keyParams - the request params the response depends on
+ * @param {object} scope - who the request is made for
+ * @param {string} scope.accountSid
+ * @param {string} [scope.applicationSid]
+ * @param {string} [scope.username] - basic auth username
+ */
+const makeCacheKey = (url, params, keyParams = [], {accountSid, applicationSid, username} = {}) => {
+  const values = keyParams.map((p) => `${p}=${params?.[p] === undefined ? '' : params[p]}`);
+  const scope = [accountSid, applicationSid, username].map((v) => v || '');
+  const hash = crypto.createHash('sha1').update([...scope, url.split('#')[0], ...values].join('|')).digest('hex');
+  return `webhook-cache:${hash}`;
+};
+
+/**
+ * @returns {object} the request params the response depends on, to be sent in the query string
+ */
+const getCacheQuery = (params, keyParams = []) =>
+  Object.fromEntries(keyParams.map((p) => [p, params?.[p] === undefined ? '' : `${params[p]}`]));
+
+/**
+ * @param {string} header - value of a Cache-Control header
+ * @returns {object} directives, with numeric values for the delta-seconds directives
+ */
+function parseCacheControl(header) {
+  if (!header) return {};
+  return header.split(',').reduce((acc, directive) => {
+    const [name, value] = directive.trim().split('=').map((s) => s?.trim());
+    if (!name) return acc;
+    const key = name.toLowerCase();
+    if (value === undefined) acc[key] = true;
+    else {
+      const n = parseInt(value.replace(/"/g, ''), 10);
+      acc[key] = isNaN(n) ? value : n;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Determine how a response should be cached
+ * @param {object} headers - response headers
+ * @returns {object|undefined} {etag, maxAge, staleIfError} in seconds, or undefined if it should not be cached
+ */
+function getCachePolicy(headers) {
+  const cc = parseCacheControl(headers['cache-control']);
+  const etag = headers.etag;
+  if (cc['no-store']) return;
+  const maxAge = cc['no-cache'] ? 0 : (cc['s-maxage'] ?? cc['max-age'] ?? 0);
+  if (typeof maxAge !== 'number' || (maxAge <= 0 && !etag)) return;
+  const staleIfError = typeof cc['stale-if-error'] === 'number' ?
+    cc['stale-if-error'] :
+    JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS;
+  return {etag, maxAge, staleIfError};
+}
+
+async function retrieveCachedResponse(client, key) {
+  const entry = await client.get(key);
+  if (!entry) return;
+  try {
+    return JSON.parse(entry);
+  } catch (err) {
+    return;
+  }
+}
+
+/**
+ * Cache a response according to its Cache-Control and ETag headers
+ * @param {Redis} client - redis client
+ * @param {string} key - cache key
+ * @param {object} headers - response headers
+ * @param {*} body - the (parsed) response body
+ * @returns {boolean} true if the response was cached
+ */
+async function saveCachedResponse(client, key, headers, body) {
+  const policy = getCachePolicy(headers);
+  if (!policy) {
+    await client.del(key);
+    return false;
+  }
+  const {etag, maxAge, staleIfError} = policy;
+
+  /* an entry with an etag is worth keeping for revalidation even once it can no longer be served stale */
+  const ttl = maxAge + Math.max(staleIfError, etag ? JAMBONES_HTTP_CACHE_STALE_IF_ERROR_SECS : 0);
+  if (ttl <= 0) return false;
+  const now = Date.now();
+  await client.set(key, JSON.stringify({
+    body,
+    ...(etag && {etag}),
+    expires: now + maxAge * 1000,
+    staleUntil: now + (maxAge + staleIfError) * 1000
+  }), 'EX', ttl);
+  return true;
+}
+
+module.exports = {
+  makeCacheKey,
+  getCacheQuery,
+  parseCacheControl,
+  getCachePolicy,
+  retrieveCachedResponse,
+  saveCachedResponse
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {decrypt} = require('./encrypt-decrypt');
+const {JAMBONES_WEBHOOK_TLS_DIR, JAMBONES_WEBHOOK_TLS_CHECK_SECS} = require('../config');
+
+const FILES = ['client.crt', 'client.key', 'ca.crt'];
+
+/* certificates read from files, by account or application sid */
+let filesBySid = new Map();
+let watchTimer;
+
+/**
+ * @classdesc The client certificate, private key and CA bundle used for mutual TLS to an app server.
+ * It is attached to hooks as `hook.tls`, and is never serialized so that key material does not
+ * end up in logs or in redis.
+ */
+class WebhookTls {
+  constructor({cert, key, ca}) {
+    this.cert = cert;
+    this.key = key;
+    this.ca = ca;
+    this.id = crypto.createHash('sha1')
+      .update(`${cert || ''}:${key || ''}:${ca || ''}`)
+      .digest('hex');
+  }
+
+  /**
+   * @returns {object} options for tls.connect
+   */
+  get connectOptions() {
+    return {
+      ...(this.cert && {cert: this.cert}),
+      ...(this.key && {key: this.key}),
+      ...(this.ca && {ca: this.ca})
+    };
+  }
+
+  toJSON() {
+    return undefined;
+  }
+}
+
+/* a private key stored in the db may be encrypted */
+const readKey = (key) => (!key || key.includes('-----BEGIN') ? key : decrypt(key));
+
+const fromRow = (row) => {
+  if (!row?.webhook_client_cert && !row?.webhook_ca_bundle) return null;
+  return {
+    cert: row.webhook_client_cert,
+    key: readKey(row.webhook_client_key),
+    ca: row.webhook_ca_bundle
+  };
+};
+
+/* modification times of the certificate files, so that replaced or removed files are noticed */
+const statFiles = async(dir) => (await Promise.all(FILES.map((name) => fs.promises.stat(path.join(dir, name))
+  .then((stats) => stats.mtimeMs, () => 0)))).join(':');
+
+const readFiles = async(dir) => {
+  const [cert, key, ca] = await Promise.all(FILES.map((name) => fs.promises.readFile(path.join(dir, name), 'utf8')
+    .catch(() => undefined)));
+  return cert || ca ? {cert, key, ca} : null;
+};
+
+/**
+ * Read the certificates in JAMBONES_WEBHOOK_TLS_DIR/<sid>/, re-reading only those whose files have changed
+ */
+async function loadWebhookTlsFiles() {
+  if (!JAMBONES_WEBHOOK_TLS_DIR) return;
+  const loaded = new Map();
+  for (const sid of await fs.promises.readdir(JAMBONES_WEBHOOK_TLS_DIR)) {
+    const dir = path.join(JAMBONES_WEBHOOK_TLS_DIR, sid);
+    const mtimes = await statFiles(dir);
+    const cached = filesBySid.get(sid);
+    const opts = cached?.mtimes === mtimes ? cached.opts : await readFiles(dir);
+    if (opts) loaded.set(sid, {opts, mtimes});
+  }
+  filesBySid = loaded;
+}
+
+/**
+ * Load the certificate files now, and check them for changes every JAMBONES_WEBHOOK_TLS_CHECK_SECS
+ * so that rotated certificates are picked up.  The files are never read while setting up a call.
+ * @returns {Promise} resolves when the files have been loaded
+ */
+function watchWebhookTlsFiles(logger) {
+  if (!JAMBONES_WEBHOOK_TLS_DIR || watchTimer) return Promise.resolve();
+  const load = () => loadWebhookTlsFiles().catch((err) => {
+    logger.info({err}, `error reading webhook client certificates from ${JAMBONES_WEBHOOK_TLS_DIR}`);
+  });
+  watchTimer = setInterval(load, JAMBONES_WEBHOOK_TLS_CHECK_SECS * 1000);
+  watchTimer.unref();
+  return load();
+}
+
+const fromFiles = (sid) => (sid && filesBySid.get(sid)?.opts) || null;
+
+/**
+ * Retrieve the TLS options to use for webhooks, if any.  An application's certificates take
+ * precedence over its account's, and for each certificates provided in the db take precedence
+ * over files in JAMBONES_WEBHOOK_TLS_DIR/<sid>/ (client.crt, client.key and ca.crt).
+ * The db columns are webhook_client_cert, webhook_client_key and webhook_ca_bundle on the accounts
+ * and applications tables (see test/db/create-and-populate-schema.sql).
+ * @param {object} opts
+ * @param {object} [opts.account] - the account row
+ * @param {object} [opts.application] - the application row
+ * @returns {WebhookTls|undefined}
+ */
+function getWebhookTls({account, application} = {}) {
+  const opts = fromRow(application) || fromFiles(application?.application_sid) ||
+    fromRow(account) || fromFiles(account?.account_sid);
+  if (opts) return new WebhookTls(opts);
+}
+
+/**
+ * @returns {object} the hook, with the TLS options attached
+ */
+function withWebhookTls(hook, tls) {
+  if (!tls || !hook) return hook;
+  return {...(typeof hook === 'object' ? hook : {url: hook}), tls};
+}
+
+module.exports = {
+  getWebhookTls,
+  withWebhookTls,
+  watchWebhookTlsFiles,
+  WebhookTls
+};
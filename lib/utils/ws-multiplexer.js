@@ -0,0 +1,240 @@
+const Websocket = require('ws');
+const sessionTracker = require('../session/session-tracker');
+const {WS_CLOSE_CODES} = require('./constants.json');
+const {JAMBONES_WS_PING_INTERVAL_MS} = require('../config');
+
+const MUX_SUBPROTOCOL = 'mux.ws.jambonz.org';
+const MAX_POOL_SIZE = 10;
+
+/**
+ * A websocket application is multiplexed when its url has a `mux` hash param, e.g.
+ * `wss://example.com/app#mux=2`; the value is the number of websockets this feature server
+ * opens to the url (default 1), which are shared by all of the calls for the account.
+ * @param {object} hashObj - the parsed hash params of the url
+ * @returns {object|null} {poolSize}, or null if the websocket is not multiplexed
+ */
+function parseMuxOptions(hashObj) {
+  if (!hashObj || !('mux' in hashObj)) return null;
+  const poolSize = Math.min(Math.max(parseInt(hashObj.mux, 10) || 1, 1), MAX_POOL_SIZE);
+  return {poolSize};
+}
+
+const makePoolKey = (requestor) =>
+  `${requestor.account_sid}:${requestor.username || ''}:${requestor.tls?.id || ''}:${requestor.cleanUrl}`;
+
+/**
+ * @classdesc Stands in for the websocket of a WsRequestor that is attached to a shared connection
+ */
+class MuxChannel {
+  constructor(connection, requestor) {
+    this.connection = connection;
+    this.requestor = requestor;
+  }
+
+  send(data, callback) {
+    const {ws} = this.connection;
+    if (!ws) return callback && callback(new Error('multiplexed websocket is not connected'));
+    ws.send(data, callback);
+  }
+
+  /* the shared websocket is closed when the last call detaches from it */
+  close() {
+    this.connection.detach(this);
+  }
+
+  ping() {
+    /* the shared websocket is pinged by the connection */
+  }
+
+  removeAllListeners() {
+    /* no listeners are attached to a channel */
+  }
+}
+
+/**
+ * @classdesc A websocket shared by many calls.  Messages from the application are routed to
+ * the requestor they are for: acks by msgid and commands by call_sid.  A call may have child
+ * requestors (e.g. for a dial leg) attached besides its session's, so a command goes to the
+ * requestor on this connection that owns the call_sid, preferring the session's own requestor.
+ */
+class MuxConnection {
+  constructor(multiplexer, key) {
+    this.multiplexer = multiplexer;
+    this.key = key;
+    this.channels = new Set();
+    this.pending = 0;
+    this.ws = null;
+  }
+
+  get logger() {
+    return this.multiplexer.logger;
+  }
+
+  get load() {
+    return this.channels.size + this.pending;
+  }
+
+  async attach(requestor) {
+    this.pending++;
+    try {
+      if (!this.ws) {
+        this._connectPromise = this._connectPromise || this._connect(requestor);
+        try {
+          await this._connectPromise;
+        } finally {
+          this._connectPromise = null;
+        }
+      }
+    } finally {
+      this.pending--;
+    }
+    const channel = new MuxChannel(this, requestor);
+    this.channels.add(channel);
+    return channel;
+  }
+
+  detach(channel) {
+    if (!this.channels.delete(channel)) return;
+    if (0 === this.load) {
+      this.logger.debug({url: this.key}, 'MuxConnection: closing multiplexed websocket, no calls remain');
+      this.multiplexer.remove(this);
+      this._stopPingTimer();
+      this.ws?.removeAllListeners();
+      this.ws?.on('error', () => {});
+      this.ws?.close(WS_CLOSE_CODES.NormalClosure);
+      this.ws = null;
+    }
+  }
+
+  _connect(requestor) {
+    return new Promise((resolve, reject) => {
+      const ws = new Websocket(requestor.cleanUrl, [MUX_SUBPROTOCOL], requestor._getHandshakeOptions());
+      ws
+        .once('open', () => {
+          ws.removeAllListeners('unexpected-response');
+          this.ws = ws;
+          this.logger.info({url: requestor.cleanUrl}, 'MuxConnection: multiplexed websocket connected');
+          if (JAMBONES_WS_PING_INTERVAL_MS > 15000) {
+            this._pingTimer = setInterval(() => this.ws?.ping(), JAMBONES_WS_PING_INTERVAL_MS);
+          }
+          resolve();
+        })
+        .once('unexpected-response', (req, res) => {
+          const err = new Error(`${res.statusCode} ${res.statusMessage}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+        })
+        .once('close', this._onClose.bind(this, ws))
+        .on('message', this._onMessage.bind(this))
+        .on('error', (err) => {
+          if (this.ws !== ws) return reject(err);
+          this.logger.info({err}, 'MuxConnection: error on multiplexed websocket');
+        });
+    });
+  }
+
+  _stopPingTimer() {
+    clearInterval(this._pingTimer);
+    this._pingTimer = null;
+  }
+
+  /* every call on the socket goes through its own reconnect handling, which attaches it again */
+  _onClose(ws, code) {
+    if (ws !== this.ws) return;
+    this.logger.info({url: this.key}, `MuxConnection: multiplexed websocket closed by far end ${code}`);
+    this._stopPingTimer();
+    ws.removeAllListeners();
+    this.ws = null;
+    this.multiplexer.remove(this);
+    const channels = [...this.channels];
+    this.channels.clear();
+    for (const {requestor} of channels) requestor._onClose(code);
+  }
+
+  _onMessage(content, isBinary) {
+    if (isBinary) {
+      this.logger.info({url: this.key}, 'MuxConnection: discarding binary message');
+      return;
+    }
+    let obj;
+    try {
+      obj = JSON.parse(content);
+    } catch (err) {
+      this.logger.info({err, url: this.key}, 'MuxConnection: discarding invalid message');
+      return;
+    }
+    const {type, msgid} = obj;
+    const call_sid = obj.call_sid || obj.callSid;
+    const channels = [...this.channels];
+    let channel;
+    if (type === 'ack') {
+      channel = channels.find((c) => c.requestor.messagesInFlight.has(msgid));
+    }
+    else if (call_sid) {
+      /* only deliver commands to calls that are attached to this connection */
+      const owned = channels.filter((c) => c.requestor.call_sid === call_sid);
+      const sessionRequestor = sessionTracker.get(call_sid)?.requestor;
+      channel = owned.find((c) => c.requestor === sessionRequestor) || owned[owned.length - 1];
+    }
+    if (!channel) {
+      this.logger.info({type, msgid, call_sid}, 'MuxConnection: discarding message for unknown call');
+      return;
+    }
+    channel.requestor._onMessage(content, isBinary);
+  }
+}
+
+/**
+ * @classdesc This is a singleton class that manages the pools of multiplexed websockets,
+ * keyed by account, credentials and url.  Calls are attached to the least loaded websocket
+ * in the pool, which are opened as needed up to the pool size.
+ */
+class WsMultiplexer {
+  constructor() {
+    this.pools = new Map();
+  }
+
+  get logger() {
+    if (!this._logger) {
+      const {logger} = require('../../app');
+      this._logger = logger;
+    }
+    return this._logger;
+  }
+
+  /**
+   * Attach a WsRequestor to a multiplexed websocket, connecting it if necessary
+   * @param {WsRequestor} requestor
+   * @returns {MuxChannel} the channel to use in place of a websocket
+   */
+  attach(requestor) {
+    const key = makePoolKey(requestor);
+    let pool = this.pools.get(key);
+    if (!pool) this.pools.set(key, pool = []);
+    let connection;
+    if (pool.length < requestor.mux.poolSize) {
+      connection = new MuxConnection(this, key);
+      pool.push(connection);
+    }
+    else connection = pool.reduce((a, b) => (b.load < a.load ? b : a));
+    return connection.attach(requestor)
+      .catch((err) => {
+        if (0 === connection.load) this.remove(connection);
+        throw err;
+      });
+  }
+
+  remove(connection) {
+    const pool = this.pools.get(connection.key);
+    if (!pool) return;
+    const idx = pool.indexOf(connection);
+    if (-1 !== idx) pool.splice(idx, 1);
+    if (0 === pool.length) this.pools.delete(connection.key);
+  }
+}
+
+const singleton = new WsMultiplexer();
+
+module.exports = singleton;
+module.exports.parseMuxOptions = parseMuxOptions;
+module.exports.MUX_SUBPROTOCOL = MUX_SUBPROTOCOL;
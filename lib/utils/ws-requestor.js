@@ -1,5 +1,8 @@
 const assert = require('assert');
 const BaseRequestor = require('./base-requestor');
+const circuitBreaker = require('./circuit-breaker');
+const wsMultiplexer = require('./ws-multiplexer');
+const {parseMuxOptions} = wsMultiplexer;
 const short = require('short-uuid');
 const parseUrl = require('parse-url');
 const {HookMsgTypes, WS_CLOSE_CODES} = require('./constants.json');
@@ -8,6 +11,7 @@ const snakeCaseKeys = require('./snakecase-keys');
 const {
   RESPONSE_TIMEOUT_MS,
   JAMBONES_WS_PING_INTERVAL_MS,
+  JAMBONES_WS_REPLAY_BUFFER_SIZE,
   MAX_RECONNECTS,
   JAMBONES_WS_HANDSHAKE_TIMEOUT_MS,
   JAMBONES_WS_MAX_PAYLOAD,
@@ -21,6 +25,7 @@ const MTYPE_WANTS_ACK = [
   'llm:tool-call',
   'tts:streaming-event',
   'tts:tokens-result',
+  'siprec:metadata-update',
 ];
 const MTYPE_NO_DATA = [
   'llm:tool-output',
@@ -39,6 +44,9 @@ class WsRequestor extends BaseRequestor {
     this.connectInProgress = false;
     this.queuedMsg = [];
     this.id = short.generate();
+    this.seq = 0;
+    this.replayBuffer = [];
+    this.replayFloor = 0;
 
     assert(this._isAbsoluteUrl(this.url));
 
@@ -55,6 +63,9 @@ class WsRequestor extends BaseRequestor {
     this.retryPolicy = hashObj.rp || 'ct';
     this.retryPolicyValues = this.retryPolicy.split(',').map((v) => v.trim());
 
+    // Multiplexing: mux=n shares n websockets to the url among all calls, default is a websocket per call
+    this.mux = parseMuxOptions(hashObj);
+
     this.on('socket-closed', this._onSocketClosed.bind(this));
   }
 
@@ -95,7 +106,7 @@ class WsRequestor extends BaseRequestor {
     if (this._isAbsoluteUrl(url) && url.startsWith('http')) {
       const HttpRequestor = require('./http-requestor');
       this.logger.debug({hook}, 'WsRequestor: sending a webhook (HTTP)');
-      const h = typeof hook === 'object' ? hook : {url: hook};
+      const h = this._derivedHook(hook);
       const requestor = new HttpRequestor(this.logger, this.account_sid, h, this.secret);
       if (type === 'session:redirect') {
         this.close();
@@ -127,51 +138,28 @@ class WsRequestor extends BaseRequestor {
       this.logger.debug(`WsRequestor:request(${this.id}) - connecting since we do not have a connection for ${type}`);
 
       try {
-        let retryCount = 0;
-        let lastError = null;
-
-        while (retryCount <= this.maxReconnects) {
+        /* try the primary url, then any fallbacks; endpoints that keep failing are skipped for a while */
+        const candidates = this._getCandidateUrls(this.url, this.url);
+        for (let i = 0; i < candidates.length; i++) {
+          const origin = this._originOf(candidates[i]);
+          this._setConnectUrl(candidates[i]);
           try {
-            this.logger.debug({retryCount, maxReconnects: this.maxReconnects},
-              'WsRequestor:request - attempting connection retry');
-
-            // Ensure clean state before each connection attempt
-            if (this.ws) {
-              this.ws.removeAllListeners();
-              this.ws = null;
-            }
-
-            const startAt = process.hrtime();
-            await this._connect();
-            const rtt = this._roundTrip(startAt);
-            this.stats.histogram('app.hook.connect_time', rtt, ['hook_type:app']);
-            lastError = null;
+            this.connectInProgress = true;
+            await this._connectWithRetries();
+            circuitBreaker.recordSuccess(origin);
             break;
-          } catch (error) {
-            lastError = error;
-            retryCount++;
-
-            if (retryCount <= this.maxReconnects &&
-                this.retryPolicyValues?.length &&
-                this._shouldRetry(error, this.retryPolicyValues)) {
-
-              const delay = this.backoffMs;
-              this.backoffMs = this.backoffMs < 2000 ? this.backoffMs * 2 : (this.backoffMs + 2000);
-              this.logger.debug({delay}, 'WsRequestor:request - waiting before retry');
-              await new Promise((resolve) => setTimeout(resolve, delay));
-              continue;
+          } catch (err) {
+            if (!this._isFailoverError(err)) {
+              circuitBreaker.recordSuccess(origin);
+              throw err;
             }
-
-            this.logger.error({error: error.message, retryCount, maxReconnects: this.maxReconnects},
-              'WsRequestor:request - all connection attempts failed');
-            throw lastError;
+            if (circuitBreaker.recordFailure(origin)) {
+              this.logger.info(`WsRequestor: circuit is open for ${origin}`);
+            }
+            if (i === candidates.length - 1) throw err;
+            this.logger.info({err}, `WsRequestor: failing over to ${candidates[i + 1]}`);
           }
         }
-
-        // If we exit the loop without success, throw the last error
-        if (lastError) {
-          throw lastError;
-        }
       } catch (err) {
         this.logger.info({url, err, retryPolicy: this.retryPolicy},
           'WsRequestor:request - all connection attempts failed');
@@ -194,6 +182,7 @@ class WsRequestor extends BaseRequestor {
     const msgid = short.generate();
     // save initial msgid in case we need to reconnect during initial session:new
     if (type === 'session:new') this._initMsgId = msgid;
+    if (type === 'session:reconnect') this._reconnectMsgId = msgid;
 
     const b3 = httpHeaders?.b3 ? {b3: httpHeaders.b3} : {};
     const obj = {
@@ -204,6 +193,8 @@ class WsRequestor extends BaseRequestor {
         'verb:hook', 'dial:confirm', 'session:redirect', 'llm:event', 'llm:tool-call'
       ].includes(type) ? url : undefined,
       data: {...payload},
+      // session:reconnect is not numbered, its ack tells us the last seq the app processed
+      ...(type !== 'session:reconnect' && {seq: ++this.seq}),
       ...b3
     };
     // add msgid to span attributes if it exists
@@ -252,7 +243,9 @@ class WsRequestor extends BaseRequestor {
 
     /* simple notifications */
     if (!wantsAck || reconnectingWithoutAck) {
-      this.ws?.send(JSON.stringify(obj), () => {
+      const msg = JSON.stringify(obj);
+      if (!wantsAck) this._saveForReplay(obj.seq, msg);
+      this.ws?.send(msg, () => {
         this.logger.debug({obj}, `WsRequestor:request websocket: sent (${url})`);
         sendQueuedMsgs();
       });
@@ -337,23 +330,99 @@ class WsRequestor extends BaseRequestor {
     }
   }
 
+  /**
+   * Connect to our url, retrying according to the retry policy in the url hash
+   */
+  async _connectWithRetries() {
+    let retryCount = 0;
+    let lastError = null;
+
+    while (retryCount <= this.maxReconnects) {
+      try {
+        this.logger.debug({retryCount, maxReconnects: this.maxReconnects},
+          'WsRequestor:request - attempting connection retry');
+
+        // Ensure clean state before each connection attempt
+        if (this.ws) {
+          this.ws.removeAllListeners();
+          this.ws = null;
+        }
+
+        const startAt = process.hrtime();
+        await this._connect();
+        const rtt = this._roundTrip(startAt);
+        this.stats.histogram('app.hook.connect_time', rtt, ['hook_type:app']);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        retryCount++;
+
+        if (retryCount <= this.maxReconnects &&
+            this.retryPolicyValues?.length &&
+            this._shouldRetry(error, this.retryPolicyValues)) {
+
+          const delay = this.backoffMs;
+          this.backoffMs = this.backoffMs < 2000 ? this.backoffMs * 2 : (this.backoffMs + 2000);
+          this.logger.debug({delay}, 'WsRequestor:request - waiting before retry');
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          continue;
+        }
+
+        this.logger.error({error: error.message, retryCount, maxReconnects: this.maxReconnects},
+          'WsRequestor:request - all connection attempts failed');
+        throw lastError;
+      }
+    }
+
+    // If we exit the loop without success, throw the last error
+    if (lastError) {
+      throw lastError;
+    }
+  }
+
+  /**
+   * Set the url the websocket connects to, which may be a fallback url.  The application's url
+   * (and base url for relative hooks) is unchanged, so the next new connection tries it first;
+   * the retry policy of the application's url still applies.
+   */
+  _setConnectUrl(url) {
+    const hash = parseUrl(url).hash || '';
+    this.cleanUrl = hash ? url.replace(`#${hash}`, '') : url;
+  }
+
+  /**
+   * any failure to connect, other than being rejected by the server, causes us to try the next fallback url
+   */
+  _isFailoverError(err) {
+    return !err.statusCode || err.statusCode >= 500;
+  }
+
+  _getHandshakeOptions() {
+    const handshakeTimeout = JAMBONES_WS_HANDSHAKE_TIMEOUT_MS ?
+      parseInt(JAMBONES_WS_HANDSHAKE_TIMEOUT_MS) :
+      1500;
+    const opts = {
+      followRedirects: true,
+      maxRedirects: 2,
+      handshakeTimeout,
+      maxPayload: JAMBONES_WS_MAX_PAYLOAD ? parseInt(JAMBONES_WS_MAX_PAYLOAD) : 24 * 1024,
+      headers: {
+        ...(HTTP_USER_AGENT_HEADER && {'user-agent' : HTTP_USER_AGENT_HEADER}),
+        ...this._generateHandshakeSigHeader()
+      },
+      ...this.tls?.connectOptions
+    };
+    if (this.username && this.password) return {...opts, auth: `${this.username}:${this.password}`};
+    return opts;
+  }
+
   _connect() {
     assert(!this.ws);
     this._stopPingTimer();
+    if (this.mux) return this._connectMultiplexed();
     return new Promise((resolve, reject) => {
-      const handshakeTimeout = JAMBONES_WS_HANDSHAKE_TIMEOUT_MS ?
-        parseInt(JAMBONES_WS_HANDSHAKE_TIMEOUT_MS) :
-        1500;
-      let opts = {
-        followRedirects: true,
-        maxRedirects: 2,
-        handshakeTimeout,
-        maxPayload: JAMBONES_WS_MAX_PAYLOAD ? parseInt(JAMBONES_WS_MAX_PAYLOAD) : 24 * 1024,
-        headers: {
-          ...(HTTP_USER_AGENT_HEADER && {'user-agent' : HTTP_USER_AGENT_HEADER})
-        }
-      };
-      if (this.username && this.password) opts = {...opts, auth: `${this.username}:${this.password}`};
+      const opts = this._getHandshakeOptions();
 
       // Clean up any existing connection event listeners to prevent interference between retry attempts
       this.removeAllListeners('ready');
@@ -376,6 +445,28 @@ class WsRequestor extends BaseRequestor {
     });
   }
 
+  /**
+   * attach to a websocket shared with other calls to the same url; messages for this call
+   * are delivered to _onMessage and the websocket closing is delivered to _onClose
+   */
+  async _connectMultiplexed() {
+    const channel = await wsMultiplexer.attach(this);
+    this.logger.info({url: this.url}, `WsRequestor(${this.id}) - attached to multiplexed websocket`);
+    this.ws = channel;
+    this.connectInProgress = false;
+    this.connections++;
+    if (this.connections > 1) this.request('session:reconnect', this.url);
+  }
+
+  /**
+   * sign the websocket upgrade request; since there is no body the signed data is
+   * the path and query string of the request
+   */
+  _generateHandshakeSigHeader() {
+    const {pathname, search} = new URL(this.cleanUrl);
+    return this._generateSigHeaderForData(`${pathname}${search}`, this.secret);
+  }
+
   _setHandlers(ws) {
     ws
       .once('open', this._onOpen.bind(this, ws))
@@ -491,7 +582,7 @@ class WsRequestor extends BaseRequestor {
       const obj = JSON.parse(content);
       this.logger.debug({obj}, 'WsRequestor:_onMessage - received message');
       //const {type, msgid, command, call_sid = this.call_sid, queueCommand = false, data} = obj;
-      const {type, msgid, command, queueCommand = false, tool_call_id, data} = obj;
+      const {type, msgid, command, queueCommand = false, tool_call_id, data, last_seq} = obj;
       const call_sid = obj.callSid || this.call_sid;
 
       //this.logger.debug({obj}, 'WsRequestor:request websocket: received');
@@ -500,6 +591,7 @@ class WsRequestor extends BaseRequestor {
       switch (type) {
         case 'ack':
           assert.ok(msgid, 'msgid not supplied');
+          if (msgid === this._reconnectMsgId && undefined !== last_seq) this._replayAfter(last_seq);
           this._recvAck(msgid, data);
           break;
 
@@ -532,6 +624,33 @@ class WsRequestor extends BaseRequestor {
     }
   }
 
+  /**
+   * notifications are not acked, so we keep the most recent ones in case the socket drops
+   * before the app has processed them
+   */
+  _saveForReplay(seq, msg) {
+    this.replayBuffer.push({seq, msg});
+    if (this.replayBuffer.length > JAMBONES_WS_REPLAY_BUFFER_SIZE) {
+      this.replayFloor = this.replayBuffer.shift().seq;
+    }
+  }
+
+  /**
+   * resend the notifications sent after the last seq the app reports having processed in its
+   * ack to session:reconnect; this happens before any messages queued during the reconnect are sent
+   */
+  _replayAfter(lastSeq) {
+    lastSeq = parseInt(lastSeq, 10);
+    if (isNaN(lastSeq)) return;
+    if (lastSeq < this.replayFloor) {
+      this.logger.info(`WsRequestor:_replayAfter - messages up to seq ${this.replayFloor} are no longer available`);
+    }
+    this.replayBuffer = this.replayBuffer.filter(({seq}) => seq > lastSeq);
+    if (0 === this.replayBuffer.length) return;
+    this.logger.info(`WsRequestor:_replayAfter - replaying ${this.replayBuffer.length} messages after seq ${lastSeq}`);
+    for (const {msg} of this.replayBuffer) this.ws?.send(msg);
+  }
+
   _recvAck(msgid, data) {
     this._initMsgId = null;
     const obj = this.messagesInFlight.get(msgid);
@@ -0,0 +1,82 @@
+const test = require('tape');
+const express = require('express');
+const proxyquire = require('proxyquire').noCallThru();
+const CallSession = require('../lib/session/call-session');
+const makeTask = require('../lib/tasks/make_task');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+/* a call session that is executing a say, with a hangup to follow */
+const makeCallSession = (callSid) => {
+  const cs = Object.create(CallSession.prototype);
+  Object.assign(cs, {
+    logger,
+    callInfo: {toJSON: () => ({call_sid: callSid, account_sid: 'AC1', direction: 'inbound'})},
+    currentTask: makeTask(logger, {say: {text: 'hello'}}),
+    tasks: [makeTask(logger, {hangup: {}})],
+    _recordState: 'recording_off',
+    backgroundTaskManager: {listTasks: () => ['transcribe']},
+    application: {
+      speech_synthesis_vendor: 'google',
+      speech_synthesis_language: 'en-US',
+      speech_synthesis_voice: 'en-US-Standard-C',
+      speech_recognizer_vendor: 'deepgram',
+      speech_recognizer_language: 'en-US'
+    }
+  });
+  return cs;
+};
+
+const sessions = new Map();
+const router = proxyquire('../lib/http-routes/api/calls', {
+  '../../session/session-tracker': {sessions, get: (callSid) => sessions.get(callSid)}
+});
+
+const start = () => new Promise((resolve) => {
+  const app = express();
+  app.locals.logger = logger;
+  app.use('/calls', router);
+  const server = app.listen(0, () => resolve(server));
+});
+
+test('call session details', (t) => {
+  const details = makeCallSession('CS1').getSessionDetails();
+  t.equal(details.call_sid, 'CS1', 'includes the call info');
+  t.equal(details.currentTask, 'say', 'includes the current verb');
+  t.deepEqual(details.remainingTasks.map((task) => Object.keys(task)[0]), ['say', 'hangup'],
+    'includes the verbs yet to complete');
+  t.deepEqual(details.backgroundTasks, ['transcribe'], 'includes background tasks');
+  t.deepEqual([details.synthesizer.vendor, details.recognizer.vendor], ['google', 'deepgram'],
+    'includes the speech settings');
+  t.end();
+});
+
+test('calls api', async(t) => {
+  sessions.set('CS1', makeCallSession('CS1'));
+  sessions.set('CS2', makeCallSession('CS2'));
+  const server = await start();
+  const base = `http://127.0.0.1:${server.address().port}/calls`;
+  try {
+    let res = await fetch(base);
+    t.equal(res.status, 200, 'calls are listed');
+    t.deepEqual((await res.json()).map((c) => [c.call_sid, c.currentTask]), [['CS1', 'say'], ['CS2', 'say']],
+      'each call is described');
+
+    res = await fetch(`${base}/CS2`);
+    t.equal(res.status, 200, 'call is retrieved');
+    const call = await res.json();
+    t.equal(call.call_sid, 'CS2', 'call details are returned');
+    t.equal(call.remainingTasks.length, 2, 'with its verbs');
+
+    res = await fetch(`${base}/CS3`);
+    t.equal(res.status, 404, 'unknown call');
+
+    sessions.clear();
+    res = await fetch(base);
+    t.deepEqual(await res.json(), [], 'no calls');
+  } finally {
+    server.close();
+  }
+  t.end();
+});
@@ -0,0 +1,47 @@
+const test = require('tape');
+const {CircuitBreaker} = require('../lib/utils/circuit-breaker');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('circuit breaker opens after consecutive failures', (t) => {
+  const cb = new CircuitBreaker({threshold: 3, resetMs: 1000});
+  const key = 'https://primary.example.com';
+
+  t.notOk(cb.isOpen(key), 'circuit is initially closed');
+  t.notOk(cb.recordFailure(key), 'first failure does not open circuit');
+  t.notOk(cb.recordFailure(key), 'second failure does not open circuit');
+  t.ok(cb.recordFailure(key), 'third failure opens circuit');
+  t.ok(cb.isOpen(key), 'circuit is open');
+  t.notOk(cb.isOpen('https://secondary.example.com'), 'other endpoints are not affected');
+  t.end();
+});
+
+test('circuit breaker success resets failure count', (t) => {
+  const cb = new CircuitBreaker({threshold: 2, resetMs: 1000});
+  const key = 'https://primary.example.com';
+
+  cb.recordFailure(key);
+  cb.recordSuccess(key);
+  t.notOk(cb.recordFailure(key), 'failures are not consecutive after a success');
+  t.notOk(cb.isOpen(key), 'circuit remains closed');
+  t.end();
+});
+
+test('circuit breaker goes half-open after reset interval', async(t) => {
+  const cb = new CircuitBreaker({threshold: 2, resetMs: 50});
+  const key = 'https://primary.example.com';
+
+  cb.recordFailure(key);
+  cb.recordFailure(key);
+  t.ok(cb.isOpen(key), 'circuit is open');
+  await sleep(75);
+  t.notOk(cb.isOpen(key), 'request is let through once reset interval has passed');
+  t.ok(cb.recordFailure(key), 'a single failure while half-open re-opens the circuit');
+  t.ok(cb.isOpen(key), 'circuit is open again');
+
+  await sleep(75);
+  t.notOk(cb.isOpen(key), 'half-open again');
+  cb.recordSuccess(key);
+  t.notOk(cb.recordFailure(key), 'success while half-open closes the circuit');
+  t.end();
+});
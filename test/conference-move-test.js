@@ -0,0 +1,168 @@
+const test = require('tape');
+const makeTask = require('../lib/tasks/make_task');
+const sessionTracker = require('../lib/session/session-tracker');
+const {createRedisMock, createDbHelpersMock} = require('./utils/redis-mock');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+/* an in-memory stand-in for the conferences on a freeswitch */
+const makeFreeswitch = () => {
+  const conferences = new Map();
+  let nextMemberId = 1;
+  let nextUuid = 1;
+  const conference = (name) => {
+    if (!conferences.has(name)) {
+      conferences.set(name, {uuid: `00000000-0000-0000-0000-${`${nextUuid++}`.padStart(12, '0')}`, members: []});
+    }
+    return conferences.get(name);
+  };
+  const api = (epUuid) => async(cmd, [name, action, ...args]) => {
+    switch (action) {
+      case 'transfer': {
+        const [dest, memberId] = args;
+        const conf = conference(name);
+        conf.members = conf.members.filter((m) => m.id !== memberId);
+        if (0 === conf.members.length) conferences.delete(name);
+        conference(dest).members.push({id: nextMemberId++, epUuid});
+        return {body: '+OK'};
+      }
+      case 'list':
+        return {body: (conferences.get(name)?.members || []).map((m) => `${m.id};sofia/x;${m.epUuid}`).join('\n')};
+      case 'get': {
+        const conf = conferences.get(name);
+        if (!conf) return {body: `Conference ${name} not found`};
+        return {body: args[0] === 'count' ? `${conf.members.length}` : conf.uuid};
+      }
+      default:
+        return {body: '+OK'};
+    }
+  };
+  const join = (confName, epUuid) => {
+    const member = {id: nextMemberId++, epUuid};
+    conference(confName).members.push(member);
+    return {memberId: member.id, confUuid: conference(confName).uuid};
+  };
+  return {conferences, api, join};
+};
+
+/* a participant that has joined the main conference on this feature server */
+const makeParticipant = (fs, callSid, dbHelpers = createDbHelpersMock(createRedisMock(), logger)) => {
+  const task = makeTask(logger, {conference: {name: 'main'}});
+  const filters = [];
+  task.ep = {
+    uuid: `ep-${callSid}`,
+    api: fs.api(`ep-${callSid}`),
+    filter: (name, value) => filters.push(value),
+    conn: {filterDelete: (name, value) => filters.splice(filters.indexOf(value), 1)}
+  };
+  const {memberId, confUuid} = fs.join('conf:AC1:main', task.ep.uuid);
+  Object.assign(task, {memberId, confUuid, confName: 'conf:AC1:main', friendlyName: 'main'});
+  task.mainConfName = task.confName;
+  task.mainFriendlyName = task.friendlyName;
+  filters.push(confUuid);
+  const cs = {
+    callSid,
+    accountSid: 'AC1',
+    srf: {locals: {localSipAddress: '10.0.0.1', dbHelpers}},
+    currentTask: task,
+    memberId,
+    confName: task.confName,
+    confUuid,
+    get isInConference() {
+      return this.memberId && this.confName && this.confUuid;
+    },
+    clearConferenceDetails() {
+      this.memberId = this.confName = this.confUuid = null;
+    },
+    setConferenceDetails(memberId, confName, confUuid) {
+      Object.assign(this, {memberId, confName, confUuid});
+    }
+  };
+  return {task, cs, filters, dbHelpers};
+};
+
+/* a conference event, as received over the event socket */
+const makeEvent = (headers) => ({getHeader: (name) => headers[name]});
+
+test('conference participants are moved to breakout rooms and recalled', async(t) => {
+  const fs = makeFreeswitch();
+  const alice = makeParticipant(fs, 'CS-alice');
+  const bob = makeParticipant(fs, 'CS-bob', alice.dbHelpers);
+  const {retrieveHash} = alice.dbHelpers;
+  sessionTracker.sessions.set('CS-alice', alice.cs);
+  sessionTracker.sessions.set('CS-bob', bob.cs);
+
+  try {
+    await alice.task.moveToConference(alice.cs, 'room1');
+    const room = fs.conferences.get('conf:AC1:room1');
+    t.equal(alice.task.confName, 'conf:AC1:room1', 'participant is moved to the breakout room');
+    t.equal(alice.task.confUuid, room.uuid, 'participant follows the events of the breakout room');
+    t.deepEqual(alice.filters, [room.uuid], 'events are filtered by the breakout room uuid only');
+    t.equal((await retrieveHash('conf:AC1:room1')).sipAddress, '10.0.0.1', 'breakout room is provisioned');
+    t.deepEqual([alice.cs.memberId, alice.cs.confUuid], [room.members[0].id, room.uuid], 'session is updated');
+    t.ok(alice.task.isInBreakout, 'participant is in a breakout room');
+
+    await bob.task.recallBreakoutRooms(bob.cs);
+    const main = fs.conferences.get('conf:AC1:main');
+    t.equal(alice.task.confName, 'conf:AC1:main', 'participant is recalled to the main conference');
+    t.equal(alice.cs.confUuid, main.uuid, 'session is back in the main conference');
+    t.equal(main.members.length, 2, 'all participants are in the main conference');
+    t.notOk(fs.conferences.has('conf:AC1:room1'), 'breakout room is empty');
+    t.equal(await retrieveHash('conf:AC1:room1'), null, 'breakout room is deprovisioned');
+    t.deepEqual(alice.filters, [main.uuid], 'events are filtered by the main conference uuid only');
+  } finally {
+    sessionTracker.sessions.clear();
+  }
+  t.end();
+});
+
+test('conference participant stays put when the breakout room uuid cannot be read', async(t) => {
+  const fs = makeFreeswitch();
+  const alice = makeParticipant(fs, 'CS-alice');
+  const {api} = alice.task.ep;
+  alice.task.ep.api = async(cmd, args) => (args[0] === 'conf:AC1:room1' && args[2] === 'uuid' ?
+    {body: '-ERR'} : api(cmd, args));
+
+  await alice.task.moveToConference(alice.cs, 'room1');
+  const main = fs.conferences.get('conf:AC1:main');
+  t.equal(alice.task.confName, 'conf:AC1:main', 'participant remains in the main conference');
+  t.equal(alice.task.confUuid, main.uuid, 'participant keeps following the main conference events');
+  t.deepEqual(main.members.map((m) => m.epUuid), ['ep-CS-alice'], 'participant is transferred back');
+  t.equal(alice.cs.memberId, main.members[0].id, 'session has the new member id');
+  t.deepEqual(alice.filters, [main.uuid], 'events are filtered by the main conference uuid only');
+  t.equal(await alice.dbHelpers.retrieveHash('conf:AC1:room1'), null, 'breakout room is not left provisioned');
+  t.end();
+});
+
+test('conference participant cannot move to a breakout room hosted elsewhere', async(t) => {
+  const fs = makeFreeswitch();
+  const alice = makeParticipant(fs, 'CS-alice');
+  await alice.dbHelpers.createHash('conf:AC1:room1', {sipAddress: '10.0.0.2', startTime: Date.now()});
+
+  await alice.task.moveToConference(alice.cs, 'room1');
+  const main = fs.conferences.get('conf:AC1:main');
+  t.equal(alice.task.confName, 'conf:AC1:main', 'participant remains in the main conference');
+  t.equal(alice.task.confUuid, main.uuid, 'participant keeps following the main conference events');
+  t.notOk(fs.conferences.has('conf:AC1:room1'), 'participant is not transferred');
+  t.end();
+});
+
+test('conference participant is only dropped by the conference it is in', async(t) => {
+  const fs = makeFreeswitch();
+  const alice = makeParticipant(fs, 'CS-alice');
+  let ended = false;
+  alice.task.replaceEndpointAndEnd = () => ended = true;
+  const {memberId, confUuid} = alice.task;
+
+  alice.task._onDelMember(logger, alice.cs, makeEvent({
+    'Member-ID': `${memberId}`, 'Conference-Size': '1', 'Conference-Unique-ID': 'some-other-conference'
+  }));
+  t.notOk(ended, 'member leaving another conference does not end the task');
+
+  alice.task._onDelMember(logger, alice.cs, makeEvent({
+    'Member-ID': `${memberId}`, 'Conference-Size': '1', 'Conference-Unique-ID': confUuid
+  }));
+  t.ok(ended, 'member dropped from the conference ends the task');
+  t.end();
+});
@@ -0,0 +1,71 @@
+const test = require('tape');
+const makeTask = require('../lib/tasks/make_task');
+const {createRedisMock} = require('./utils/redis-mock');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+const makeMember = (client, reports, callSid, memberId, {remaining}) => {
+  const task = makeTask(logger, {
+    conference: {
+      name: 'room',
+      record: {perParticipant: true, participantPath: 's3://recordings/{callSid}.mp3'},
+      recordingStatusHook: '/recordings'
+    }
+  });
+  task.confName = 'conf:AC1:room';
+  task.memberId = memberId;
+  task.ep = {
+    uuid: `ep-${callSid}`,
+    api: async(cmd, args) => ({body: Array.isArray(args) && args[2] === 'count' ? `${remaining()}` : '+OK'})
+  };
+  const cs = {
+    callSid,
+    callInfo: {toJSON: () => ({callSid})},
+    application: {requestor: {request: async(type, hook, params) => reports.push({callSid, hook, params})}},
+    srf: {locals: {dbHelpers: {client, deleteKey: async(key) => client.del(key)}}}
+  };
+  return {task, cs};
+};
+
+test('per-participant conference recordings are reported when the last one completes', async(t) => {
+  const client = createRedisMock();
+  const reports = [];
+  let members = 2;
+  const remaining = () => members;
+  const alice = makeMember(client, reports, 'CS-alice', 1, {remaining});
+  const bob = makeMember(client, reports, 'CS-bob', 2, {remaining});
+
+  t.ok(alice.task.shouldRecordParticipant, 'conference verb with per-participant recording is accepted');
+  await alice.task._startParticipantRecording(alice.cs);
+  await bob.task._startParticipantRecording(bob.cs);
+  t.equal(client.data.get('conf:AC1:room:recording-state').get('active'), '2', 'both recordings are in progress');
+
+  /* alice is the last member to leave, but bob's recording has not been written yet */
+  members = 1;
+  await alice.task._doFinalMemberCheck(alice.cs);
+  t.equal(reports.length, 0, 'recordings are not reported while one is still in progress');
+
+  members = 0;
+  await bob.task._doFinalMemberCheck(bob.cs);
+  t.equal(reports.length, 1, 'recordings are reported once, when the last recording completes');
+  const [{hook, params}] = reports;
+  t.equal(hook, '/recordings', 'reported to the recordingStatusHook');
+  t.equal(params.event, 'recording-complete', 'recording-complete event');
+  t.deepEqual(params.recordings.map((r) => r.path).sort(),
+    ['s3://recordings/CS-alice.mp3', 's3://recordings/CS-bob.mp3'], 'each participant recording is reported');
+  t.notOk(client.data.has('conf:AC1:room:recordings'), 'recording list is removed once reported');
+  t.end();
+});
+
+test('conference recordings are reported when the conference ends after the last recording', async(t) => {
+  const client = createRedisMock();
+  const reports = [];
+  const alice = makeMember(client, reports, 'CS-alice', 1, {remaining: () => 1});
+
+  await alice.task._startParticipantRecording(alice.cs);
+  await alice.task._doFinalMemberCheck(alice.cs);
+  t.equal(reports.length, 1, 'recordings are reported as the conference ends');
+  t.equal(reports[0].params.recordings[0].callSid, 'CS-alice', 'recording details');
+  t.end();
+});
@@ -0,0 +1,124 @@
+const test = require('tape');
+const express = require('express');
+const proxyquire = require('proxyquire').noCallThru();
+const makeTask = require('../lib/tasks/make_task');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+/* a call that is a participant in a conference, with the conference methods it is asked to call recorded */
+const calls = [];
+const METHODS = [
+  'doConferenceMute', 'doConferenceHold', 'kickMember', 'setMemberTag', 'clearMemberTag', 'setCoachMode',
+  'clearCoachMode', 'doConferenceRecordingAction', 'moveToConference', 'recallBreakoutRooms'
+];
+const makeParticipant = (callSid, name, opts = {}) => {
+  const task = makeTask(logger, {conference: {name, ...opts}});
+  Object.assign(task, {friendlyName: name, memberId: callSid.slice(-1), conferenceStartTime: new Date(0)});
+  const cs = {callSid, accountSid: 'AC1', currentTask: task, isInConference: true};
+  METHODS.forEach((method) => task[method] = async(...args) => calls.push([method, ...args]));
+  return cs;
+};
+
+const sessions = new Map();
+const router = proxyquire('../lib/http-routes/api/conferences', {
+  '../../session/session-tracker': {sessions}
+});
+
+const start = () => new Promise((resolve) => {
+  const app = express();
+  app.locals.logger = logger;
+  app.use(express.json());
+  app.use('/conferences', router);
+  const server = app.listen(0, () => resolve(server));
+});
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('conference participant details', (t) => {
+  const task = makeTask(logger, {conference: {name: 'room', startConferenceOnEnter: true, joinMuted: true}});
+  Object.assign(task, {memberId: 7, memberTag: 'supervisors', conf_hold_status: 'hold'});
+  t.deepEqual(task.getParticipantDetails({callSid: 'CS1'}), {
+    callSid: 'CS1',
+    memberId: 7,
+    muted: true,
+    hold: true,
+    talking: false,
+    moderator: true,
+    tag: 'supervisors'
+  }, 'describes the participant');
+
+  Object.assign(task, {mainConfName: 'conf:AC1:main', mainFriendlyName: 'main', memberTag: null});
+  task.speakOnlyTo = 'agents';
+  const details = task.getParticipantDetails({callSid: 'CS1'});
+  t.deepEqual([details.breakoutFrom, details.speakOnlyTo, details.tag], ['main', 'agents', undefined],
+    'describes a participant in a breakout room that is being coached');
+  t.end();
+});
+
+test('conferences api', async(t) => {
+  sessions.set('CS1', makeParticipant('CS1', 'room', {startConferenceOnEnter: true}));
+  sessions.set('CS2', makeParticipant('CS2', 'room'));
+  sessions.set('CS3', makeParticipant('CS3', 'other'));
+  const server = await start();
+  const base = `http://127.0.0.1:${server.address().port}/conferences/AC1`;
+  const post = (path, body) => fetch(`${base}/${path}`, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify(body)
+  });
+  try {
+    let res = await fetch(base);
+    t.deepEqual((await res.json()).map((c) => [c.name, c.participantCount]), [['room', 2], ['other', 1]],
+      'conferences are listed');
+
+    res = await fetch(`${base}/room`);
+    t.deepEqual((await res.json()).participants.map((p) => [p.callSid, p.moderator]),
+      [['CS1', true], ['CS2', false]], 'conference roster lists the participants');
+
+    res = await fetch(`${base}/nowhere`);
+    t.equal(res.status, 404, 'unknown conference');
+
+    const cs = sessions.get('CS2');
+    const expected = {
+      mute: ['doConferenceMute', cs, {conf_mute_status: 'mute'}],
+      unmute: ['doConferenceMute', cs, {conf_mute_status: 'unmute'}],
+      kick: ['kickMember', cs],
+      hold: ['doConferenceHold', cs, {conf_hold_status: 'hold', wait_hook: '/hold-music'}],
+      unhold: ['doConferenceHold', cs, {conf_hold_status: 'unhold'}],
+      tag: ['setMemberTag', 'supervisors'],
+      untag: ['clearMemberTag'],
+      coach: ['setCoachMode', 'supervisors'],
+      uncoach: ['clearCoachMode'],
+      startRecording: ['doConferenceRecordingAction', cs, 'startRecording', 'both'],
+      stopRecording: ['doConferenceRecordingAction', cs, 'stopRecording', 'both'],
+      pauseRecording: ['doConferenceRecordingAction', cs, 'pauseRecording', 'both'],
+      resumeRecording: ['doConferenceRecordingAction', cs, 'resumeRecording', 'both'],
+      breakout: ['moveToConference', cs, 'room2'],
+      recall: ['recallBreakoutRooms', cs]
+    };
+    const params = {tag: 'supervisors', wait_hook: '/hold-music', track: 'both', conference: 'room2'};
+    for (const [action, call] of Object.entries(expected)) {
+      calls.length = 0;
+      res = await post('room/CS2', {action, ...params});
+      await waitFor(10);
+      t.equal(res.status, 202, `${action} is accepted`);
+      t.deepEqual(calls, [call], `${action} calls ${call[0]}`);
+    }
+
+    calls.length = 0;
+    res = await post('room/CS3', {action: 'mute'});
+    t.equal(res.status, 404, 'participant in a different conference');
+    res = await post('room/CS4', {action: 'mute'});
+    t.equal(res.status, 404, 'unknown participant');
+    res = await post('room/CS2', {action: 'shout'});
+    t.equal(res.status, 400, 'unknown action');
+    res = await post('room/CS2', {action: 'coach'});
+    t.equal(res.status, 400, 'coach requires a tag');
+    t.equal(calls.length, 0, 'no action is taken on a bad request');
+  } finally {
+    sessions.clear();
+    server.close();
+  }
+  t.end();
+});
@@ -334,6 +334,34 @@ INSERT INTO `applications` VALUES ('0dddaabf-0a30-43e3-84e8-426873b1a78b','decli
 /*!40000 ALTER TABLE `applications` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- verbs to execute if the call_hook or an actionHook fails, see lib/utils/hook-fallback.js
+--
+
+ALTER TABLE `applications` ADD COLUMN `hook_fallback` text DEFAULT NULL
+  COMMENT 'JSON array of verbs, or {verbs, timeout}, to execute if a webhook fails or times out';
+
+--
+-- app server to fail over to if the call_hook is unavailable, see lib/utils/base-requestor.js
+--
+
+ALTER TABLE `applications` ADD COLUMN `fallback_url` varchar(255) DEFAULT NULL
+  COMMENT 'url to send the call_hook request to if the call_hook url is unavailable';
+
+--
+-- client certificates for mutual TLS to app servers, see lib/utils/webhook-tls.js
+--
+
+ALTER TABLE `accounts`
+  ADD COLUMN `webhook_client_cert` text DEFAULT NULL COMMENT 'PEM client certificate presented to app servers',
+  ADD COLUMN `webhook_client_key` text DEFAULT NULL COMMENT 'PEM private key for the client certificate, may be encrypted',
+  ADD COLUMN `webhook_ca_bundle` text DEFAULT NULL COMMENT 'PEM CA bundle used to verify app servers';
+
+ALTER TABLE `applications`
+  ADD COLUMN `webhook_client_cert` text DEFAULT NULL COMMENT 'PEM client certificate presented to app servers',
+  ADD COLUMN `webhook_client_key` text DEFAULT NULL COMMENT 'PEM private key for the client certificate, may be encrypted',
+  ADD COLUMN `webhook_ca_bundle` text DEFAULT NULL COMMENT 'PEM CA bundle used to verify app servers';
+
 --
 -- Table structure for table `beta_invite_codes`
 --
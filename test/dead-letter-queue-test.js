@@ -0,0 +1,202 @@
+const test = require('tape');
+const proxyquire = require('proxyquire').noCallThru();
+const {computeBackoff} = require('../lib/utils/dead-letter-queue');
+const {createRedisMock} = require('./utils/redis-mock');
+
+test('dead letter retry backoff', (t) => {
+  t.equal(computeBackoff(1, 1000, 60000), 1000, 'first retry after the base delay');
+  t.equal(computeBackoff(2, 1000, 60000), 2000, 'delay doubles');
+  t.equal(computeBackoff(4, 1000, 60000), 8000, 'delay doubles with each attempt');
+  t.equal(computeBackoff(10, 1000, 60000), 60000, 'delay is capped');
+  t.equal(computeBackoff(0, 1000, 60000), 1000, 'never less than the base delay');
+  t.end();
+});
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+const client = createRedisMock();
+const sessions = new Map();
+const srf = {
+  locals: {
+    serviceUrl: 'http://10.0.0.1:3000',
+    dbHelpers: {
+      client,
+      lookupAccountBySid: async() => ({account_sid: 'AC1', webhook_secret: 'secret'}),
+      lookupAppBySid: async() => ({
+        application_sid: 'AP1',
+        call_hook: {url: 'wss://app.example.com/ws'},
+        call_status_hook: {url: 'https://app.example.com/status', username: 'daveh', password: 'xyz'}
+      })
+    }
+  }
+};
+
+/* the webhooks delivered by retries, and whether the app server is up */
+const delivered = [];
+let appServerUp = false;
+class HttpRequestor {
+  async request(type, hook, payload) {
+    if (!appServerUp) throw new Error('connect ECONNREFUSED');
+    delivered.push({type, hook, payload});
+  }
+  close() {}
+}
+
+const {DeadLetterQueue} = proxyquire('../lib/utils/dead-letter-queue', {
+  '../../app': {logger, srf},
+  './http-requestor': HttpRequestor,
+  '../session/session-tracker': {get: (callSid) => sessions.get(callSid)},
+  './webhook-tls': {getWebhookTls: noop, withWebhookTls: (hook) => hook},
+  '../config': {...require('../lib/config'), JAMBONES_DEAD_LETTER_MAX_ATTEMPTS: 3, JAMBONES_DEAD_LETTER_TTL_SECS: 600}
+});
+
+const notifier = {url: 'https://app.example.com/status', username: 'daveh', password: 'xyz'};
+const callStatus = {
+  accountSid: 'AC1',
+  applicationSid: 'AP1',
+  callSid: 'CS1',
+  type: 'call:status',
+  requestor: notifier,
+  hook: {url: 'https://app.example.com/status', method: 'POST', username: 'daveh', password: 'xyz'},
+  payload: {call_sid: 'CS1', call_status: 'completed'},
+  err: new Error('connect ECONNREFUSED')
+};
+
+/* make every pending retry due now */
+const makeDue = () => {
+  for (const [key, members] of client.data) {
+    if (key.startsWith('dead-letter-retry')) members.forEach((score, member) => members.set(member, 0));
+  }
+};
+
+test('undeliverable notifications are saved without credentials', async(t) => {
+  const dlq = new DeadLetterQueue({retry: true});
+  const entry = await dlq.add(callStatus);
+  dlq.stop();
+
+  const saved = await dlq.retrieve('AC1', entry.id);
+  t.equal(saved.status, 'pending', 'notification is pending a retry');
+  t.deepEqual(saved.hook, {url: 'https://app.example.com/status', method: 'POST', auth: true},
+    'credentials are not saved, only that they are needed');
+  t.notOk(JSON.stringify([...client.data.get('dead-letter:AC1').values()]).includes('xyz'),
+    'password is not stored in redis');
+  t.equal(client.ttls.get('dead-letter:AC1'), 600, 'entries expire');
+  t.deepEqual((await dlq.list('AC1')).map((e) => e.hook), [{url: 'https://app.example.com/status', method: 'POST'}],
+    'listed entries do not expose the target\'s auth');
+
+  appServerUp = true;
+  makeDue();
+  await dlq.retryDue();
+  appServerUp = false;
+  t.equal(delivered.length, 1, 'notification is delivered when retried');
+  t.deepEqual(delivered[0].hook, {
+    url: 'https://app.example.com/status', method: 'POST', username: 'daveh', password: 'xyz'
+  }, 'credentials are looked up when retrying');
+  t.equal(await dlq.retrieve('AC1', entry.id), null, 'delivered notification is removed');
+  t.end();
+});
+
+test('notifications are retried until the maximum number of attempts', async(t) => {
+  const dlq = new DeadLetterQueue({retry: true});
+  const {id} = await dlq.add(callStatus);
+  dlq.stop();
+
+  makeDue();
+  await dlq.retryDue();
+  let entry = await dlq.retrieve('AC1', id);
+  t.deepEqual([entry.attempts, entry.status], [2, 'pending'], 'failed retry is rescheduled');
+  t.ok(entry.nextAttemptAt > Date.now(), 'with a backoff');
+
+  makeDue();
+  await dlq.retryDue();
+  entry = await dlq.retrieve('AC1', id);
+  t.deepEqual([entry.attempts, entry.status], [3, 'failed'], 'notification fails after the last attempt');
+  t.notOk(client.data.get('dead-letter-retry').size, 'failed notification is no longer retried');
+  await dlq.remove('AC1', id);
+  t.end();
+});
+
+test('verb:status sent over a websocket is retried over the call\'s session', async(t) => {
+  const dlq = new DeadLetterQueue({retry: true});
+  const sent = [];
+  const requestor = {
+    url: 'wss://app.example.com/ws',
+    baseUrl: 'wss://app.example.com',
+    request: async(type, hook, payload) => sent.push({type, hook, payload})
+  };
+  const verbStatus = {
+    accountSid: 'AC1', applicationSid: 'AP1', callSid: 'CS2', type: 'verb:status', requestor, hook: '/status',
+    payload: {id: 'abc', event: 'finished'}, err: new Error('socket closed')
+  };
+  const {id} = await dlq.add(verbStatus);
+  dlq.stop();
+  t.equal(client.data.get('dead-letter-retry:http://10.0.0.1:3000').size, 1,
+    'retried by the feature server holding the call');
+
+  sessions.set('CS2', {requestor});
+  makeDue();
+  await dlq.retryDue();
+  t.deepEqual(sent, [{type: 'verb:status', hook: 'wss://app.example.com/status', payload: verbStatus.payload}],
+    'notification is delivered over the session');
+  t.equal(await dlq.retrieve('AC1', id), null, 'delivered notification is removed');
+
+  const {id: id2} = await dlq.add(verbStatus);
+  dlq.stop();
+  sessions.delete('CS2');
+  makeDue();
+  await dlq.retryDue();
+  t.equal((await dlq.retrieve('AC1', id2)).status, 'failed', 'notification fails once the call has ended');
+  t.end();
+});
+
+test('notifications are not retried unless enabled', async(t) => {
+  const dlq = new DeadLetterQueue({retry: false});
+  const {id} = await dlq.add(callStatus);
+  t.equal((await dlq.retrieve('AC1', id)).status, 'failed', 'notification is saved for replay only');
+  t.notOk(dlq._timer, 'retries are not started');
+  t.end();
+});
+
+test('notifications are retried unless disabled', (t) => {
+  const retryEnabled = () => proxyquire('../lib/config', {}).JAMBONES_DEAD_LETTER_RETRY;
+  const disabled = process.env.JAMBONES_DISABLE_DEAD_LETTER_RETRY;
+  try {
+    delete process.env.JAMBONES_DISABLE_DEAD_LETTER_RETRY;
+    t.ok(retryEnabled(), 'retries are enabled by default');
+    process.env.JAMBONES_DISABLE_DEAD_LETTER_RETRY = '1';
+    t.notOk(retryEnabled(), 'retries can be disabled');
+  } finally {
+    if (disabled === undefined) delete process.env.JAMBONES_DISABLE_DEAD_LETTER_RETRY;
+    else process.env.JAMBONES_DISABLE_DEAD_LETTER_RETRY = disabled;
+  }
+  t.end();
+});
+
+test('dead letters api retrieves a notification without credentials', async(t) => {
+  const express = require('express');
+  const dlq = new DeadLetterQueue({retry: false});
+  const router = proxyquire('../lib/http-routes/api/dead-letters', {
+    '../../utils/dead-letter-queue': Object.assign(dlq, {redact: require('../lib/utils/dead-letter-queue').redact})
+  });
+  const app = express();
+  app.locals.logger = logger;
+  app.use('/dead-letters', router);
+  const server = await new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/dead-letters/AC1`;
+  try {
+    const {id} = await dlq.add(callStatus);
+    let res = await fetch(`${base}/${id}`);
+    t.equal(res.status, 200, 'notification is retrieved');
+    const entry = await res.json();
+    t.deepEqual([entry.id, entry.payload], [id, callStatus.payload], 'notification is returned');
+    t.deepEqual(entry.hook, {url: 'https://app.example.com/status', method: 'POST'}, 'credentials are not returned');
+
+    res = await fetch(`${base}/not-an-id`);
+    t.equal(res.status, 404, 'unknown notification');
+  } finally {
+    server.close();
+  }
+  t.end();
+});
@@ -0,0 +1,133 @@
+const test = require('tape');
+const Emitter = require('events');
+const proxyquire = require('proxyquire');
+const sessionTracker = require('../lib/session/session-tracker');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+sessionTracker._logger = logger;
+
+/* an endpoint that tracks what it is bridged to */
+const makeEndpoint = (uuid) => ({
+  uuid,
+  bridgedTo: null,
+  local: {sdp: 'v=0\r\n'},
+  async bridge(other) {
+    this.bridgedTo = other;
+    other.bridgedTo = this;
+  },
+  async unbridge() {
+    if (this.bridgedTo) this.bridgedTo.bridgedTo = null;
+    this.bridgedTo = null;
+  },
+  playing: null,
+  async play(file) {
+    this.playing = file;
+  },
+  async api(cmd) {
+    if (cmd === 'uuid_break') this.playing = null;
+  }
+});
+
+/* a call leg placed by the dial verb */
+const makeCallLeg = (callSid) => {
+  const sd = new Emitter();
+  Object.assign(sd, {callSid, ep: makeEndpoint(`ep-${callSid}`), dlg: new Emitter(), killed: false});
+  sd.kill = () => {
+    sd.killed = true;
+  };
+  return sd;
+};
+
+const placed = [];
+const TaskDial = proxyquire('../lib/tasks/dial', {
+  '../utils/place-outdial': () => {
+    const sd = makeCallLeg(`CS-target-${placed.length + 1}`);
+    placed.push(sd);
+    return sd;
+  }
+});
+
+/* a caller connected to an agent by a dial verb */
+const setup = () => {
+  const reports = [];
+  const task = new TaskDial(logger, {
+    target: [{type: 'phone', number: '15083084809'}],
+    anchorMedia: true,
+    transferHook: '/transfer'
+  });
+  const cs = {
+    srf: {locals: {getSBC: () => '10.0.0.1'}},
+    getMS: async() => ({}),
+    callInfo: {from: '15551234567', toJSON: () => ({call_sid: 'CS-caller'})},
+    requestor: {request: async(type, hook, params) => reports.push(params.transfer_status)}
+  };
+  const agent = makeCallLeg('CS-agent');
+  task.cs = cs;
+  task.sd = agent;
+  task.epOther = makeEndpoint('ep-caller');
+  task.getTracingPropagation = noop;
+  task.epOther.bridge(agent.ep);
+  return {task, cs, agent, reports};
+};
+
+test('dial verb accepts a transferHook', (t) => {
+  const makeTask = require('../lib/tasks/make_task');
+  const task = makeTask(logger, {dial: {target: [{type: 'phone', number: '15083084809'}], transferHook: '/transfer'}});
+  t.equal(task.data.transferHook, '/transfer', 'parsed dial with transferHook');
+  t.end();
+});
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('attended transfer returns to the caller when the consult call fails', async(t) => {
+  const {task, cs, agent, reports} = setup();
+  await task.doAttendedTransfer(cs, {action: 'consult', target: {type: 'phone', number: '15083084810'}});
+  const target = placed[placed.length - 1];
+  t.equal(task.epOther.bridgedTo, null, 'caller is on hold while consulting');
+  t.ok(task.epOther.playing.startsWith('tone_stream://'), 'caller hears a hold tone when there is no music on hold');
+
+  target.emit('callStatusChange', {callStatus: 'busy'});
+  await waitFor(10);
+  t.equal(task.transfer, null, 'transfer is over');
+  t.equal(task.epOther.bridgedTo, agent.ep, 'caller is connected back to the agent');
+  t.equal(task.epOther.playing, null, 'hold tone is stopped');
+  t.deepEqual(reports, ['consult-dialing', 'consult-failed'], 'failure is reported to the transferHook');
+  t.end();
+});
+
+test('attended transfer can be cancelled', async(t) => {
+  const {task, cs, agent, reports} = setup();
+  cs.onHoldMusic = 'https://example.com/hold.mp3';
+  await task.doAttendedTransfer(cs, {action: 'consult', target: {type: 'phone', number: '15083084810'}});
+  t.equal(task.epOther.playing, cs.onHoldMusic, 'caller hears the music on hold');
+  const target = placed[placed.length - 1];
+  target.emit('accept');
+  await waitFor(10);
+  t.equal(agent.ep.bridgedTo, target.ep, 'agent is talking to the transfer target');
+
+  await task.doAttendedTransfer(cs, {action: 'cancel'});
+  t.ok(target.killed, 'consult call is hung up');
+  t.equal(task.epOther.bridgedTo, agent.ep, 'caller is connected back to the agent');
+  t.equal(task.sd, agent, 'agent remains the called party');
+  t.deepEqual(reports, ['consult-dialing', 'consult-answered', 'cancelled'], 'reported to the transferHook');
+  t.end();
+});
+
+test('agent hanging up during a consult completes the transfer', async(t) => {
+  const {task, cs, agent, reports} = setup();
+  await task.doAttendedTransfer(cs, {action: 'consult', target: {type: 'phone', number: '15083084810'}});
+  const target = placed[placed.length - 1];
+  target.emit('accept');
+  await waitFor(10);
+
+  task._onCalledPartyHangup(cs, agent);
+  await waitFor(10);
+  t.equal(task.epOther.bridgedTo, target.ep, 'caller is connected to the transfer target');
+  t.equal(task.sd, target, 'transfer target is now the called party');
+  t.equal(task.results.dialCallSid, target.callSid, 'dial results refer to the transfer target');
+  t.ok(sessionTracker.get(target.callSid) === cs && !sessionTracker.get(agent.callSid), 'sessions are tracked');
+  t.deepEqual(reports, ['consult-dialing', 'consult-answered', 'completed'], 'reported to the transferHook');
+  sessionTracker.sessions.clear();
+  t.end();
+});
@@ -0,0 +1,148 @@
+const test = require('tape');
+const proxyquire = require('proxyquire').noCallThru();
+const {createRedisMock, createDbHelpersMock} = require('./utils/redis-mock');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop, warn: noop};
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* the prompts played to the caller, in place of executing them */
+const played = [];
+class ConfirmCallSession {
+  constructor({tasks}) {
+    this.tasks = tasks;
+  }
+  async exec() {
+    played.push(...this.tasks.map((t) => t.say.text));
+    await sleep(5);
+  }
+  kill() {}
+}
+
+const TaskEnqueue = proxyquire('../lib/tasks/enqueue', {
+  '../session/confirm-call-session': ConfirmCallSession,
+  './make_task': (logger, obj) => obj
+});
+
+/* queues in an in-memory redis, seeded with callers that joined in the past */
+const makeQueues = (initial = {}) => {
+  const client = createRedisMock();
+  const joined = Date.now() - 60000;
+  Object.entries(initial).forEach(([name, urls]) => {
+    urls.forEach((url, i) => client.zadd(name, 999, `${joined + i}:${url}`));
+  });
+  return {client, dbHelpers: createDbHelpersMock(client, logger)};
+};
+
+const makeCallSession = (dbHelpers, callSid = 'CS-caller') => ({
+  callSid,
+  accountSid: 'AC1',
+  callInfo: {from: '15083084809', to: '15083084800'},
+  application: {application_sid: 'AP1'},
+  srf: {locals: {serviceUrl: 'http://10.0.0.1:3000', dbHelpers}},
+  performQueueWebhook: noop
+});
+
+const makeEp = () => ({on: noop, removeListener: noop, play: async() => {}});
+
+test('enqueue announces position and estimated wait time', async(t) => {
+  const {dbHelpers, client} = makeQueues({
+    'queue:AC1:support': ['http://10.0.0.2:3000/v1/enqueue/CS-1', 'http://10.0.0.2:3000/v1/enqueue/CS-2']
+  });
+  const cs = makeCallSession(dbHelpers);
+  const task = new TaskEnqueue(logger, {name: 'support', announce: {interval: 0.05}});
+  task.queueName = 'queue:AC1:support';
+  played.length = 0;
+
+  await task._addToQueue(cs);
+  const waiting = task._doWait(cs, {}, makeEp());
+  await sleep(20);
+  t.deepEqual(played, ['You are number 3 in the queue.'], 'position is announced when the caller joins');
+
+  await client.rpush('queue-stats:AC1:support',
+    JSON.stringify({time: 0, waitTime: 60}),
+    JSON.stringify({time: 60000, waitTime: 60}));
+  await sleep(60);
+  t.equal(played.length, 2, 'announcement is repeated at the interval');
+  t.equal(played[1], 'You are number 3 in the queue. Your estimated wait time is 3 minutes.',
+    'estimated wait time is announced once there is dequeue history');
+
+  task.kill(cs);
+  await waiting;
+  const count = played.length;
+  await sleep(80);
+  t.equal(played.length, count, 'announcements stop when the caller leaves the queue');
+  t.end();
+});
+
+/* run the enqueue verb, recording the result it reports to the application */
+const runEnqueue = (cs, data) => {
+  const task = new TaskEnqueue(logger, data);
+  const results = [];
+  task.performAction = async function() {
+    results.push({queueResult: this.state, queue: this.queueShortName, actionHook: this.actionHook});
+  };
+  const done = task.exec({...cs, dlg: {}}, {ep: makeEp()});
+  return {task, results, done};
+};
+
+test('enqueue maxWaitTime', async(t) => {
+  const {dbHelpers, client} = makeQueues();
+  const events = [];
+  const cs = {...makeCallSession(dbHelpers), performQueueWebhook: (evt) => events.push(evt)};
+  const {task, results, done} = runEnqueue(cs, {name: 'support', maxWaitTime: 0.05});
+  await sleep(20);
+  t.equal(await client.zcard('queue:AC1:support'), 1, 'caller is waiting in queue');
+  await done;
+  t.equal(task.killReason, 'queue-timeout', 'task is killed with a timeout reason');
+  t.deepEqual(results.map((r) => r.queueResult), ['timeout'], 'caller leaves with a timeout result');
+  t.equal(await client.zcard('queue:AC1:support'), 0, 'caller is removed from the queue');
+  t.equal(events.pop().leaveReason, 'timeout', 'leave event reports the timeout');
+  t.end();
+});
+
+test('enqueue maxQueueSize and overflow', async(t) => {
+  const full = (name, n) => ({[`queue:AC1:${name}`]: [...Array(n).keys()].map((i) => `http://x/v1/enqueue/${name}${i}`)});
+
+  let {dbHelpers, client} = makeQueues(full('support', 2));
+  let run = runEnqueue(makeCallSession(dbHelpers), {
+    name: 'support', maxQueueSize: 2, overflow: {actionHook: '/queue-full'}
+  });
+  await run.done;
+  t.deepEqual(run.results, [{queueResult: 'full', queue: 'support', actionHook: '/queue-full'}],
+    'caller is not enqueued when the queue is full');
+
+  ({dbHelpers, client} = makeQueues(full('support', 2)));
+  run = runEnqueue(makeCallSession(dbHelpers), {name: 'support', maxQueueSize: 2, overflow: {queue: 'backup'}});
+  await sleep(20);
+  t.equal(await client.zcard('queue:AC1:backup'), 1, 'caller overflows to another queue');
+  run.task.kill(run.task.cs);
+  await run.done;
+  t.equal(run.results[0].queue, 'backup', 'result is reported for the overflow queue');
+
+  ({dbHelpers, client} = makeQueues({...full('support', 2), ...full('backup', 3)}));
+  run = runEnqueue(makeCallSession(dbHelpers), {
+    name: 'support', maxQueueSize: 2, overflow: {queue: 'backup', maxQueueSize: 3}
+  });
+  await run.done;
+  t.equal(run.results[0].queueResult, 'full', 'caller is not enqueued when the overflow queue is also full');
+  t.equal(await client.zcard('queue:AC1:backup'), 3, 'overflow queue is unchanged');
+  t.end();
+});
+
+test('enqueue maxQueueSize is not exceeded by callers joining at the same time', async(t) => {
+  const {dbHelpers, client} = makeQueues({'queue:AC1:support': ['http://x/v1/enqueue/CS-1']});
+  const runs = ['CS-2', 'CS-3', 'CS-4'].map((callSid) => runEnqueue(makeCallSession(dbHelpers, callSid), {
+    name: 'support', maxQueueSize: 2
+  }));
+  await sleep(20);
+  t.equal(await client.zcard('queue:AC1:support'), 2, 'queue is filled to its limit');
+  const full = runs.filter((run) => run.results[0]?.queueResult === 'full');
+  t.equal(full.length, 2, 'callers that would exceed the limit are turned away');
+  const members = await client.zrange('queue:AC1:support', 0, -1);
+  t.notOk(full.some((run) => members.some((m) => m.endsWith(run.task.cs.callSid))),
+    'callers turned away do not remain in the queue');
+  runs.forEach((run) => run.task.kill(run.task.cs));
+  await Promise.all(runs.map((run) => run.done));
+  t.end();
+});
@@ -0,0 +1,91 @@
+const test = require('tape');
+const express = require('express');
+const callEventPublisher = require('../lib/utils/call-event-publisher');
+const router = require('../lib/http-routes/api/events');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+const start = () => new Promise((resolve) => {
+  const app = express();
+  app.locals.logger = logger;
+  app.use('/events', router);
+  const server = app.listen(0, () => resolve(server));
+});
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* subscribe to the event stream, collecting the events received */
+const subscribe = async(url) => {
+  const controller = new AbortController();
+  const res = await fetch(url, {signal: controller.signal});
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  (async() => {
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, {stream: true});
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages
+          .filter((m) => m.startsWith('event:'))
+          .forEach((m) => events.push(JSON.parse(/^data: (.*)$/m.exec(m)[1])));
+      }
+    } catch (err) {
+      /* aborted */
+    }
+  })();
+  return {res, events, close: () => controller.abort()};
+};
+
+test('events are published with snake-cased payloads', (t) => {
+  const received = [];
+  const onEvent = (evt) => received.push(evt);
+  callEventPublisher.publish('call:status', 'CS0', 'AC1', {callStatus: 'ringing'});
+  callEventPublisher.on('event', onEvent);
+  callEventPublisher.publish('verb:status', 'CS1', 'AC1', {
+    verbName: 'say',
+    sipStatus: 200,
+    customerData: {orderId: 1}
+  });
+  callEventPublisher.removeListener('event', onEvent);
+
+  t.equal(received.length, 1, 'events are only published while there are subscribers');
+  const [evt] = received;
+  t.deepEqual([evt.type, evt.call_sid, evt.account_sid], ['verb:status', 'CS1', 'AC1'], 'event identifies the call');
+  t.deepEqual(evt.data, {verb_name: 'say', sip_status: 200, customerData: {orderId: 1}},
+    'payload keys are snake-cased, except for application data');
+  t.ok(!isNaN(Date.parse(evt.timestamp)), 'event is timestamped');
+  t.end();
+});
+
+test('events api streams events filtered by account and call', async(t) => {
+  const server = await start();
+  const base = `http://127.0.0.1:${server.address().port}/events`;
+  const all = await subscribe(base);
+  const account = await subscribe(`${base}?account_sid=AC1`);
+  const call = await subscribe(`${base}?account_sid=AC1&call_sid=CS2`);
+  try {
+    t.equal(all.res.headers.get('content-type'), 'text/event-stream', 'events are streamed as server-sent events');
+    t.equal(callEventPublisher.listenerCount('event'), 3, 'each client subscribes');
+
+    callEventPublisher.publish('call:status', 'CS1', 'AC1', {callStatus: 'in-progress'});
+    callEventPublisher.publish('call:status', 'CS2', 'AC1', {callStatus: 'in-progress'});
+    callEventPublisher.publish('call:status', 'CS3', 'AC2', {callStatus: 'in-progress'});
+    await waitFor(50);
+    t.deepEqual(all.events.map((e) => e.call_sid), ['CS1', 'CS2', 'CS3'], 'unfiltered stream receives all events');
+    t.deepEqual(account.events.map((e) => e.call_sid), ['CS1', 'CS2'], 'events are filtered by account_sid');
+    t.deepEqual(call.events.map((e) => e.call_sid), ['CS2'], 'events are filtered by call_sid');
+    t.deepEqual(call.events[0].data, {call_status: 'in-progress'}, 'payload is snake-cased');
+
+    account.close();
+    call.close();
+    for (let i = 0; i < 20 && callEventPublisher.listenerCount('event') > 1; i++) await waitFor(25);
+    t.equal(callEventPublisher.listenerCount('event'), 1, 'listeners are removed when clients disconnect');
+  } finally {
+    all.close();
+    server.close();
+  }
+  t.end();
+});
@@ -0,0 +1,99 @@
+const test = require('tape');
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const proxyquire = require('proxyquire').noCallThru();
+
+class MockLogger {
+  debug() {}
+  info() {}
+  error() {}
+}
+
+const configMock = {
+  NODE_ENV: 'test',
+  JAMBONES_TIME_SERIES_HOST: 'localhost',
+  RESPONSE_TIMEOUT_MS: 1000,
+  JAMBONES_WS_HANDSHAKE_TIMEOUT_MS: 1000
+};
+
+const BaseRequestor = proxyquire('../lib/utils/base-requestor', {
+  '@jambonz/time-series': () => ({writeAlerts: async() => {}, AlertType: {}}),
+  '../config': configMock,
+  '../../': {srf: {locals: {stats: {histogram: () => {}}}}}
+});
+const GrpcRequestor = proxyquire('../lib/utils/grpc-requestor', {
+  './base-requestor': BaseRequestor,
+  '../config': configMock
+});
+
+const packageDefinition = protoLoader.loadSync(
+  path.resolve(__dirname, '../lib/utils/proto/application-control.proto'), {keepCase: true, defaults: true});
+const {ApplicationControl} = grpc.loadPackageDefinition(packageDefinition).jambonz;
+
+/* a simple application: replies to session:new with a say verb, then sends a redirect command */
+const startServer = (received) => new Promise((resolve, reject) => {
+  const server = new grpc.Server();
+  server.addService(ApplicationControl.service, {
+    Session: (stream) => {
+      received.metadata = stream.metadata.getMap();
+      stream.on('data', (msg) => {
+        received.messages.push(msg);
+        if (msg.type === 'session:new') {
+          stream.write({type: 'ack', msgid: msg.msgid, data: JSON.stringify([{verb: 'say', text: 'hello'}])});
+          stream.write({type: 'command', command: 'redirect', data: JSON.stringify([{verb: 'hangup'}])});
+        }
+      });
+      stream.on('end', () => stream.end());
+    }
+  });
+  server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (err, port) => {
+    if (err) return reject(err);
+    resolve({server, port});
+  });
+});
+
+test('GrpcRequestor: session over a bidirectional stream', async(t) => {
+  const received = {messages: []};
+  const {server, port} = await startServer(received);
+  const requestor = new GrpcRequestor(new MockLogger(), 'AC123',
+    {url: `grpc://127.0.0.1:${port}/myapp`, username: 'user', password: 'pass'}, 'secret');
+  try {
+    const command = new Promise((resolve) => requestor.once('command', resolve));
+    const verbs = await requestor.request('session:new', requestor.url, {callSid: 'CS123', callerName: 'bob'});
+    t.deepEqual(verbs, [{verb: 'say', text: 'hello'}], 'session:new is acked with the verbs');
+
+    const msg = received.messages[0];
+    t.equal(msg.type, 'session:new', 'session:new sent');
+    t.equal(msg.call_sid, 'CS123', 'call_sid sent');
+    t.deepEqual(JSON.parse(msg.data), {call_sid: 'CS123', caller_name: 'bob'}, 'payload is sent as snake case json');
+    t.ok(received.metadata.authorization.startsWith('Basic '), 'basic auth is sent as metadata');
+    t.ok(/^t=\d+,v1=/.test(received.metadata['jambonz-signature']), 'stream is signed');
+
+    const {command: name, data} = await command;
+    t.equal(name, 'redirect', 'command is emitted');
+    t.deepEqual(data, [{verb: 'hangup'}], 'command data is parsed');
+
+    await requestor.request('call:status', '/status', {callSid: 'CS123', callStatus: 'completed'});
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const status = received.messages.find((m) => m.type === 'call:status');
+    t.equal(JSON.parse(status.data).call_status, 'completed', 'notification is sent without waiting for an ack');
+  } catch (err) {
+    t.fail(err);
+  }
+  requestor.close();
+  server.forceShutdown();
+  t.end();
+});
+
+test('GrpcRequestor: rejects when the application is unavailable', async(t) => {
+  const requestor = new GrpcRequestor(new MockLogger(), 'AC123', {url: 'grpc://127.0.0.1:1'}, 'secret');
+  try {
+    await requestor.request('session:new', requestor.url, {callSid: 'CS123'});
+    t.fail('request should have been rejected');
+  } catch (err) {
+    t.pass('request is rejected');
+  }
+  requestor.close();
+  t.end();
+});
@@ -0,0 +1,124 @@
+const test = require('tape');
+const {
+  parseHookFallback,
+  withHookTimeout,
+  isHookFailure,
+  reportHookFallback
+} = require('../lib/utils/hook-fallback');
+const CallSession = require('../lib/session/call-session');
+const makeTask = require('../lib/tasks/make_task');
+
+const logger = {debug: () => {}, info: () => {}, error: () => {}};
+const verbs = [{verb: 'say', text: 'sorry, please hold'}, {verb: 'dial', target: [{type: 'phone', number: '15083084809'}]}];
+
+test('parse hookFallback', (t) => {
+  t.deepEqual(parseHookFallback(verbs), {verbs}, 'array of verbs');
+  t.deepEqual(parseHookFallback({verbs, timeout: 3}), {verbs, timeout: 3}, 'verbs with a timeout');
+  t.deepEqual(parseHookFallback(JSON.stringify({verbs, timeout: '2'})), {verbs, timeout: 2}, 'json string');
+  t.equal(parseHookFallback(undefined), null, 'no fallback');
+  t.equal(parseHookFallback([]), null, 'empty list of verbs');
+  t.equal(parseHookFallback('not json'), null, 'invalid json');
+  t.end();
+});
+
+test('hook timeout', async(t) => {
+  const slow = new Promise((resolve) => setTimeout(() => resolve('late'), 1500));
+  try {
+    await withHookTimeout(slow, 1);
+    t.fail('should have timed out');
+  } catch (err) {
+    t.equal(err.name, 'TimeoutError', 'slow request times out');
+  }
+  t.equal(await withHookTimeout(Promise.resolve('ok'), 1), 'ok', 'fast request resolves');
+  t.equal(await withHookTimeout(Promise.resolve('ok')), 'ok', 'no timeout');
+
+  for (const timeout of [undefined, 1]) {
+    try {
+      await withHookTimeout(Promise.reject(new Error('connect ECONNREFUSED')), timeout);
+    } catch (err) {
+      t.ok(isHookFailure(err), `failed request is a hook failure${timeout ? ' with a timeout' : ''}`);
+    }
+  }
+  t.notOk(isHookFailure(new Error('invalid verb')), 'other errors are not hook failures');
+  t.end();
+});
+
+/* a call session executing an application with fallback verbs */
+const makeCallSession = (request = async() => {}) => {
+  const cs = Object.create(CallSession.prototype);
+  const alerts = [];
+  Object.assign(cs, {
+    logger,
+    alerts,
+    replaced: [],
+    callInfo: {callSid: 'CS123', accountSid: 'AC123', toJSON: () => ({call_sid: 'CS123'})},
+    application: {hook_fallback: JSON.stringify(verbs), requestor: {request}},
+    srf: {locals: {writeAlerts: async(alert) => alerts.push(alert), AlertType: {APPLICATION: 'application'}}},
+    replaceApplication(tasks) {
+      this.replaced.push(tasks.map((t) => t.name));
+    }
+  });
+  return cs;
+};
+
+const makeActionTask = (cs) => {
+  const task = makeTask(logger, {gather: {input: ['digits'], actionHook: '/action'}});
+  const span = {setAttributes: () => {}, end: () => {}};
+  task.startSpan = () => span;
+  task.getTracingPropagation = () => undefined;
+  task.cs = cs;
+  return task;
+};
+
+test('useHookFallback', async(t) => {
+  const cs = makeCallSession();
+  t.notOk(cs.useHookFallback('verb:hook', new Error('invalid verb')), 'not used when the response could not be used');
+  const err = await withHookTimeout(Promise.reject(new Error('503'))).catch((err) => err);
+  t.ok(cs.useHookFallback('verb:hook', err), 'used when the request failed');
+  t.deepEqual(cs.replaced, [['say', 'dial']], 'application is replaced with the fallback verbs');
+  t.equal(cs.alerts.length, 1, 'an alert is written');
+  t.notOk(cs.useHookFallback('verb:hook', err), 'only used once per call');
+  t.end();
+});
+
+test('performAction uses the fallback verbs when the actionHook fails', async(t) => {
+  let cs = makeCallSession(async() => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  t.equal(await makeActionTask(cs).performAction({digits: '1'}), true, 'application is replaced');
+  t.deepEqual(cs.replaced, [['say', 'dial']], 'with the fallback verbs');
+
+  cs = makeCallSession(async() => [{verb: 'no-such-verb'}]);
+  try {
+    await makeActionTask(cs).performAction({digits: '1'});
+    t.fail('invalid verbs should be rejected');
+  } catch (err) {
+    t.deepEqual(cs.replaced, [], 'fallback verbs are not used when the application returns invalid verbs');
+  }
+
+  cs = makeCallSession(async() => [{verb: 'hangup'}]);
+  t.equal(await makeActionTask(cs).performAction({digits: '1'}), true, 'application is replaced');
+  t.deepEqual(cs.replaced, [['hangup']], 'with the verbs returned by the actionHook');
+  t.end();
+});
+
+test('report hookFallback', async(t) => {
+  const alerts = [];
+  const sent = [];
+  reportHookFallback({
+    logger,
+    writeAlerts: async(alert) => alerts.push(alert),
+    AlertType: {APPLICATION: 'application'},
+    requestor: {request: async(type, hook, params) => sent.push({type, params})},
+    accountSid: 'AC123',
+    callSid: 'CS123',
+    type: 'verb:hook',
+    err: new Error('timeout')
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+  t.equal(alerts[0].alert_type, 'application', 'alert is written');
+  t.equal(alerts[0].target_sid, 'CS123', 'alert is for the call');
+  t.equal(sent[0].type, 'jambonz:error', 'jambonz:error is sent');
+  t.equal(sent[0].params.hook_type, 'verb:hook', 'jambonz:error notes the failed hook');
+  t.end();
+});
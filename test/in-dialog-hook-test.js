@@ -0,0 +1,71 @@
+const test = require('tape');
+const proxyquire = require('proxyquire');
+const makeTask = require('../lib/tasks/make_task');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+const CallSession = proxyquire('../lib/session/call-session', {
+  '../config': {...require('../lib/config'), JAMBONES_IN_DIALOG_HOOK_TIMEOUT_MS: 50}
+});
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* a call session executing a task, whose sipRequestWithinDialogHook responds after a delay */
+const makeCallSession = (response, delay = 0) => {
+  const cs = Object.create(CallSession.prototype);
+  const spans = [];
+  const task = makeTask(logger, {pause: {length: 5}});
+  task.startSpan = (name, attrs) => {
+    const span = {name, attrs, ended: false, setAttributes: noop};
+    span.end = () => {
+      span.ended = true;
+    };
+    spans.push(span);
+    return span;
+  };
+  task.getTracingPropagation = noop;
+  task.redirect = (cs, tasks) => cs.redirected.push(...tasks.map((t) => t.name));
+  Object.assign(cs, {
+    logger,
+    spans,
+    redirected: [],
+    currentTask: task,
+    sipRequestWithinDialogHook: '/sip-request',
+    callInfo: {toJSON: () => ({call_sid: 'CS1'})},
+    application: {requestor: {request: async() => {
+      await waitFor(delay);
+      return response;
+    }}}
+  });
+  return cs;
+};
+
+const makeRequest = (method) => {
+  const sent = [];
+  const req = {method, body: 'hello', headers: {}, get: noop};
+  const res = {send: (status, reason, opts) => sent.push({status, reason, opts})};
+  return {req, res, sent};
+};
+
+test('sipRequestWithinDialogHook dictates the response to a request within the dialog', async(t) => {
+  const cs = makeCallSession({status: 202, headers: {'X-Reason': 'notified'}});
+  const {req, res, sent} = makeRequest('NOTIFY');
+  await cs._onRequestWithinDialog(req, res);
+  t.deepEqual(sent, [{status: 202, reason: undefined, opts: {headers: {'X-Reason': 'notified'}}}], 'response is sent');
+  t.deepEqual(cs.spans.map((s) => [s.name, s.attrs['hook.url'], s.ended]), [['verb:hook', '/sip-request', true]],
+    'hook is traced in a span of the current task');
+  t.end();
+});
+
+test('default response is sent if the sipRequestWithinDialogHook is slow to respond', async(t) => {
+  const cs = makeCallSession([{verb: 'hangup'}], 150);
+  const {req, res, sent} = makeRequest('INFO');
+  const handled = cs._onRequestWithinDialog(req, res);
+  await waitFor(100);
+  t.deepEqual(sent.map((r) => r.status), [200], 'default response is sent without waiting for the hook');
+  await handled;
+  t.equal(sent.length, 1, 'only one response is sent');
+  t.deepEqual(cs.redirected, ['hangup'], 'verbs returned later are still executed');
+  t.end();
+});
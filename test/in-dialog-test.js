@@ -62,4 +62,47 @@ test('\'sip Indialog\' test Info', async(t) => {
     disconnect();
     t.error(err);
   }
-});
\ No newline at end of file
+});
+test('\'sip Indialog\' test Notify', async(t) => {
+  clearModule.all();
+  const {srf, disconnect} = require('../app');
+
+  try {
+    await connect(srf);
+
+    // GIVEN
+    const verbs = [
+      {
+        verb: 'config',
+        sipRequestWithinDialogHook: '/customHook'
+      },
+      {
+        verb: 'play',
+        url: 'silence_stream://5000',
+      }
+    ];
+
+    const sipResponse = {
+      status: 202,
+      headers: {
+        'X-Reason': 'notified'
+      }
+    };
+
+    const from = 'sip_indialog_notify';
+    await provisionCustomHook(from, sipResponse)
+    await provisionCallHook(from, verbs);
+
+    // THEN
+    await sippUac('uac-success-notify-received-bye.xml', '172.38.0.10', from);
+    t.pass('sip Notify: hook dictated the response');
+
+    const json = await getJSON(`http:127.0.0.1:3100/lastRequest/${from}_customHook`)
+    t.ok(json.body.sip_method === 'NOTIFY', 'sipRequestWithinDialogHook contains sip_method')
+    disconnect();
+  } catch (err) {
+    console.log(`error received: ${err}`);
+    disconnect();
+    t.error(err);
+  }
+});
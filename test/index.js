@@ -4,6 +4,31 @@ require('./ws-requestor-unit-test');
 require('./http-requestor-retry-test');
 require('./http-requestor-unit-test');
 require('./unit-tests');
+require('./calls-api-test');
+require('./events-api-test');
+require('./conferences-api-test');
+require('./queue-utils-test');
+require('./enqueue-test');
+require('./queues-api-test');
+require('./queue-callback-manager-test');
+require('./conference-recording-test');
+require('./conference-move-test');
+require('./dial-transfer-test');
+require('./sip-redirect-notify-test');
+require('./circuit-breaker-test');
+require('./webhook-failover-test');
+require('./webhook-signature-test');
+require('./webhook-cache-test');
+require('./dead-letter-queue-test');
+require('./status-batcher-test');
+require('./grpc-requestor-test');
+require('./ws-multiplexer-test');
+require('./ws-replay-test');
+require('./hook-fallback-test');
+require('./in-dialog-hook-test');
+require('./webhook-tls-test');
+require('./siprec-utils-test');
+require('./siprec-client-test');
 require('./docker_start');
 require('./create-test-db');
 require('./account-validation-tests');
@@ -0,0 +1,101 @@
+const test = require('tape');
+const proxyquire = require('proxyquire').noCallThru();
+const {createRedisMock, createDbHelpersMock} = require('./utils/redis-mock');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+/* redis, shared by the "feature servers" in these tests */
+const client = createRedisMock();
+const dbHelpers = createDbHelpersMock(client, logger);
+
+const posts = [];
+let createCallStatus = 201;
+const bent = () => async(url, body) => {
+  posts.push({url, body});
+  if (url.endsWith('/v1/createCall') && createCallStatus !== 201) throw new Error(`${createCallStatus}`);
+};
+
+const {QueueCallbackManager} = proxyquire('../lib/utils/queue-callback-manager', {
+  '../../app': {logger, srf: {locals: {dbHelpers}}},
+  'bent': bent
+});
+
+const memberUrl = 'http://10.0.0.1:3000/v1/enqueue/CS1';
+const dequeuerUrl = 'http://10.0.0.2:3000/v1/dequeue/CS-agent';
+const callback = {
+  accountSid: 'AC1',
+  queueName: 'queue:AC1:support',
+  queueShortName: 'support',
+  notifyUrl: memberUrl,
+  number: '15083084809',
+  from: '15083084800',
+  waitStartTime: Date.now() - 30000,
+  application: {application_sid: 'AP1', call_hook: {url: 'https://example.com/callback'}}
+};
+const dequeue = {event: 'dequeue', serviceUrl: 'http://10.0.0.2:3000', notifyUrl: dequeuerUrl, epUuid: 'ep-agent'};
+
+test('queue callbacks are kept in redis', async(t) => {
+  const server1 = new QueueCallbackManager();
+  await server1.add('CS1', callback);
+
+  /* e.g. the server the caller was on restarted */
+  const server2 = new QueueCallbackManager();
+  t.ok(await server2.has('CS1'), 'callback is visible to another feature server');
+  t.deepEqual((await server2.claim('CS1')).number, '15083084809', 'callback can be claimed by another server');
+  t.equal(await server1.claim('CS1'), null, 'callback can only be claimed once');
+  t.notOk(await server1.has('CS1'), 'callback is removed once claimed');
+
+  await server1.add('CS1', callback);
+  t.ok(await server1.notifyQueueEvent('CS1', {event: 'remove'}), 'callback is removed via the queues api');
+  t.notOk(await server1.has('CS1'), 'removed callback is gone');
+  t.notOk(await server1.notifyQueueEvent('CS2', dequeue), 'unknown member is not called back');
+  t.end();
+});
+
+test('expired queue callbacks give up their place in queue', async(t) => {
+  const server1 = new QueueCallbackManager();
+  const server2 = new QueueCallbackManager();
+  await client.zadd('queue:AC1:support', 999, `1700000000000:${memberUrl}`);
+  await server1.add('CS1', callback);
+  await server2.expireDue();
+  t.equal(await client.zcard('queue:AC1:support'), 1, 'member keeps their place until the callback expires');
+
+  /* e.g. the server the caller was on is no longer running when the callback expires */
+  await client.zadd('queue-callback-expiry', 'XX', Date.now() - 1000, 'CS1');
+  await server2.expireDue();
+  t.equal(await client.zcard('queue:AC1:support'), 0, 'member is removed from the queue by another server');
+  t.notOk(await server2.has('CS1'), 'expired callback is gone');
+  t.equal(await client.zcard('queue-callback-expiry'), 0, 'callback is no longer due to expire');
+  t.end();
+});
+
+test('queue callback is placed from the dequeuer\'s feature server', async(t) => {
+  const manager = new QueueCallbackManager();
+  posts.length = 0;
+  await manager.add('CS1', callback);
+  t.ok(await manager.notifyQueueEvent('CS1', dequeue), 'member waiting for a callback is dequeued');
+
+  t.deepEqual(posts[0], {url: dequeuerUrl, body: {event: 'callback', timeout: 60}},
+    'dequeuer is told to wait for the callback');
+  const {url, body} = posts[1];
+  t.equal(url, 'http://10.0.0.2:3000/v1/createCall', 'call is placed from the dequeuer\'s feature server');
+  t.deepEqual(body.to, {type: 'phone', number: '15083084809'}, 'caller is called back');
+  t.deepEqual(body.queue_callback, {
+    queue: 'support', epUuid: 'ep-agent', notifyUrl: dequeuerUrl, waitStartTime: callback.waitStartTime
+  }, 'callback is bridged to the dequeuer');
+  t.notOk(body.app_json, 'callback does not need an application');
+  t.equal((await client.lrange('queue-stats:AC1:support', 0, -1)).length, 1, 'dequeue is recorded');
+  t.end();
+});
+
+test('queue callback failure releases the dequeuer', async(t) => {
+  const manager = new QueueCallbackManager();
+  posts.length = 0;
+  createCallStatus = 503;
+  await manager.add('CS1', callback);
+  await manager.notifyQueueEvent('CS1', dequeue);
+  createCallStatus = 201;
+  t.deepEqual(posts.pop(), {url: dequeuerUrl, body: {event: 'hangup'}}, 'dequeuer is told the callback failed');
+  t.end();
+});
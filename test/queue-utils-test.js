@@ -0,0 +1,84 @@
+const test = require('tape');
+const {
+  makeQueueStatsKey,
+  memberUrl,
+  estimateWaitTime,
+  matchesSkills,
+  orderQueuesByWeight,
+  listQueueNames
+} = require('../lib/utils/queue-utils');
+const {createRedisMock} = require('./utils/redis-mock');
+
+test('queue stats key', (t) => {
+  t.equal(makeQueueStatsKey('queue:abc:support'), 'queue-stats:abc:support', 'stats key does not look like a queue');
+  t.equal(memberUrl('1700000000000:http://10.0.0.1:3000/v1/enqueue/CS1'), 'http://10.0.0.1:3000/v1/enqueue/CS1',
+    'member url is parsed from the sorted set value');
+  t.end();
+});
+
+test('estimate wait time', (t) => {
+  t.equal(estimateWaitTime([], 0), undefined, 'no estimate without history');
+  t.equal(estimateWaitTime(undefined, 3), undefined, 'no estimate with missing history');
+
+  const single = [{time: 1000, waitTime: 45}];
+  t.equal(estimateWaitTime(single, 0), 45, 'single dequeue at head of queue uses its wait time');
+  t.equal(estimateWaitTime(single, 2), 135, 'single dequeue scales by position');
+
+  const history = [
+    {time: 0, waitTime: 10},
+    {time: 30000, waitTime: 20},
+    {time: 60000, waitTime: 30},
+    {time: 90000, waitTime: 40}
+  ];
+  t.equal(estimateWaitTime(history, 0), 25, 'uses the average wait of dequeued members');
+  t.equal(estimateWaitTime(history, 3), 100, 'scales the average wait by position');
+  t.equal(estimateWaitTime(history, -1), 25, 'negative position treated as head of queue');
+
+  const idle = [
+    {time: 0, waitTime: 10},
+    {time: 5000, waitTime: 20},
+    {time: 4 * 3600 * 1000, waitTime: 15}
+  ];
+  t.equal(estimateWaitTime(idle, 0), 15, 'time the queue was idle between dequeues is not counted');
+  t.equal(estimateWaitTime(idle, 1), 30, 'idle queue estimate scales by position');
+  t.equal(estimateWaitTime([{time: 0, waitTime: 45}, {time: 1000, waitTime: 45}], 2),
+    estimateWaitTime(single, 2), 'single and multiple dequeues are estimated the same way');
+  t.end();
+});
+
+test('match member attributes against agent skills', (t) => {
+  t.ok(matchesSkills(undefined, {language: 'en'}), 'member without attributes matches any agent');
+  t.ok(matchesSkills({}, undefined), 'member with empty attributes matches agent without skills');
+  t.ok(!matchesSkills({language: 'es'}, undefined), 'member with attributes requires skills');
+  t.ok(matchesSkills({language: 'es'}, {language: ['en', 'es']}), 'matches one of several skill values');
+  t.ok(!matchesSkills({language: 'fr'}, {language: ['en', 'es']}), 'rejects missing skill value');
+  t.ok(matchesSkills({language: 'es', vip: true}, {language: 'es', vip: true, product: 'x'}),
+    'matches when all attributes are satisfied');
+  t.ok(!matchesSkills({language: 'es', vip: true}, {language: 'es'}), 'rejects when a skill is missing');
+  t.ok(matchesSkills({products: ['a', 'b']}, {products: ['a', 'b', 'c']}), 'array attribute requires all values');
+  t.ok(!matchesSkills({products: ['a', 'd']}, {products: ['a', 'b', 'c']}), 'rejects partial array match');
+  t.end();
+});
+
+test('order queues by weight', (t) => {
+  const queues = [{name: 'sales', weight: 1}, {name: 'support', weight: 3}];
+  t.deepEqual(orderQueuesByWeight(queues, () => 0).map((q) => q.name), ['sales', 'support'],
+    'low random value selects first queue');
+  t.deepEqual(orderQueuesByWeight(queues, () => 0.5).map((q) => q.name), ['support', 'sales'],
+    'higher weighted queue is selected proportionally more often');
+  t.deepEqual(orderQueuesByWeight([{name: 'a'}, {name: 'b', weight: 0}], () => 0.99).map((q) => q.name), ['b', 'a'],
+    'missing or zero weights default to 1');
+  t.equal(queues[1].weight, 3, 'input is not modified');
+  t.end();
+});
+
+test('list queue names for an account', async(t) => {
+  const client = createRedisMock();
+  for (const key of ['queue:acct1:support', 'queue:acct1:sales', 'queue:acct1:billing', 'queue:acct2:support']) {
+    await client.zadd(key, 999, `${Date.now()}:http://10.0.0.1:3000/v1/enqueue/CS1`);
+  }
+  await client.hset('queue-members:acct1:support', 'http://10.0.0.1:3000/v1/enqueue/CS1', '{}');
+  const names = await listQueueNames(client, 'acct1');
+  t.deepEqual(names, ['billing', 'sales', 'support'], 'returns the sorted queue names for the account');
+  t.end();
+});
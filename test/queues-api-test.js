@@ -0,0 +1,85 @@
+const test = require('tape');
+const express = require('express');
+const proxyquire = require('proxyquire').noCallThru();
+const {saveMemberInfo} = require('../lib/utils/queue-utils');
+const {createRedisMock} = require('./utils/redis-mock');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+const client = createRedisMock();
+const sorted = (key) => client.zrange(key, 0, -1);
+
+const notified = [];
+const router = proxyquire('../lib/http-routes/api/queues', {
+  '../../..': {srf: {locals: {dbHelpers: {client}}}},
+  'bent': () => async(url, body) => notified.push({url, body})
+});
+
+const urlFor = (callSid) => `http://10.0.0.1:3000/v1/enqueue/${callSid}`;
+const enqueue = async(callSid, priority, joinTime) => {
+  await client.zadd('queue:AC1:support', priority, `${joinTime}:${urlFor(callSid)}`);
+  await saveMemberInfo(client, 'queue:AC1:support', urlFor(callSid), {callSid, priority, joinTime});
+};
+
+const start = () => new Promise((resolve) => {
+  const app = express();
+  app.locals.logger = logger;
+  app.use(express.json());
+  app.use('/queues', router);
+  const server = app.listen(0, () => resolve(server));
+});
+
+test('queues api', async(t) => {
+  await enqueue('CS1', 999, 1000);
+  await enqueue('CS2', 999, 2000);
+  await enqueue('CS3', 999, 3000);
+  const server = await start();
+  const base = `http://127.0.0.1:${server.address().port}/queues/AC1`;
+  const patch = (callSid, body) => fetch(`${base}/support/${callSid}`, {
+    method: 'PATCH',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify(body)
+  });
+
+  try {
+    let res = await fetch(base);
+    t.deepEqual((await res.json()).map((q) => [q.name, q.length]), [['support', 3]], 'lists the queues');
+
+    res = await fetch(`${base}/support`);
+    const {members} = await res.json();
+    t.deepEqual(members.map((m) => m.callSid), ['CS1', 'CS2', 'CS3'], 'lists members in dequeue order');
+    t.notOk(members.some((m) => m.url || m.value), 'member urls are not exposed');
+
+    res = await patch('CS3', {priority: 1});
+    t.equal(res.status, 200, 'priority is changed');
+    t.equal((await res.json()).position, 0, 'member moves to the front of the queue');
+    t.equal(await client.zscore('queue:AC1:support', `3000:${urlFor('CS3')}`), '1',
+      'member keeps its place in the sorted set');
+
+    res = await patch('CS3', {priority: -1});
+    t.equal(res.status, 400, 'rejects an invalid priority');
+
+    /* the member is dequeued after it was found but before its priority was changed */
+    const zaddFn = client.zadd;
+    client.zadd = async(key, ...args) => {
+      await client.zrem(key, `2000:${urlFor('CS2')}`);
+      return zaddFn(key, ...args);
+    };
+    res = await patch('CS2', {priority: 5});
+    client.zadd = zaddFn;
+    t.equal(res.status, 404, 'member that left the queue is not changed');
+    t.notOk((await sorted('queue:AC1:support')).some((m) => m.endsWith('CS2')), 'member that left is not re-added');
+
+    res = await fetch(`${base}/support/CS1`, {method: 'DELETE'});
+    t.equal(res.status, 204, 'member is removed');
+    t.deepEqual(await sorted('queue:AC1:support'), [`3000:${urlFor('CS3')}`], 'member is no longer in the queue');
+    t.deepEqual(notified, [{url: urlFor('CS1'), body: {event: 'remove'}}], 'removed member is told to leave');
+
+    res = await fetch(`${base}/support/CS1`, {method: 'DELETE'});
+    t.equal(res.status, 404, 'unknown member');
+  } finally {
+    server.close();
+  }
+  t.end();
+});
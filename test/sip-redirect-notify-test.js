@@ -0,0 +1,97 @@
+const test = require('tape');
+const Emitter = require('events');
+const makeTask = require('../lib/tasks/make_task');
+
+const noop = () => {};
+const logger = {error: noop, info: noop, debug: noop};
+
+/* a task whose action hook invocations are recorded rather than sent */
+const prepare = (task) => {
+  const actions = [];
+  task.span = {setAttributes: noop};
+  task.performAction = async(results, expectResponse) => actions.push([results.result, expectResponse]);
+  return actions;
+};
+
+const makeCallSession = () => {
+  const cs = new Emitter();
+  cs.released = 0;
+  cs._callReleased = () => cs.released++;
+  return cs;
+};
+
+test('sip:redirect', async(t) => {
+  let task = makeTask(logger, {'sip:redirect': {contact: 'sip:alice@example.com'}});
+  let actions = prepare(task);
+  let cs = makeCallSession();
+  await task.exec(cs, {res: {send: (status, reason, opts, cb) => cb()}});
+  t.deepEqual(actions, [['success', false]], 'reports the redirect once');
+  t.equal(cs.released, 1, 'call is released');
+
+  task = makeTask(logger, {'sip:redirect': {contact: 'sip:alice@example.com'}});
+  actions = prepare(task);
+  task.performAction = async() => {
+    actions.push('success');
+    throw new Error('actionHook failed');
+  };
+  cs = makeCallSession();
+  await task.exec(cs, {res: {send: (status, reason, opts, cb) => cb()}});
+  t.deepEqual(actions, ['success'], 'a failed report is not followed by a failure report');
+  t.equal(cs.released, 1, 'call is released even when the report fails');
+
+  task = makeTask(logger, {'sip:redirect': {contact: 'sip:alice@example.com'}});
+  actions = prepare(task);
+  cs = makeCallSession();
+  await task.exec(cs, {res: {send: (status, reason, opts, cb) => cb(new Error('transaction gone'))}});
+  t.deepEqual(actions, [['failed', undefined]], 'failure to redirect is reported');
+  t.equal(cs.released, 0, 'call is not released when it was not redirected');
+  t.end();
+});
+
+test('sip:notify', async(t) => {
+  const data = {event: 'check-sync'};
+  let task = makeTask(logger, {'sip:notify': data});
+  let actions = prepare(task);
+  await task.exec({}, {dlg: {request: async() => ({status: 200})}});
+  t.deepEqual(actions, [['success', undefined]], 'in-dialog NOTIFY is reported');
+
+  task = makeTask(logger, {'sip:notify': data});
+  actions = prepare(task);
+  task.performAction = async() => {
+    actions.push('success');
+    throw new Error('actionHook failed');
+  };
+  try {
+    await task.exec({}, {dlg: {request: async() => ({status: 200})}});
+  } catch (err) {
+    /* left to the call session to handle */
+  }
+  t.deepEqual(actions, ['success'], 'a failed report is not followed by a failure report');
+
+  task = makeTask(logger, {'sip:notify': {...data, uri: 'sip:bob@example.com'}});
+  actions = prepare(task);
+  const srf = {
+    locals: {getSBC: () => '10.0.0.1'},
+    request: (uri, opts, cb) => cb(null, new Emitter())
+  };
+  const realSetTimeout = global.setTimeout;
+  global.setTimeout = (fn) => realSetTimeout(fn, 0);
+  try {
+    await task.exec({srf});
+  } finally {
+    global.setTimeout = realSetTimeout;
+  }
+  t.deepEqual(actions, [['failed', undefined]], 'out-of-dialog NOTIFY without a final response fails');
+
+  task = makeTask(logger, {'sip:notify': {...data, uri: 'sip:bob@example.com'}});
+  actions = prepare(task);
+  srf.request = (uri, opts, cb) => {
+    const req = new Emitter();
+    cb(null, req);
+    req.emit('response', {status: 100});
+    req.emit('response', {status: 202});
+  };
+  await task.exec({srf});
+  t.deepEqual(actions, [['success', undefined]], 'out-of-dialog NOTIFY is reported on its final response');
+  t.end();
+});
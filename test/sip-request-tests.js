@@ -53,3 +53,72 @@ test('sending SIP in-dialog requests tests', async(t) => {
     t.error(err);
   }
 });
+
+test('sending SIP in-dialog NOTIFY tests', async(t) => {
+  clearModule.all();
+  const {srf, disconnect} = require('../app');
+
+  try {
+    await connect(srf);
+    //GIVEN
+    let verbs = [
+      {
+        "verb": "say",
+        "text": "hello"
+      },
+      {
+        "verb": "sip:notify",
+        "event": "presence",
+        "subscriptionState": "active",
+        "contentType": "application/pidf+xml",
+        "body": "<presence/>",
+        "actionHook": "/actionHook"
+      }
+    ];
+    let from = "sip_notify_test";
+    await provisionCallHook(from, verbs);
+    // THEN
+    await sippUac('uac-send-notify-during-dialog.xml', '172.38.0.10', from);
+    const obj = await getJSON(`http://127.0.0.1:3100/lastRequest/${from}_actionHook`);
+    t.ok(obj.body.sip_status === 200, 'successfully sent SIP NOTIFY');
+
+    disconnect();
+  } catch (err) {
+    console.log(`error received: ${err}`);
+    disconnect();
+    t.error(err);
+  }
+});
+
+test('redirecting an incoming call tests', async(t) => {
+  clearModule.all();
+  const {srf, disconnect} = require('../app');
+
+  try {
+    await connect(srf);
+    //GIVEN
+    let verbs = [
+      {
+        "verb": "sip:redirect",
+        "status": 302,
+        "contact": [
+          {"uri": "sip:16175551212@172.38.0.20", "q": 0.7},
+          {"uri": "sip:16175551213@172.38.0.21", "q": 0.5}
+        ],
+        "actionHook": "/actionHook"
+      }
+    ];
+    let from = "sip_redirect_test";
+    await provisionCallHook(from, verbs);
+    // THEN
+    await sippUac('uac-expect-302.xml', '172.38.0.10', from);
+    const obj = await getJSON(`http://127.0.0.1:3100/lastRequest/${from}_actionHook`);
+    t.ok(obj.body.sip_status === 302 && obj.body.result === 'success', 'successfully redirected call');
+
+    disconnect();
+  } catch (err) {
+    console.log(`error received: ${err}`);
+    disconnect();
+    t.error(err);
+  }
+});
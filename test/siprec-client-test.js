@@ -0,0 +1,162 @@
+const test = require('tape');
+const Emitter = require('events');
+const SipRecClient = require('../lib/utils/siprec-client');
+
+const noop = () => {};
+const logger = {debug: noop, info: noop, error: noop};
+
+const offer = (port) => [
+  'v=0',
+  'o=- 1 1 IN IP4 10.0.0.2',
+  's=-',
+  'c=IN IP4 10.0.0.2',
+  't=0 0',
+  `m=audio ${port} RTP/AVP 0`,
+  'a=sendrecv',
+  ''
+].join('\r\n');
+
+const answer = [
+  'v=0',
+  'o=- 1 1 IN IP4 10.0.0.9',
+  's=-',
+  'c=IN IP4 10.0.0.9',
+  't=0 0',
+  'm=audio 20000 RTP/AVP 0',
+  'a=recvonly',
+  'a=label:1',
+  'm=audio 20002 RTP/AVP 0',
+  'a=recvonly',
+  'a=label:2',
+  ''
+].join('\r\n');
+
+/* a media server endpoint that records what is done to it */
+const makeEndpoint = (uuid, port) => ({
+  uuid,
+  connected: true,
+  local: {sdp: offer(port)},
+  calls: [],
+  async modify(sdp) {
+    this.calls.push(['modify', sdp]);
+  },
+  async set(vars) {
+    this.calls.push(['set', vars]);
+  },
+  async execute(app, arg) {
+    this.calls.push(['execute', app, arg]);
+  },
+  async api(cmd, arg) {
+    this.calls.push(['api', cmd, arg]);
+  },
+  async destroy() {
+    this.connected = false;
+  }
+});
+
+/* a SIP dialog with the recording server */
+const makeDialog = () => {
+  const dlg = new Emitter();
+  Object.assign(dlg, {connected: true, remote: {sdp: answer}, reinvites: []});
+  dlg.modify = async(sdp, opts) => {
+    dlg.local.sdp = sdp;
+    dlg.reinvites.push({sdp, opts});
+  };
+  dlg.destroy = async() => {
+    dlg.connected = false;
+  };
+  return dlg;
+};
+
+const setup = () => {
+  const endpoints = [makeEndpoint('ep-1', 10000), makeEndpoint('ep-2', 10002)];
+  const invites = [];
+  const dlg = makeDialog();
+  const cs = {
+    logger,
+    callSid: 'CS1',
+    accountSid: 'AC1',
+    callId: 'abc123',
+    direction: 'inbound',
+    ep: {uuid: 'ep-call'},
+    callInfo: {from: '15551234567', to: '15083084809'},
+    req: {getParsedHeader: (name) => ({uri: `sip:${name.toLowerCase()}@example.com`})},
+    getMS: () => ({createEndpoint: async() => endpoints.shift()}),
+    srf: {
+      locals: {getSBC: () => '10.0.0.1'},
+      createUAC: async(uri, opts) => {
+        invites.push({uri, opts});
+        dlg.local = {sdp: opts.localSdp};
+        return dlg;
+      }
+    }
+  };
+  const client = new SipRecClient(cs, {siprecServerURL: 'sip:srs@example.com', recordingID: 'R1'});
+  return {client, cs, dlg, invites};
+};
+
+test('SipRecClient forks the call to the recording server', async(t) => {
+  const {client, dlg, invites} = setup();
+  t.ok(await client.start(), 'recording starts');
+  const [{uri, opts}] = invites;
+  t.equal(uri, 'sip:srs@example.com', 'INVITE is sent to the recording server');
+  t.ok(/^multipart\/mixed;boundary=/.test(opts.headers['Content-Type']), 'offer is multipart');
+  t.ok(opts.localSdp.includes('application/rs-metadata+xml'), 'offer includes the recording metadata');
+  t.deepEqual([opts.headers['Require'], opts.headers['X-Srs-Recording-ID'], opts.proxy],
+    ['siprec', 'R1', 'sip:10.0.0.1'], 'siprec headers are sent via the SBC');
+  t.ok(client.isActive, 'recording is active');
+
+  const [ep1, ep2] = client.endpoints;
+  t.ok(ep1.calls[0][1].includes('a=label:1') && ep2.calls[0][1].includes('a=label:2'),
+    'each endpoint is connected to one stream of the answer');
+  t.deepEqual([ep1.calls[1][1], ep2.calls[1][1]].map((v) => Object.keys(v)[0]),
+    ['eavesdrop_bridge_aleg', 'eavesdrop_bridge_bleg'], 'caller and callee audio are forked separately');
+  t.deepEqual([ep1.calls[2], ep2.calls[2]], [['execute', 'eavesdrop', 'ep-call'], ['execute', 'eavesdrop', 'ep-call']],
+    'endpoints eavesdrop on the call');
+
+  t.ok(await client.pause(), 'recording is paused');
+  t.deepEqual(ep1.calls[3], ['api', 'uuid_break', 'ep-1'], 'forking is stopped');
+  const [pause] = dlg.reinvites;
+  t.equal(pause.opts.headers['Content-Type'], opts.headers['Content-Type'], 're-INVITE has the multipart Content-Type');
+  t.ok(pause.sdp.includes('a=inactive') && !pause.sdp.includes('a=sendonly'), 'streams are inactive');
+  t.ok(pause.sdp.includes('application/rs-metadata+xml'), 're-INVITE includes the recording metadata');
+
+  t.ok(await client.resume(), 'recording is resumed');
+  const resume = dlg.reinvites[1];
+  t.equal(resume.opts.headers['Content-Type'], opts.headers['Content-Type'], 're-INVITE has the multipart Content-Type');
+  t.ok(resume.sdp.includes('a=sendonly') && !resume.sdp.includes('a=inactive'), 'streams are sendonly');
+  t.deepEqual(ep1.calls.slice(-1), [['execute', 'eavesdrop', 'ep-call']], 'forking is restarted');
+
+  t.ok(await client.stop(), 'recording stops');
+  t.notOk(dlg.connected, 'session with the recording server is ended');
+  t.ok(!ep1.connected && !ep2.connected, 'endpoints are destroyed');
+  t.notOk(client.isActive, 'recording is no longer active');
+  t.notOk(await client.pause(), 'a stopped recording cannot be paused');
+  t.end();
+});
+
+test('SipRecClient cleans up if the recording server rejects the session', async(t) => {
+  const {client, cs} = setup();
+  cs.srf.createUAC = async() => {
+    throw new Error('488 Not Acceptable Here');
+  };
+  t.notOk(await client.start(), 'recording does not start');
+  t.notOk(client.endpoints, 'endpoints are released');
+  t.end();
+});
+
+test('SipRecClient reports when the recording server ends the session', async(t) => {
+  const {client, dlg} = setup();
+  await client.start();
+  const [ep1] = client.endpoints;
+  let ended = false;
+  client.on('end', () => {
+    ended = true;
+  });
+  dlg.connected = false;
+  dlg.emit('destroy');
+  await new Promise((resolve) => setImmediate(resolve));
+  t.ok(ended, 'end is emitted');
+  t.notOk(ep1.connected, 'endpoints are destroyed');
+  t.end();
+});
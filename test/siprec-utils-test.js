@@ -0,0 +1,101 @@
+const test = require('tape');
+const {
+  parseSiprecPayload,
+  createSipRecPayload,
+  createSipRecMetadata,
+  createSipRecMultipart,
+  participantsChanged
+} = require('../lib/utils/siprec-utils');
+
+const logger = {debug: () => {}, info: () => {}, error: () => {}};
+
+const sdp = [
+  'v=0',
+  'o=- 1 1 IN IP4 10.0.0.1',
+  's=-',
+  'c=IN IP4 10.0.0.1',
+  't=0 0',
+  'm=audio 10000 RTP/AVP 0',
+  'a=sendonly',
+  'a=label:2',
+  'm=audio 10002 RTP/AVP 0',
+  'a=sendonly',
+  'a=label:1',
+  ''
+].join('\r\n');
+
+const metadata = (calleeAor) => `<?xml version="1.0" encoding="UTF-8"?>
+<recording xmlns="urn:ietf:params:xml:ns:recording:1">
+  <datamode>complete</datamode>
+  <group group_id="g1">
+    <callData>
+      <fromhdr>"Alice" &lt;sip:alice@example.com&gt;;tag=1</fromhdr>
+      <tohdr>&lt;sip:bob@example.com&gt;</tohdr>
+      <callid>abc123</callid>
+    </callData>
+  </group>
+  <session session_id="s1"><group-ref>g1</group-ref></session>
+  <participant participant_id="p1"><nameID aor="sip:alice@example.com"><name>Alice</name></nameID></participant>
+  <participant participant_id="p2"><nameID aor="${calleeAor}"><name>Bob</name></nameID></participant>
+  <stream stream_id="st1" session_id="s1"><label>1</label></stream>
+  <stream stream_id="st2" session_id="s1"><label>2</label></stream>
+  <participantstreamassoc participant_id="p1"><send>st1</send><recv>st2</recv></participantstreamassoc>
+  <participantstreamassoc participant_id="p2"><send>st2</send><recv>st1</recv></participantstreamassoc>
+</recording>`;
+
+const makeReq = (calleeAor = 'sip:bob@example.com') => ({
+  payload: [
+    {type: 'application/sdp', content: sdp},
+    {type: 'application/rs-metadata+xml', content: metadata(calleeAor)}
+  ]
+});
+
+test('siprec participants are mapped to channels', async(t) => {
+  const opts = await parseSiprecPayload(makeReq(), logger);
+  t.ok(opts.sdp1.includes('a=label:1'), 'caller stream is the first channel');
+  const [alice, bob] = opts.participants;
+  t.deepEqual([alice.participantId, alice.label, alice.channel], ['p1', '1', 1], 'caller is on channel 1');
+  t.deepEqual([bob.participantId, bob.label, bob.channel], ['p2', '2', 2], 'callee is on channel 2');
+  t.equal(alice.name, 'Alice', 'participant name');
+  t.equal(opts.callData.callid, 'abc123', 'call data is included');
+  t.end();
+});
+
+test('siprec participant changes', async(t) => {
+  const before = (await parseSiprecPayload(makeReq(), logger)).participants;
+  const same = (await parseSiprecPayload(makeReq(), logger)).participants;
+  const after = (await parseSiprecPayload(makeReq('sip:carol@example.com'), logger)).participants;
+  t.notOk(participantsChanged(before, same), 'unchanged participants');
+  t.ok(participantsChanged(before, after), 'transfer changes a participant');
+  t.end();
+});
+
+test('siprec client offer', async(t) => {
+  const epSdp = (port) => [
+    'v=0', 'o=- 1 1 IN IP4 10.0.0.2', 's=-', 'c=IN IP4 10.0.0.2', 't=0 0',
+    `m=audio ${port} RTP/AVP 0`, 'a=sendrecv', ''
+  ].join('\r\n');
+  const offer = createSipRecPayload(epSdp(20000), epSdp(20002), logger, 'sendonly');
+  t.equal((offer.match(/a=sendonly/g) || []).length, 2, 'both streams are sendonly');
+
+  const xml = createSipRecMetadata({
+    caller: {aor: 'sip:alice@example.com', name: 'Alice'},
+    callee: {aor: 'sip:bob@example.com'},
+    callId: 'abc123'
+  });
+  const {contentType, body} = createSipRecMultipart(offer, xml);
+  const boundary = /boundary=(.+)$/.exec(contentType)[1];
+  t.equal(body.split(`--${boundary}`).length, 4, 'body has an sdp and a metadata part');
+  t.ok(body.includes('Content-Disposition: recording-session'), 'metadata is the recording session');
+
+  const opts = await parseSiprecPayload({
+    payload: [
+      {type: 'application/sdp', content: offer},
+      {type: 'application/rs-metadata+xml', content: xml}
+    ]
+  }, logger);
+  const [alice, bob] = opts.participants;
+  t.deepEqual([alice.aor, alice.name, alice.channel], ['sip:alice@example.com', 'Alice', 1], 'caller is on channel 1');
+  t.deepEqual([bob.aor, bob.channel], ['sip:bob@example.com', 2], 'callee is on channel 2');
+  t.end();
+});
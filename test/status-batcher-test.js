@@ -0,0 +1,89 @@
+const test = require('tape');
+const {parseBatchOptions} = require('../lib/utils/status-batcher');
+
+test('status notification batch options', (t) => {
+  t.equal(parseBatchOptions({url: 'https://example.com/status'}), null, 'no batching by default');
+  t.equal(parseBatchOptions({url: 'https://example.com/status#rc=2'}), null, 'no batching without batch param');
+  t.equal(parseBatchOptions('https://example.com/status#batch=foo'), null, 'invalid batch scope is ignored');
+  t.deepEqual(parseBatchOptions({url: 'https://example.com/status#batch=call'}),
+    {scope: 'call', interval: 1000, size: 50}, 'defaults for interval and size');
+  t.deepEqual(parseBatchOptions('https://example.com/status#rc=2&batch=account&batchInterval=250&batchSize=10'),
+    {scope: 'account', interval: 250, size: 10}, 'interval and size');
+  t.equal(parseBatchOptions(undefined), null, 'handles missing hook');
+  t.end();
+});
+
+const proxyquire = require('proxyquire').noCallThru();
+const noop = () => {};
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* the batches sent to the app server, and the ones it could not accept */
+const sent = [];
+const deadLetters = [];
+let appServerUp = true;
+class HttpRequestor {
+  constructor(logger, accountSid, hook, secret) {
+    this.secret = secret;
+  }
+  async request(type, hook, events) {
+    await sleep(5);
+    if (!appServerUp) throw new Error('connect ECONNREFUSED');
+    sent.push({type, hook, events, secret: this.secret});
+  }
+  close() {}
+}
+const statusBatcher = proxyquire('../lib/utils/status-batcher', {
+  '../../app': {logger: {info: noop, debug: noop, error: noop}},
+  './http-requestor': HttpRequestor,
+  './dead-letter-queue': {add: async(opts) => deadLetters.push(opts)}
+});
+
+const hook = {url: 'https://example.com/status#batch=call'};
+const notify = (opts, callSid, n) => statusBatcher.add({
+  ...opts, accountSid: 'AC1', applicationSid: 'AP1', callSid, hook, secret: 'secret',
+  type: 'verb:status', data: {n}
+});
+
+test('status notifications are sent when the batch is full', async(t) => {
+  sent.length = 0;
+  const opts = {scope: 'call', interval: 60000, size: 3};
+  let key;
+  for (let n = 1; n <= 4; n++) key = notify(opts, 'CS1', n);
+  await sleep(20);
+  t.equal(sent.length, 1, 'a full batch is sent without waiting for the interval');
+  t.deepEqual(sent[0].events.map((e) => e.data.n), [1, 2, 3], 'notifications are sent in order');
+  t.equal(sent[0].type, 'status:batch', 'batch is sent as a status:batch');
+  t.equal(sent[0].secret, 'secret', 'batch is signed with the webhook secret');
+
+  await statusBatcher.flush(key);
+  t.deepEqual(sent[1].events.map((e) => e.data.n), [4], 'the rest are sent when the batch is flushed');
+  t.notOk(statusBatcher.batches.has(key), 'sent batch is removed');
+  t.end();
+});
+
+test('status notifications are sent after the batch interval', async(t) => {
+  sent.length = 0;
+  const opts = {scope: 'account', interval: 30, size: 50};
+  notify(opts, 'CS1', 1);
+  notify(opts, 'CS2', 2);
+  await sleep(10);
+  t.equal(sent.length, 0, 'notifications are held until the interval has passed');
+  await sleep(50);
+  t.equal(sent.length, 1, 'batch is sent after the interval');
+  t.deepEqual(sent[0].events.map((e) => e.call_sid), ['CS1', 'CS2'], 'account batch holds notifications of all calls');
+  t.end();
+});
+
+test('status notification batches that cannot be delivered are saved', async(t) => {
+  sent.length = 0;
+  appServerUp = false;
+  const key = notify({scope: 'call', interval: 60000, size: 50}, 'CS3', 1);
+  await statusBatcher.flush(key);
+  appServerUp = true;
+  t.equal(sent.length, 0, 'batch was not delivered');
+  t.equal(deadLetters.length, 1, 'batch is saved as a dead letter');
+  const {type, callSid, applicationSid, payload} = deadLetters[0];
+  t.deepEqual([type, callSid, applicationSid], ['status:batch', 'CS3', 'AP1'], 'dead letter identifies the batch');
+  t.deepEqual(payload.map((e) => e.data.n), [1], 'dead letter holds the notifications');
+  t.end();
+});
@@ -13,6 +13,12 @@ test('unit tests', (t) => {
   let task = makeTask(logger, require('./data/good/sip-decline'));
   t.ok(task.name === 'sip:decline', 'parsed sip:decline');
 
+  task = makeTask(logger, require('./data/good/sip-redirect'));
+  t.ok(task.name === 'sip:redirect' && task.contacts.length === 2, 'parsed sip:redirect');
+
+  task = makeTask(logger, require('./data/good/sip-notify'));
+  t.ok(task.name === 'sip:notify' && task.headers['Event'] === 'check-sync', 'parsed sip:notify');
+
   t.throws(errInvalidInstruction, /malformed jambonz application payload/, 'throws error for invalid instruction');
   t.throws(errUnknownProperty, /unknown property/, 'throws error for invalid instruction');
   t.throws(errMissingProperty, /missing value/, 'throws error for missing required property');
@@ -60,6 +66,22 @@ test('unit tests', (t) => {
     task.text[0].length === 1162, 'parsed bad say');
 
   
+  task = makeTask(logger, require('./data/good/enqueue-announce'));
+  t.ok(task.name === 'enqueue' && task.announce.interval === 30, 'parsed enqueue with announcements');
+
+  task = makeTask(logger, require('./data/good/enqueue-policies'));
+  t.ok(task.name === 'enqueue' && task.maxQueueSize === 20 && task.overflow.queue === 'support-backup',
+    'parsed enqueue with wait and overflow policies');
+
+  task = makeTask(logger, require('./data/good/enqueue-callback'));
+  t.ok(task.name === 'enqueue' && task.callback.dtmf === '1', 'parsed enqueue with callback');
+
+  task = makeTask(logger, require('./data/good/dequeue-skills'));
+  t.ok(task.name === 'dequeue' && task.queues.length === 2 && task.queueName === 'sales',
+    'parsed dequeue from weighted queues with skills');
+  t.throws(() => makeTask(logger, require('./data/bad/dequeue-no-queue')), /missing value for name or queues/,
+    'throws error for dequeue without a queue');
+
   const alt = require('./data/good/alternate-syntax');
   const { normalizeJambones } = require('@jambonz/verb-specifications');
   normalizeJambones(logger, alt).forEach((t) => {
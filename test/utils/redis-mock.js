@@ -0,0 +1,157 @@
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
+/* sorted set members in order of score, then lexicographically */
+const ranked = (z) => [...(z || [])]
+  .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+  .map(([member]) => member);
+
+/**
+ * An in-memory stand-in for the subset of redis commands used by the feature server,
+ * for unit tests that do not run against the docker testbed.
+ */
+const createRedisMock = () => {
+  const data = new Map();
+  const ttls = new Map();
+  const hash = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  const list = (key) => {
+    if (!data.has(key)) data.set(key, []);
+    return data.get(key);
+  };
+
+  const commands = {
+    get: (key) => data.get(key) ?? null,
+    set: (key, value, ...args) => {
+      if (args.includes('NX') && data.has(key)) return null;
+      data.set(key, `${value}`);
+      const ex = args.indexOf('EX');
+      if (-1 !== ex) ttls.set(key, args[ex + 1]);
+      return 'OK';
+    },
+    del: (...keys) => keys.filter((k) => data.delete(k)).length,
+    exists: (key) => (data.has(key) ? 1 : 0),
+    expire: (key, secs) => (data.has(key) ? ttls.set(key, secs) && 1 : 0),
+    keys: (pattern) => [...data.keys()].filter((k) => globToRegExp(pattern).test(k)),
+    scan: (cursor, ...args) => {
+      const opt = (name, dflt) => (args.includes(name) ? args[args.indexOf(name) + 1] : dflt);
+      const re = globToRegExp(opt('MATCH', '*'));
+      const count = Number(opt('COUNT', 10));
+      const all = [...data.keys()];
+      const start = Number(cursor);
+      const next = start + count < all.length ? `${start + count}` : '0';
+      return [next, all.slice(start, start + count).filter((k) => re.test(k))];
+    },
+    hset: (key, ...args) => {
+      for (let i = 0; i < args.length; i += 2) hash(key).set(args[i], `${args[i + 1]}`);
+      return args.length / 2;
+    },
+    hsetnx: (key, ...args) => {
+      const [field, value] = args.flat();
+      if (data.get(key)?.has(field)) return 0;
+      hash(key).set(field, `${value}`);
+      return 1;
+    },
+    hget: (key, field) => data.get(key)?.get(field) ?? null,
+    hgetall: (key) => Object.fromEntries(data.get(key) || []),
+    hdel: (key, ...fields) => fields.filter((f) => data.get(key)?.delete(f)).length,
+    hincrby: (key, field, incr) => {
+      const value = parseInt(hash(key).get(field) || 0) + incr;
+      hash(key).set(field, `${value}`);
+      return value;
+    },
+    rpush: (key, ...values) => list(key).push(...values),
+    lrange: (key, start, stop) => (data.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1),
+    ltrim: (key, start, stop) => {
+      const l = data.get(key) || [];
+      data.set(key, l.slice(start < 0 ? Math.max(l.length + start, 0) : start, stop === -1 ? undefined : stop + 1));
+      return 'OK';
+    },
+    lrem: (key, count, value) => {
+      const l = data.get(key) || [];
+      data.set(key, l.filter((v) => v !== value));
+      return l.length - data.get(key).length;
+    },
+    zadd: (key, ...args) => {
+      const flags = [];
+      while (isNaN(Number(args[0]))) flags.push(args.shift());
+      let count = 0;
+      for (let i = 0; i < args.length; i += 2) {
+        const [score, member] = [Number(args[i]), args[i + 1]];
+        const exists = !!data.get(key)?.has(member);
+        if ((flags.includes('XX') && !exists) || (flags.includes('NX') && exists)) continue;
+        const z = hash(key);
+        if (!exists || (flags.includes('CH') && z.get(member) !== score)) count++;
+        z.set(member, score);
+      }
+      return count;
+    },
+    zrem: (key, ...members) => members.filter((m) => data.get(key)?.delete(m)).length,
+    zscore: (key, member) => (data.get(key)?.has(member) ? `${data.get(key).get(member)}` : null),
+    zrank: (key, member) => (data.get(key)?.has(member) ? ranked(data.get(key)).indexOf(member) : null),
+    zrange: (key, start, stop) => ranked(data.get(key)).slice(start, stop === -1 ? undefined : stop + 1),
+    zscan: (key, cursor, match, pattern) => ['0', [...(data.get(key) || [])]
+      .filter(([member]) => globToRegExp(pattern || '*').test(member))
+      .flatMap(([member, score]) => [member, `${score}`])],
+    zrangebyscore: (key, min, max) => [...(data.get(key) || [])]
+      .filter(([, score]) => score >= Number(min === '-inf' ? -Infinity : min) &&
+        score <= Number(max === '+inf' ? Infinity : max))
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member),
+    zcard: (key) => data.get(key)?.size || 0,
+    watch: (...keys) => {
+      const cb = typeof keys[keys.length - 1] === 'function' ? keys.pop() : null;
+      if (cb) cb(null, 'OK');
+      return 'OK';
+    }
+  };
+
+  const client = Object.fromEntries(Object.entries(commands)
+    .map(([name, fn]) => [name, async(...args) => fn(...args)]));
+  client.multi = () => {
+    const queued = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async(cb) => {
+            const results = queued.map(([fn, args]) => [null, commands[fn](...args)]);
+            if (cb) cb(null, results);
+            return results;
+          };
+        }
+        return (...args) => {
+          queued.push([name, args]);
+          return chain;
+        };
+      }
+    });
+    return chain;
+  };
+  client.data = data;
+  client.ttls = ttls;
+  return client;
+};
+
+/**
+ * The @jambonz/realtimedb-helpers hash and sorted set functions, operating on a redis mock
+ */
+const createDbHelpersMock = (client, logger) => {
+  const helper = (name) => require(`@jambonz/realtimedb-helpers/lib/${name}`).bind(null, client, logger);
+  return {
+    client,
+    createHash: helper('hash/create-hash'),
+    retrieveHash: helper('hash/retrieve-hash'),
+    addToSortedSet: helper('sorted-set/add-to-sorted-set'),
+    retrieveFromSortedSet: helper('sorted-set/retrieve-sorted-set'),
+    sortedSetLength: helper('sorted-set/sorted-set-length'),
+    retrieveByPatternSortedSet: helper('sorted-set/retrieve-by-pattern-sorted-set'),
+    sortedSetPositionByPattern: helper('sorted-set/sorted-set-position'),
+    deleteKey: (key) => client.del(key)
+  };
+};
+
+module.exports = {createRedisMock, createDbHelpersMock};
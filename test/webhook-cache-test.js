@@ -0,0 +1,119 @@
+const test = require('tape');
+const http = require('http');
+const proxyquire = require('proxyquire').noCallThru();
+const {
+  makeCacheKey,
+  getCacheQuery,
+  parseCacheControl,
+  getCachePolicy,
+  retrieveCachedResponse,
+  saveCachedResponse
+} = require('../lib/utils/webhook-cache');
+
+class MockRedis {
+  constructor() {
+    this.data = new Map();
+  }
+  async get(key) {
+    return this.data.get(key)?.value;
+  }
+  async set(key, value, ex, ttl) {
+    this.data.set(key, {value, ttl});
+  }
+  async del(key) {
+    this.data.delete(key);
+  }
+}
+
+test('webhook cache key', (t) => {
+  const url = 'https://app.example.com/inbound#cache=to';
+  t.equal(makeCacheKey(url, {to: '1555'}, ['to']), makeCacheKey(url, {to: '1555', from: 'a'}, ['to']),
+    'params not in the key are ignored');
+  t.notEqual(makeCacheKey(url, {to: '1555'}, ['to']), makeCacheKey(url, {to: '1666'}, ['to']),
+    'key params are included');
+  t.equal(makeCacheKey(url, {to: '1555'}), makeCacheKey('https://app.example.com/inbound', {to: '1666'}),
+    'without key params only the url (less hash) is used');
+  t.ok(makeCacheKey(url).startsWith('webhook-cache:'), 'key is prefixed');
+
+  const scope = {accountSid: 'AC1', applicationSid: 'AP1', username: 'daveh'};
+  t.equal(makeCacheKey(url, {}, [], scope), makeCacheKey(url, {}, [], {...scope}), 'same scope shares a key');
+  t.notEqual(makeCacheKey(url, {}, [], scope), makeCacheKey(url, {}, [], {...scope, accountSid: 'AC2'}),
+    'accounts do not share a key');
+  t.notEqual(makeCacheKey(url, {}, [], scope), makeCacheKey(url, {}, [], {...scope, applicationSid: 'AP2'}),
+    'applications do not share a key');
+  t.notEqual(makeCacheKey(url, {}, [], scope), makeCacheKey(url, {}, [], {...scope, username: 'other'}),
+    'basic auth users do not share a key');
+  t.deepEqual(getCacheQuery({to: 1555, from: 'a'}, ['to', 'tag']), {to: '1555', tag: ''},
+    'key params are sent in the query string');
+  t.end();
+});
+
+test('session:new GET responses are cached per account', async(t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, {'Content-Type': 'application/json', 'Cache-Control': 'max-age=60'});
+    res.end(JSON.stringify([{verb: 'say', text: `response ${requests.length}`}]));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const client = new MockRedis();
+  const BaseRequestor = proxyquire('../lib/utils/base-requestor', {
+    '@jambonz/time-series': () => ({writeAlerts: async() => {}, AlertType: {}}),
+    '../../': {srf: {locals: {stats: {histogram: () => {}}}}}
+  });
+  const HttpRequestor = proxyquire('../lib/utils/http-requestor', {
+    './base-requestor': BaseRequestor,
+    '../../app': {srf: {locals: {dbHelpers: {client}}}}
+  });
+  const logger = {debug: () => {}, info: () => {}, error: () => {}};
+  const hook = {url: `http://127.0.0.1:${server.address().port}/inbound#cache=to`, method: 'GET'};
+  const params = {to: '15083084809', from: '15083084800', applicationSid: 'AP1'};
+  const requestors = ['AC1', 'AC1', 'AC2'].map((accountSid) => new HttpRequestor(logger, accountSid, hook, 'secret'));
+  try {
+    const responses = [];
+    for (const requestor of requestors) responses.push(await requestor.request('session:new', hook, params));
+    t.deepEqual(requests, ['/inbound?to=15083084809', '/inbound?to=15083084809'],
+      'key params are sent, and the cached response is used for the same account');
+    t.equal(responses[1][0].text, 'response 1', 'cached response is returned');
+    t.equal(responses[2][0].text, 'response 2', 'another account does not receive the cached response');
+  } finally {
+    requestors.forEach((r) => r.close());
+    server.close();
+  }
+  t.end();
+});
+
+test('parse cache-control', (t) => {
+  t.deepEqual(parseCacheControl('public, max-age=60, stale-if-error="600"'),
+    {'public': true, 'max-age': 60, 'stale-if-error': 600}, 'parses directives');
+  t.deepEqual(parseCacheControl('No-Store'), {'no-store': true}, 'directives are case-insensitive');
+  t.deepEqual(parseCacheControl(undefined), {}, 'handles missing header');
+  t.end();
+});
+
+test('cache policy', (t) => {
+  t.deepEqual(getCachePolicy({'cache-control': 'max-age=60, stale-if-error=30'}),
+    {etag: undefined, maxAge: 60, staleIfError: 30}, 'max-age and stale-if-error');
+  t.equal(getCachePolicy({'cache-control': 'max-age=30, s-maxage=90'}).maxAge, 90, 's-maxage takes precedence');
+  t.equal(getCachePolicy({'cache-control': 'no-store, max-age=60'}), undefined, 'no-store is not cached');
+  t.equal(getCachePolicy({}), undefined, 'no freshness or validator is not cached');
+  t.equal(getCachePolicy({'cache-control': 'no-cache', 'etag': '"v1"'}).maxAge, 0,
+    'no-cache with etag is cached for revalidation only');
+  t.end();
+});
+
+test('save and retrieve cached responses', async(t) => {
+  const client = new MockRedis();
+  const body = [{verb: 'say', text: 'hello'}];
+
+  t.ok(await saveCachedResponse(client, 'k1', {'cache-control': 'max-age=60, stale-if-error=30'}, body),
+    'response is cached');
+  t.equal(client.data.get('k1').ttl, 90, 'entry lives for max-age plus stale-if-error');
+  const entry = await retrieveCachedResponse(client, 'k1');
+  t.deepEqual(entry.body, body, 'body is retrieved');
+  t.ok(entry.expires > Date.now() && entry.staleUntil > entry.expires, 'freshness is recorded');
+
+  t.notOk(await saveCachedResponse(client, 'k1', {'cache-control': 'no-store'}, body), 'no-store is not cached');
+  t.equal(await retrieveCachedResponse(client, 'k1'), undefined, 'no-store removes existing entry');
+  t.end();
+});
@@ -0,0 +1,130 @@
+const test = require('tape');
+const http = require('http');
+const Websocket = require('ws');
+const proxyquire = require('proxyquire').noCallThru();
+
+const noop = () => {};
+const logger = {debug: noop, info: noop, error: noop};
+
+const BaseRequestor = proxyquire('../lib/utils/base-requestor', {
+  '@jambonz/time-series': () => ({
+    writeAlerts: async() => {},
+    AlertType: {WEBHOOK_CONNECTION_FAILURE: 'webhook-connection-failure', WEBHOOK_STATUS_FAILURE: 'webhook-failure'}
+  }),
+  '../../': {srf: {locals: {stats: {histogram: noop}}}}
+});
+const HttpRequestor = proxyquire('../lib/utils/http-requestor', {'./base-requestor': BaseRequestor});
+const WsRequestor = proxyquire('../lib/utils/ws-requestor', {'./base-requestor': BaseRequestor});
+
+/* an http app server that answers each request with the next status in the list (the last one repeats) */
+const startHttpServer = (statuses) => new Promise((resolve) => {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const status = statuses[Math.min(hits.length, statuses.length) - 1];
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify([{verb: 'say', text: `served by ${server.address().port}`}]));
+  });
+  server.listen(0, '127.0.0.1', () => resolve({server, hits, url: `http://127.0.0.1:${server.address().port}`}));
+});
+
+/* a websocket app server that acks every message */
+const startWsServer = () => new Promise((resolve) => {
+  const connections = [];
+  const messages = [];
+  const wss = new Websocket.Server({port: 0}, () => resolve({
+    wss, connections, messages, url: `ws://127.0.0.1:${wss.address().port}`
+  }));
+  wss.on('connection', (ws) => {
+    connections.push(ws);
+    ws.on('message', (content) => {
+      const {type, msgid} = JSON.parse(content);
+      messages.push(type);
+      ws.send(JSON.stringify({type: 'ack', msgid, data: []}));
+    });
+  });
+});
+
+/* a url that nothing is listening on */
+const unusedUrl = async(scheme) => {
+  const {server, url} = await startHttpServer([200]);
+  await new Promise((resolve) => server.close(resolve));
+  return url.replace('http', scheme);
+};
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('HttpRequestor:_requestWithRetries retries according to the url hash', async(t) => {
+  const {server, hits, url} = await startHttpServer([503, 503, 200]);
+  const failing = await startHttpServer([503]);
+  const requestor = new HttpRequestor(logger, 'AC1', {url: `${url}/app`}, 'secret');
+  try {
+    const body = await requestor._requestWithRetries(`${url}/app#rc=2&rp=5xx`,
+      {method: 'POST', payload: {}, httpHeaders: {}, newClients: []});
+    t.equal(hits.length, 3, 'request is retried until it succeeds');
+    t.ok(Array.isArray(body), 'response body is returned');
+
+    const newClients = [];
+    try {
+      await requestor._requestWithRetries(`${failing.url}/app#rc=1&rp=ct`,
+        {method: 'POST', payload: {}, httpHeaders: {}, newClients});
+      t.fail('request should fail');
+    } catch (err) {
+      t.equal(err.statusCode, 503, 'status of the failed request is reported');
+    }
+    t.equal(failing.hits.length, 1, 'status codes are not retried unless the retry policy includes them');
+    newClients.forEach((c) => c.close());
+  } finally {
+    requestor.close();
+    server.close();
+    failing.server.close();
+  }
+  t.end();
+});
+
+test('HttpRequestor fails over to a fallback url', async(t) => {
+  const primary = await startHttpServer([503]);
+  const fallback = await startHttpServer([200]);
+  const rejecting = await startHttpServer([404]);
+  const requestor = new HttpRequestor(logger, 'AC1', {url: `${primary.url}/app`}, 'secret');
+  try {
+    const body = await requestor.request('session:new', {
+      url: `${primary.url}/app`, fallback_url: `${fallback.url}/app`
+    }, {callSid: 'CS1'});
+    t.deepEqual([primary.hits.length, fallback.hits], [1, ['/app']], 'server error fails over to the fallback url');
+    t.equal(body[0].text, `served by ${fallback.server.address().port}`, 'fallback response is returned');
+
+    try {
+      await requestor.request('verb:hook', {url: `${rejecting.url}/action`, fallback_url: `${fallback.url}/action`}, {});
+      t.fail('request should fail');
+    } catch (err) {
+      t.equal(err.statusCode, 404, 'a request the app server rejected is not failed over');
+    }
+    t.equal(fallback.hits.length, 1, 'fallback url is not tried');
+  } finally {
+    requestor.close();
+    [primary, fallback, rejecting].forEach(({server}) => server.close());
+  }
+  t.end();
+});
+
+test('WsRequestor fails over to a fallback url without changing the application url', async(t) => {
+  const fallback = await startWsServer();
+  const primaryUrl = `${await unusedUrl('ws')}/app#rc=2`;
+  const requestor = new WsRequestor(logger, 'AC1', {url: primaryUrl, fallback_url: `${fallback.url}/app`}, 'secret');
+  try {
+    await requestor.request('session:new', primaryUrl, {callSid: 'CS1'});
+    t.equal(fallback.connections.length, 1, 'connected to the fallback url');
+    t.equal(requestor.url, primaryUrl, 'application url is unchanged');
+    t.equal(requestor.baseUrl, primaryUrl.replace(/\/app#.*$/, ''), 'relative hooks still resolve to the application');
+
+    fallback.connections[0].terminate();
+    for (let i = 0; i < 50 && !fallback.messages.includes('session:reconnect'); i++) await waitFor(100);
+    await waitFor(50);
+    t.equal(fallback.connections.length, 2, 'a dropped session reconnects to the server that has it');
+  } finally {
+    requestor.close();
+    fallback.wss.close();
+  }
+  t.end();
+});
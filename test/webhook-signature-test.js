@@ -0,0 +1,67 @@
+const test = require('tape');
+const crypto = require('crypto');
+const proxyquire = require('proxyquire').noCallThru();
+
+class MockLogger {
+  debug() {}
+  info() {}
+  error() {}
+}
+
+const {publicKey, privateKey} = crypto.generateKeyPairSync('ed25519');
+
+const loadBaseRequestor = (config = {}) => proxyquire('../lib/utils/base-requestor', {
+  '@jambonz/time-series': () => ({writeAlerts: async() => {}, AlertType: {}}),
+  '../config': {NODE_ENV: 'test', JAMBONES_TIME_SERIES_HOST: 'localhost', ...config},
+  '../../': {srf: {locals: {stats: {histogram: () => {}}}}}
+});
+
+const parseSigHeader = (header) => header.split(',').reduce((acc, kv) => {
+  const idx = kv.indexOf('=');
+  const k = kv.slice(0, idx);
+  acc[k] = acc[k] || [];
+  acc[k].push(kv.slice(idx + 1));
+  return acc;
+}, {});
+
+const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data, 'utf8').digest('hex');
+
+test('webhook signature with a single secret', (t) => {
+  const BaseRequestor = loadBaseRequestor();
+  const requestor = new BaseRequestor(new MockLogger(), 'AC123', {url: 'http://localhost/test'}, 'secret1');
+  const payload = {call_sid: 'abc'};
+  const sig = parseSigHeader(requestor._generateSigHeader(payload, requestor.secret)['Jambonz-Signature']);
+  const data = `${sig.t[0]}.${JSON.stringify(payload)}`;
+  t.equal(sig.v1.length, 1, 'one v1 signature');
+  t.equal(sig.v1[0], hmac(data, 'secret1'), 'v1 signature is hmac of timestamp and payload');
+  t.notOk(sig.ed25519, 'no ed25519 signature without a signing key');
+  t.end();
+});
+
+test('webhook signature with multiple secrets during rotation', (t) => {
+  const BaseRequestor = loadBaseRequestor();
+  const payload = {call_sid: 'abc'};
+  for (const secrets of ['new-secret, old-secret', ['new-secret', 'old-secret']]) {
+    const requestor = new BaseRequestor(new MockLogger(), 'AC123', {url: 'http://localhost/test'}, secrets);
+    const sig = parseSigHeader(requestor._generateSigHeader(payload, requestor.secret)['Jambonz-Signature']);
+    const data = `${sig.t[0]}.${JSON.stringify(payload)}`;
+    t.deepEqual(sig.v1, [hmac(data, 'new-secret'), hmac(data, 'old-secret')],
+      `v1 signature for each secret (${Array.isArray(secrets) ? 'array' : 'string'})`);
+  }
+  t.end();
+});
+
+test('webhook signature with ed25519 signing key', (t) => {
+  const pem = privateKey.export({type: 'pkcs8', format: 'pem'}).replace(/\n/g, '\\n');
+  const BaseRequestor = loadBaseRequestor({JAMBONES_WEBHOOK_SIGNING_KEY: pem});
+  const requestor = new BaseRequestor(new MockLogger(), 'AC123', {url: 'http://localhost/test'}, 'secret1');
+  const payload = {call_sid: 'abc'};
+  const sig = parseSigHeader(requestor._generateSigHeader(payload, requestor.secret)['Jambonz-Signature']);
+  const data = `${sig.t[0]}.${JSON.stringify(payload)}`;
+  t.equal(sig.v1.length, 1, 'v1 signature is still included');
+  t.ok(crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(sig.ed25519[0], 'base64')),
+    'ed25519 signature verifies with the public key');
+  t.notOk(crypto.verify(null, Buffer.from(`${data}x`), publicKey, Buffer.from(sig.ed25519[0], 'base64')),
+    'ed25519 signature does not verify a modified payload');
+  t.end();
+});
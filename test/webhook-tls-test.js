@@ -0,0 +1,107 @@
+const test = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noCallThru();
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-tls-'));
+fs.mkdirSync(path.join(dir, 'AC-files'));
+fs.writeFileSync(path.join(dir, 'AC-files', 'client.crt'), 'file-cert');
+fs.writeFileSync(path.join(dir, 'AC-files', 'client.key'), 'file-key');
+
+/* the certificate files must only be read in the background, never while setting up a call */
+const noSync = (name) => () => {
+  throw new Error(`fs.${name} called`);
+};
+const {getWebhookTls, withWebhookTls, watchWebhookTlsFiles, WebhookTls} = proxyquire('../lib/utils/webhook-tls', {
+  'fs': {...fs, statSync: noSync('statSync'), readFileSync: noSync('readFileSync'), readdirSync: noSync('readdirSync')},
+  './encrypt-decrypt': {decrypt: (data) => `decrypted:${data}`},
+  '../config': {JAMBONES_WEBHOOK_TLS_DIR: dir, JAMBONES_WEBHOOK_TLS_CHECK_SECS: 0.05}
+});
+const noop = () => {};
+
+const pem = (label) => `-----BEGIN ${label}-----\nabc\n-----END ${label}-----\n`;
+
+test('webhook tls options', async(t) => {
+  await watchWebhookTlsFiles({info: noop});
+  const account = {account_sid: 'AC-files'};
+  const application = {
+    application_sid: 'AP1',
+    webhook_client_cert: pem('CERTIFICATE'),
+    webhook_client_key: 'encrypted-key',
+    webhook_ca_bundle: pem('CERTIFICATE')
+  };
+
+  const appTls = getWebhookTls({account, application});
+  t.equal(appTls.cert, application.webhook_client_cert, 'application certificate takes precedence');
+  t.equal(appTls.key, 'decrypted:encrypted-key', 'encrypted private key is decrypted');
+  t.deepEqual(Object.keys(appTls.connectOptions), ['cert', 'key', 'ca'], 'connect options');
+
+  const accountTls = getWebhookTls({account, application: {application_sid: 'AP2'}});
+  t.equal(accountTls.cert, 'file-cert', 'account certificate is read from files');
+  t.equal(accountTls.ca, undefined, 'ca bundle is optional');
+
+  t.equal(getWebhookTls({account: {account_sid: 'AC-none'}}), undefined, 'no certificate');
+  t.end();
+});
+
+test('certificate files are checked for changes', async(t) => {
+  const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const account = {account_sid: 'AC-rotated'};
+  const certFile = path.join(dir, 'AC-rotated', 'client.crt');
+  t.equal(getWebhookTls({account}), undefined, 'no certificate files');
+
+  fs.mkdirSync(path.join(dir, 'AC-rotated'));
+  fs.writeFileSync(certFile, 'cert-1');
+  t.equal(getWebhookTls({account}), undefined, 'files are not checked again right away');
+  await waitFor(60);
+  t.equal(getWebhookTls({account})?.cert, 'cert-1', 'files added later are picked up');
+
+  fs.writeFileSync(certFile, 'cert-2');
+  const later = new Date(Date.now() + 10000);
+  fs.utimesSync(certFile, later, later);
+  await waitFor(60);
+  t.equal(getWebhookTls({account})?.cert, 'cert-2', 'rotated certificate is picked up');
+
+  fs.rmSync(path.join(dir, 'AC-rotated'), {recursive: true});
+  await waitFor(60);
+  t.equal(getWebhookTls({account}), undefined, 'removed certificate is no longer used');
+  t.end();
+});
+
+test('webhook tls id identifies the certificate, key and ca bundle', (t) => {
+  const tls = new WebhookTls({cert: 'cert', key: 'key-1', ca: 'ca'});
+  t.equal(new WebhookTls({cert: 'cert', key: 'key-1', ca: 'ca'}).id, tls.id, 'same certificate has the same id');
+  t.notEqual(new WebhookTls({cert: 'cert', key: 'key-2', ca: 'ca'}).id, tls.id, 'replaced key changes the id');
+  t.notEqual(new WebhookTls({cert: 'cert', key: 'key-1'}).id, tls.id, 'removed ca bundle changes the id');
+  t.end();
+});
+
+test('webhook tls is not serialized', (t) => {
+  const tls = getWebhookTls({account: {account_sid: 'AC-files'}});
+  const hook = withWebhookTls({url: 'https://example.com/status', method: 'POST'}, tls);
+  t.equal(hook.tls, tls, 'tls is attached to the hook');
+  t.deepEqual(JSON.parse(JSON.stringify(hook)), {url: 'https://example.com/status', method: 'POST'},
+    'key material is not serialized');
+  t.deepEqual(withWebhookTls('/status', tls), {url: '/status', tls}, 'string hooks are converted');
+  t.equal(withWebhookTls(undefined, tls), undefined, 'missing hook');
+  t.end();
+});
+
+test('websocket handshake presents the client certificate', (t) => {
+  const BaseRequestor = proxyquire('../lib/utils/base-requestor', {
+    '@jambonz/time-series': () => ({writeAlerts: async() => {}, AlertType: {}}),
+    '../../': {srf: {locals: {stats: {histogram: () => {}}}}}
+  });
+  const WsRequestor = proxyquire('../lib/utils/ws-requestor', {'./base-requestor': BaseRequestor});
+  const logger = {debug: () => {}, info: () => {}, error: () => {}};
+  const tls = getWebhookTls({account: {account_sid: 'AC-files'}});
+  const requestor = new WsRequestor(logger, 'AC-files', withWebhookTls({url: 'wss://example.com/app'}, tls), 'x');
+
+  const opts = requestor._getHandshakeOptions();
+  t.equal(opts.cert, 'file-cert', 'certificate is used for the handshake');
+  t.equal(opts.key, 'file-key', 'key is used for the handshake');
+  t.equal(requestor._derivedHook('https://example.com/other').tls, tls, 'derived hooks use the same certificate');
+  fs.rmSync(dir, {recursive: true});
+  t.end();
+});
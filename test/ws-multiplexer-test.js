@@ -0,0 +1,120 @@
+const test = require('tape');
+const Websocket = require('ws');
+const proxyquire = require('proxyquire').noCallThru();
+
+class MockLogger {
+  debug() {}
+  info() {}
+  error() {}
+}
+
+const sessions = new Map();
+const BaseRequestor = proxyquire('../lib/utils/base-requestor', {
+  '@jambonz/time-series': () => ({writeAlerts: async() => {}, AlertType: {}}),
+  '../../': {srf: {locals: {stats: {histogram: () => {}}}}}
+});
+const wsMultiplexer = proxyquire('../lib/utils/ws-multiplexer', {
+  '../session/session-tracker': {get: (callSid) => sessions.get(callSid)},
+  '../../app': {logger: new MockLogger()}
+});
+const WsRequestor = proxyquire('../lib/utils/ws-requestor', {
+  './base-requestor': BaseRequestor,
+  './ws-multiplexer': wsMultiplexer
+});
+
+/* a simple application: acks each message with the call_sid it was for */
+const startServer = (received) => new Promise((resolve) => {
+  const wss = new Websocket.Server({port: 0}, () => resolve(wss));
+  wss.on('connection', (ws, req) => {
+    received.connections.push({ws, protocol: ws.protocol});
+    ws.on('message', (content) => {
+      const msg = JSON.parse(content);
+      received.messages.push(msg);
+      if (!['call:status', 'verb:status'].includes(msg.type)) {
+        ws.send(JSON.stringify({type: 'ack', msgid: msg.msgid, data: [{verb: 'say', text: msg.call_sid}]}));
+      }
+    });
+  });
+});
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createCall = (url, callSid) => {
+  const requestor = new WsRequestor(new MockLogger(), 'AC123', {url}, 'secret');
+  sessions.set(callSid, {requestor});
+  return requestor;
+};
+
+test('multiplexed websocket: calls share a websocket', async(t) => {
+  const received = {connections: [], messages: []};
+  const wss = await startServer(received);
+  const url = `ws://127.0.0.1:${wss.address().port}/app#mux`;
+  const r1 = createCall(url, 'CS1');
+  const r2 = createCall(url, 'CS2');
+  try {
+    const [v1, v2] = await Promise.all([
+      r1.request('session:new', url, {callSid: 'CS1'}),
+      r2.request('session:new', url, {callSid: 'CS2'})
+    ]);
+    t.equal(received.connections.length, 1, 'one websocket is opened');
+    t.equal(received.connections[0].protocol, 'mux.ws.jambonz.org', 'multiplexed subprotocol is used');
+    t.deepEqual(v1, [{verb: 'say', text: 'CS1'}], 'ack is routed to the first call');
+    t.deepEqual(v2, [{verb: 'say', text: 'CS2'}], 'ack is routed to the second call');
+
+    const command = new Promise((resolve) => r2.once('command', resolve));
+    r1.once('command', () => t.fail('command routed to the wrong call'));
+    received.connections[0].ws.send(JSON.stringify({type: 'command', command: 'redirect', call_sid: 'CS2',
+      data: [{verb: 'hangup'}]}));
+    const {call_sid} = await command;
+    t.equal(call_sid, 'CS2', 'command is routed to the call by call_sid');
+
+    /* e.g. the requestor for a dial leg, which is not a call session of its own */
+    const child = new WsRequestor(new MockLogger(), 'AC123', {url}, 'secret');
+    await child.request('session:new', url, {callSid: 'CS2-B'});
+    t.equal(received.connections.length, 1, 'child requestor shares the websocket');
+    const childCommand = new Promise((resolve) => child.once('command', resolve));
+    received.connections[0].ws.send(JSON.stringify({type: 'command', command: 'redirect', call_sid: 'CS2-B',
+      data: [{verb: 'hangup'}]}));
+    t.equal((await childCommand).call_sid, 'CS2-B', 'command is routed to a child requestor by call_sid');
+    child.close();
+
+    r1.close();
+    await waitFor(100);
+    t.equal(received.connections[0].ws.readyState, Websocket.OPEN, 'websocket stays open while calls remain');
+    r2.close();
+    await waitFor(100);
+    t.equal(received.connections[0].ws.readyState, Websocket.CLOSED, 'websocket is closed after the last call');
+  } catch (err) {
+    t.fail(err);
+  }
+  r1.removeAllListeners();
+  wss.close();
+  t.end();
+});
+
+test('multiplexed websocket: each call reconnects', async(t) => {
+  const received = {connections: [], messages: []};
+  const wss = await startServer(received);
+  const url = `ws://127.0.0.1:${wss.address().port}/app#mux=1`;
+  const r1 = createCall(url, 'CS3');
+  const r2 = createCall(url, 'CS4');
+  try {
+    await r1.request('session:new', url, {callSid: 'CS3'});
+    await r2.request('session:new', url, {callSid: 'CS4'});
+    const dropped = Promise.all([r1, r2].map((r) => new Promise((resolve) => r.once('connection-dropped', resolve))));
+    received.connections[0].ws.terminate();
+    await dropped;
+    t.pass('connection-dropped is emitted for each call');
+
+    await waitFor(1000);
+    t.equal(received.connections.length, 2, 'calls reconnect over one new websocket');
+    const reconnects = received.messages.filter((m) => m.type === 'session:reconnect').map((m) => m.call_sid);
+    t.deepEqual(reconnects.sort(), ['CS3', 'CS4'], 'session:reconnect is sent for each call');
+  } catch (err) {
+    t.fail(err);
+  }
+  r1.close();
+  r2.close();
+  wss.close();
+  t.end();
+});
@@ -0,0 +1,76 @@
+const test = require('tape');
+const Websocket = require('ws');
+const proxyquire = require('proxyquire').noCallThru();
+
+class MockLogger {
+  debug() {}
+  info() {}
+  error() {}
+}
+
+const BaseRequestor = proxyquire('../lib/utils/base-requestor', {
+  '@jambonz/time-series': () => ({writeAlerts: async() => {}, AlertType: {}}),
+  '../../': {srf: {locals: {stats: {histogram: () => {}}}}}
+});
+const WsRequestor = proxyquire('../lib/utils/ws-requestor', {
+  './base-requestor': BaseRequestor
+});
+
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * an application that "processes" only the first verb:status it receives on a socket,
+ * and reports the last seq it processed when acking session:reconnect
+ */
+const startServer = (received) => new Promise((resolve) => {
+  const wss = new Websocket.Server({port: 0}, () => resolve(wss));
+  wss.on('connection', (ws) => {
+    received.sockets.push(ws);
+    ws.on('message', (content) => {
+      const msg = JSON.parse(content);
+      received.messages.push(msg);
+      if (msg.type === 'verb:status' && received.lastSeq < msg.seq && !received.dropAfter) {
+        received.lastSeq = msg.seq;
+        received.dropAfter = true;
+      }
+      if (msg.type === 'session:reconnect') {
+        ws.send(JSON.stringify({type: 'ack', msgid: msg.msgid, last_seq: received.lastSeq}));
+      }
+      else if (!['call:status', 'verb:status'].includes(msg.type)) {
+        ws.send(JSON.stringify({type: 'ack', msgid: msg.msgid, data: []}));
+      }
+    });
+  });
+});
+
+test('websocket reconnect replays notifications the app did not process', async(t) => {
+  const received = {sockets: [], messages: [], lastSeq: 0};
+  const wss = await startServer(received);
+  const url = `ws://127.0.0.1:${wss.address().port}/app`;
+  const requestor = new WsRequestor(new MockLogger(), 'AC123', {url}, 'secret');
+  try {
+    await requestor.request('session:new', url, {callSid: 'CS1'});
+    for (const id of ['a', 'b', 'c']) await requestor.request('verb:status', url, {id});
+    await waitFor(100);
+    const seqs = received.messages.map((m) => m.seq);
+    t.deepEqual(seqs, [1, 2, 3, 4], 'every message is numbered');
+
+    received.sockets[0].terminate();
+    await waitFor(100);
+    const hook = requestor.request('verb:hook', url, {});
+    await hook;
+    await waitFor(100);
+
+    const afterReconnect = received.messages.slice(4).map((m) => (m.type === 'verb:status' ? m.data.id : m.type));
+    t.deepEqual(afterReconnect, ['session:reconnect', 'b', 'c', 'verb:hook'],
+      'unprocessed notifications are replayed before queued messages');
+    t.equal(received.messages.find((m) => m.type === 'session:reconnect').seq, undefined,
+      'session:reconnect is not numbered');
+    t.equal(received.messages[received.messages.length - 1].seq, 5, 'numbering continues after the reconnect');
+  } catch (err) {
+    t.fail(err);
+  }
+  requestor.close();
+  wss.close();
+  t.end();
+});